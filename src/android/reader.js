@@ -0,0 +1,126 @@
+import initSqlJs from 'sql.js';
+import {MULTI_VALUE_SEPARATOR} from '../json/reader.js';
+
+// Mime types of the `data` rows read from an Android contacts database
+const MIMETYPES = {
+  NAME: 'vnd.android.cursor.item/name',
+  PHONE: 'vnd.android.cursor.item/phone_v2',
+  EMAIL: 'vnd.android.cursor.item/email_v2',
+  ORGANIZATION: 'vnd.android.cursor.item/organization',
+  NOTE: 'vnd.android.cursor.item/note',
+};
+
+// `Phone.TYPE` codes of ContactsContract; 0 means a custom label
+const PHONE_TYPE_LABELS = {
+  1: 'Home',
+  2: 'Mobile',
+  3: 'Work',
+  4: 'Work Fax',
+  5: 'Home Fax',
+  6: 'Pager',
+  7: 'Other',
+  8: 'Callback',
+  9: 'Car',
+  10: 'Company Main',
+  12: 'Main',
+  17: 'Work Mobile',
+  18: 'Work Pager',
+  19: 'Assistant',
+};
+
+const CONTACT_DATA_QUERY = `
+  SELECT d.raw_contact_id, m.mimetype, d.data1, d.data2, d.data3, d.data4,
+    d.data5
+  FROM data d
+  JOIN mimetypes m ON m._id = d.mimetype_id
+  JOIN raw_contacts r ON r._id = d.raw_contact_id
+  WHERE r.deleted = 0 AND m.mimetype IN (${Object.values(MIMETYPES)
+    .map((mimetype) => `'${mimetype}'`)
+    .join(', ')})
+  ORDER BY d.raw_contact_id, d._id`;
+
+// First bytes of every SQLite database file
+const SQLITE_HEADER = 'SQLite format 3\0';
+
+let sqlJs;
+
+/**
+ * Whether a file is an SQLite database, as Android contacts databases are,
+ * from its first bytes. Other programs use the `.db` extension too, e.g.
+ * `Thumbs.db` of Windows folders.
+ *
+ * @param {Buffer} header - At least the first 16 bytes of the file.
+ */
+export function isSqliteDatabase(header) {
+  return header.subarray(0, 16).toString('latin1') === SQLITE_HEADER;
+}
+
+/**
+ * Reads the contacts of an Android `contacts2.db` database, as found in
+ * backups of `/data/data/com.android.providers.contacts/databases/`. Each
+ * raw contact that is not deleted becomes one row with the columns of a
+ * Google Contacts export: `name`, `given_name`, `additional_name`,
+ * `family_name`, `phone_value` and `phone_label` (every number and its
+ * type, in the same order), `e_mail_1_value` (every address), all lists
+ * joined with `MULTI_VALUE_SEPARATOR`, `organization_1_name`,
+ * `organization_1_title` and `notes`.
+ *
+ * @param {Buffer} content - Database file content.
+ * @returns {Promise<Array<{id: number, row: Object<string, string>}>>} Rows
+ *   in raw contact id order.
+ * @throws {Error} When the content is not an Android contacts database.
+ */
+export async function readAndroidContacts(content) {
+  sqlJs ??= initSqlJs();
+  const SQL = await sqlJs;
+  let db;
+  let result;
+  try {
+    db = new SQL.Database(content);
+    [result] = db.exec(CONTACT_DATA_QUERY);
+  } catch (error) {
+    throw new Error(`not an Android contacts database (${error.message})`);
+  } finally {
+    db?.close();
+  }
+
+  const contacts = new Map();
+  const rows = result ? result.values : [];
+  for (const [id, mimetype, data1, data2, data3, data4, data5] of rows) {
+    if (!contacts.has(id)) {
+      contacts.set(id, {phones: [], labels: [], emails: [], row: {}});
+    }
+    const contact = contacts.get(id);
+    const {row} = contact;
+    const text = (value) => (value == null ? '' : String(value));
+
+    switch (mimetype) {
+      case MIMETYPES.NAME:
+        row.name = text(data1);
+        row.given_name = text(data2);
+        row.family_name = text(data3);
+        row.additional_name = text(data5);
+        break;
+      case MIMETYPES.PHONE:
+        contact.phones.push(text(data1));
+        contact.labels.push(
+          Number(data2) === 0 ? text(data3) : PHONE_TYPE_LABELS[data2] || ''
+        );
+        row.phone_value = contact.phones.join(MULTI_VALUE_SEPARATOR);
+        row.phone_label = contact.labels.join(MULTI_VALUE_SEPARATOR);
+        break;
+      case MIMETYPES.EMAIL:
+        contact.emails.push(text(data1));
+        row.e_mail_1_value = contact.emails.join(MULTI_VALUE_SEPARATOR);
+        break;
+      case MIMETYPES.ORGANIZATION:
+        row.organization_1_name = text(data1);
+        row.organization_1_title = text(data4);
+        break;
+      case MIMETYPES.NOTE:
+        row.notes = text(data1);
+        break;
+    }
+  }
+  return [...contacts].map(([id, {row}]) => ({id, row}));
+}
@@ -0,0 +1,290 @@
+import {createHash} from 'crypto';
+import {createReadStream, createWriteStream} from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import {once} from 'events';
+import {readContactFile} from './input.js';
+
+// Bumped whenever the stored records change shape or the readers change
+// what they take from a file
+const CACHE_VERSION = 6;
+const INDEX_FILE = 'index.json';
+
+// Options that change what `readContactFile` yields for a file
+const PARSE_OPTIONS = [
+  'defaultRegion',
+  'phoneRegions',
+  'phoneColumnNames',
+  'nameColumnNames',
+  'fieldColumnNames',
+  'columnMappings',
+  'sheets',
+];
+
+function sha1(text) {
+  return createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Key of the options a cached file was parsed with. Files parsed with other
+ * options are read again.
+ *
+ * @param {Object} options - Processor options.
+ */
+export function parseOptionsKey(options) {
+  const parseOptions = PARSE_OPTIONS.map((name) => options[name]);
+  return sha1(
+    JSON.stringify([CACHE_VERSION, parseOptions], (key, value) =>
+      value instanceof RegExp ? String(value) : value
+    )
+  );
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function* readRecords(dataPath) {
+  const lines = readline.createInterface({
+    input: createReadStream(dataPath, {encoding: 'utf-8'}),
+    crlfDelay: Infinity,
+  });
+  for await (const line of lines) {
+    if (line) yield JSON.parse(line);
+  }
+}
+
+/**
+ * Store of the contacts read from each input file, so that unchanged files
+ * are not parsed again.
+ *
+ * On disk, `index.json` maps each absolute file path to the size and mtime
+ * it had when read; `files/<hash>.jsonl` holds the contacts and rejections
+ * read from it, one record per line in file order. With `memory`, the
+ * records are also kept in memory for later runs of the same process.
+ */
+export class ContactCache {
+  /**
+   * @param {string | null} dir - Cache directory; `null` keeps nothing on disk.
+   * @param {Object} options - Processor options.
+   * @param {{memory?: boolean}} [params]
+   */
+  constructor(dir, options, {memory = false} = {}) {
+    this.dir = dir;
+    this.key = parseOptionsKey(options);
+    this.files = {};
+    this.memory = memory ? new Map() : null;
+    // Files served from the cache since the last `save()`
+    this.hits = 0;
+  }
+
+  /**
+   * Opens the cache in `dir`, starting empty when it does not exist yet, is
+   * unreadable or `rebuild` is set.
+   *
+   * @param {string | null} dir
+   * @param {Object} options - Processor options.
+   * @param {{rebuild?: boolean, memory?: boolean}} [params]
+   */
+  static async open(dir, options, {rebuild = false, memory = false} = {}) {
+    const cache = new ContactCache(dir, options, {memory});
+    if (!dir) return cache;
+    await fs.mkdir(path.join(dir, 'files'), {recursive: true});
+    if (rebuild) return cache;
+    try {
+      const index = JSON.parse(
+        await fs.readFile(path.join(dir, INDEX_FILE), 'utf-8')
+      );
+      if (index.version === CACHE_VERSION) {
+        cache.files = index.files;
+      }
+    } catch {
+      // Missing or damaged index: every file is read again
+    }
+    return cache;
+  }
+
+  dataPath(file) {
+    return path.join(this.dir, 'files', `${sha1(file).slice(0, 16)}.jsonl`);
+  }
+
+  /**
+   * Finds what is stored for a file: `held` in memory and `entry` on disk,
+   * each only when the file is unchanged since it was stored.
+   *
+   * @param {string} file - Absolute path.
+   */
+  async lookup(file) {
+    const {size, mtimeMs} = await fs.stat(file);
+    const stamp = {size, mtimeMs, key: this.key};
+    const isFresh = (entry) =>
+      !!entry &&
+      entry.key === stamp.key &&
+      entry.size === stamp.size &&
+      entry.mtimeMs === stamp.mtimeMs;
+    const held = this.memory?.get(file);
+    const entry = this.files[file];
+    return {
+      stamp,
+      held: isFresh(held) ? held : null,
+      entry:
+        this.dir && isFresh(entry) && (await exists(this.dataPath(file)))
+          ? entry
+          : null,
+    };
+  }
+
+  /**
+   * Tells whether `read()` would take the contacts of a file from the cache.
+   *
+   * @param {string} file
+   */
+  async has(file) {
+    const {held, entry} = await this.lookup(path.resolve(file));
+    return !!(held || entry);
+  }
+
+  /**
+   * Yields the contacts of a file like `readContactFile`: from the cache
+   * when the file is unchanged since it was stored, otherwise by reading it
+   * with `parse` and storing what was read.
+   *
+   * @param {Object} source - Read cursor of a file on disk.
+   * @param {Object} options - Processor options.
+   * @param {typeof readContactFile} [parse]
+   */
+  async *read(source, options, parse = readContactFile) {
+    const file = path.resolve(source.file);
+    const {stamp, held, entry} = await this.lookup(file);
+
+    if (held) {
+      this.hits++;
+      source.records = held.records;
+      yield* this.replay(source, options, held.lines, {clone: true});
+      return;
+    }
+    this.memory?.delete(file);
+
+    if (entry) {
+      this.hits++;
+      source.records = entry.records;
+      const lines = this.memory ? [] : null;
+      yield* this.replay(source, options, readRecords(this.dataPath(file)), {
+        collected: lines,
+      });
+      if (lines) this.memory.set(file, {...entry, lines});
+      return;
+    }
+    delete this.files[file];
+    const lines = this.memory ? [] : null;
+    yield* this.record(source, options, file, lines, parse);
+    // `records`: rows or cards read, reported again for cached files
+    this.files[file] = {...stamp, records: source.records};
+    if (lines) this.memory.set(file, {...this.files[file], lines});
+  }
+
+  async *replay(source, options, records, {collected, clone = false} = {}) {
+    const {traceNumber} = options;
+    for await (const record of records) {
+      collected?.push(record);
+      const {index, contact, rejection} = record;
+      if (rejection) {
+        source.rejections.add({
+          ...rejection,
+          side: source.side,
+          file: source.file,
+        });
+        continue;
+      }
+      source.index = index;
+      if (traceNumber && JSON.stringify(contact).includes(traceNumber)) {
+        source.onTrace?.(`found ${traceNumber} in ${source.file} (cached)`);
+      }
+      // Callers change the contacts they get, the ones held stay as read
+      yield clone || collected ? structuredClone(contact) : contact;
+    }
+  }
+
+  async *record(source, options, file, collected, parse) {
+    const dataPath = this.dir && this.dataPath(file);
+    const tempPath = `${dataPath}.tmp`;
+    const writer = this.dir && createWriteStream(tempPath);
+    const write = async (record) => {
+      collected?.push(record);
+      if (writer && !writer.write(JSON.stringify(record) + '\n')) {
+        await once(writer, 'drain');
+      }
+    };
+
+    // Rejections are stored without side and file, which are taken from
+    // the run that replays them
+    const pending = [];
+    const recorder = {
+      ...source,
+      rejections: {
+        add: ({side, file, ...rejection}) => {
+          pending.push({rejection});
+          source.rejections.add({side, file, ...rejection});
+        },
+      },
+    };
+
+    let complete = false;
+    try {
+      for await (const contact of parse(recorder, options)) {
+        for (const record of pending.splice(0)) await write(record);
+        // Stored before the caller gets to change the contact
+        await write({
+          index: recorder.index,
+          contact: collected ? structuredClone(contact) : contact,
+        });
+        source.index = recorder.index;
+        source.records = recorder.records;
+        yield contact;
+      }
+      for (const record of pending.splice(0)) await write(record);
+      source.records = recorder.records;
+      complete = true;
+    } finally {
+      if (writer) {
+        writer.end();
+        await once(writer, 'close');
+        if (complete) {
+          await fs.rename(tempPath, dataPath);
+        } else {
+          await fs.rm(tempPath, {force: true});
+        }
+      }
+    }
+  }
+
+  /**
+   * Writes the index, dropping files that no longer exist along with their
+   * stored contacts.
+   */
+  async save() {
+    this.hits = 0;
+    for (const file of this.memory?.keys() || []) {
+      if (!(await exists(file))) this.memory.delete(file);
+    }
+    if (!this.dir) return;
+    for (const file of Object.keys(this.files)) {
+      if (!(await exists(file))) {
+        delete this.files[file];
+        await fs.rm(this.dataPath(file), {force: true});
+      }
+    }
+    const indexPath = path.join(this.dir, INDEX_FILE);
+    await fs.writeFile(
+      `${indexPath}.tmp`,
+      JSON.stringify({version: CACHE_VERSION, files: this.files})
+    );
+    await fs.rename(`${indexPath}.tmp`, indexPath);
+  }
+}
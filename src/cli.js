@@ -0,0 +1,317 @@
+import {existsSync} from 'fs';
+import path from 'path';
+import {REPORTS} from './diff.js';
+import {SOURCE_LABEL} from './matrix.js';
+import {VCF_VERSIONS} from './vcf/writer.js';
+import {EXPORT_FORMATS, LINE_ENDINGS} from './exporters.js';
+import {NAME_POLICIES} from './names/policy.js';
+
+export const EXIT_CODES = {
+  OK: 0,
+  // Unexpected failure, nothing reliable was written
+  FAILURE: 1,
+  // Bad flags, unknown command, invalid config or missing input paths
+  USAGE: 2,
+  // Run finished but one or more input files could not be processed
+  PARTIAL: 3,
+};
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const COMMANDS = ['compare', 'watch', 'matrix', 'schema', 'serve', 'help'];
+const DEFAULT_COMMAND = 'compare';
+
+/**
+ * Known flags and the option key each one sets.
+ *
+ * - `list` takes one or more values and may be repeated (values accumulate).
+ * - `string` takes exactly one value.
+ * - `number` takes exactly one numeric value, within `min` and `max`; with
+ *   `integer` only whole numbers.
+ * - `flag` takes no value and sets `value`.
+ *
+ * `choices` restricts the accepted values of a `string` or `list` option.
+ * `labeled` list values are `label=path` pairs, collected into an object of
+ * paths per label.
+ */
+const OPTION_SPECS = {
+  '--master': {key: 'master', type: 'list'},
+  '--compare': {key: 'compare', type: 'list'},
+  '--source': {key: 'sources', type: 'list', labeled: true},
+  '--out': {key: 'outputDir', type: 'string'},
+  '--block-prefix': {key: 'blockedPhonePrefixes', type: 'list'},
+  '--block-suffix': {key: 'blockedPhoneSuffixes', type: 'list'},
+  '--filter-keyword': {key: 'filterKeywords', type: 'list'},
+  '--name-policy': {key: 'namePolicy', type: 'list', choices: NAME_POLICIES},
+  '--source-priority': {key: 'sourcePriority', type: 'list'},
+  '--placeholder': {key: 'placeholderTemplate', type: 'string'},
+  '--no-enrich-names': {key: 'enrichNames', type: 'flag', value: false},
+  '--no-unique-names': {key: 'uniqueNames', type: 'flag', value: false},
+  '--split-xlsx': {key: 'singleXlsxFile', type: 'flag', value: false},
+  '--trace': {key: 'traceNumber', type: 'string'},
+  '--region': {key: 'defaultRegion', type: 'string'},
+  '--allow-landlines': {key: 'mobileOnly', type: 'flag', value: false},
+  '--vcf-version': {key: 'vcfVersion', type: 'string', choices: VCF_VERSIONS},
+  '--format': {key: 'exportFormats', type: 'list', choices: EXPORT_FORMATS},
+  '--vcf-chunk-size': {
+    key: 'vcfChunkSize',
+    type: 'number',
+    min: 0,
+    max: 1000000,
+    integer: true,
+  },
+  '--vcf-source': {key: 'vcfSource', type: 'flag', value: true},
+  '--vcf-nicknames': {key: 'vcfNicknames', type: 'flag', value: true},
+  '--line-endings': {key: 'lineEndings', type: 'string', choices: LINE_ENDINGS},
+  '--reports': {key: 'reports', type: 'list', choices: REPORTS},
+  '--fuzzy-threshold': {key: 'fuzzyThreshold', type: 'number', min: 0, max: 1},
+  '--rebuild': {key: 'rebuildCache', type: 'flag', value: true},
+  '--no-cache': {key: 'cache', type: 'flag', value: false},
+  '--cache-dir': {key: 'cacheDir', type: 'string'},
+  '--sheets': {key: 'sheets', type: 'list'},
+  '--workers': {
+    key: 'workers',
+    type: 'number',
+    min: 0,
+    max: 256,
+    integer: true,
+  },
+  '--port': {key: 'port', type: 'number', min: 0, max: 65535, integer: true},
+  '--json-events': {key: 'jsonEvents', type: 'flag', value: true},
+  '--config': {key: 'config', type: 'string'},
+  '--profile': {key: 'profile', type: 'string'},
+  '--help': {key: 'help', type: 'flag', value: true},
+};
+
+const OPTION_ALIASES = {
+  '-h': '--help',
+};
+
+export const HELP_TEXT = `Usage: node index.js [command] [options]
+
+Compare contact lists and export the contacts missing from master, the
+contacts only in master, the numbers saved under different names and the
+contacts that are probably the same person.
+
+Commands:
+  compare                     Compare master and compare sources (default)
+  watch                       Compare, then update the outputs whenever a
+                              master or compare file changes (Ctrl+C to stop)
+  matrix                      Show which of several labeled sources hold each
+                              number
+  schema                      Show the columns found in each master and
+                              compare file, how each one is read and sample
+                              values, without comparing
+  serve                       Serve a web page on localhost to upload master
+                              and compare files, compare them, browse the
+                              reports and download the outputs
+  help                        Show this help
+
+Options:
+  --master <dir|file...>      Master contact sources (default: ./master_files)
+  --compare <dir|file...>     Sources to compare against master (default: ./compare_files)
+  --source <label=path...>    Labeled source for matrix; repeat for each source
+  --out <dir>                 Output directory (default: output)
+  --block-prefix <prefix...>  Skip compare numbers starting with these prefixes
+  --block-suffix <suffix...>  Skip compare numbers ending with these suffixes
+  --filter-keyword <word...>  Skip compare contacts whose name contains these words
+  --name-policy <rule...>     Choose the contact of a number found in several
+                              contacts by source-priority, real-name,
+                              most-complete or most-frequent (default: the
+                              contact read last)
+  --source-priority <glob...> Files in order of priority for source-priority
+  --placeholder <template>    Name of contacts without one, from {prefix},
+                              {last5}, {phone}, {source} and {side}
+                              (default: "{prefix} {last5}")
+  --no-enrich-names           Keep placeholders instead of names found for
+                              the same number in other files
+  --no-unique-names           Keep duplicate names as-is instead of numbering them
+  --split-xlsx                Write one XLSX file per sheet instead of output.xlsx
+  --trace <number>            Log every file in which this number is found
+  --region <code>             Region assumed for numbers without a country code
+                              (default: IN)
+  --allow-landlines           Keep compare numbers in fixed-line ranges
+  --vcf-version <version>     vCard version of exported cards: 2.1, 3.0 or 4.0
+                              (default: 4.0)
+  --format <format...>        Formats of the exported contact lists: vcf,
+                              google-csv, outlook-csv, json, jsonl (default: vcf)
+  --vcf-chunk-size <n>        Split VCF exports into files of n contacts; 0 for
+                              one file per list (default: 0)
+  --vcf-source                Add X-SOURCE properties naming the file and row
+                              each exported contact came from
+  --vcf-nicknames             Add a NICKNAME property with the other names
+                              used for the contact's numbers
+  --line-endings <crlf|lf>    Line endings of VCF and CSV exports (default: crlf)
+  --reports <report...>       Reports to write: missing, extra, conflicts,
+                              duplicates (default: all)
+  --fuzzy-threshold <0-1>     Minimum name similarity for possible duplicates
+                              (default: 0.85)
+  --rebuild                   Parse every file again instead of reusing the
+                              contacts cached from earlier runs
+  --no-cache                  Neither read nor write the contact cache
+  --cache-dir <dir>           Contact cache directory (default: .cache/contacts)
+  --sheets <name...>          Workbook sheets to read (default: all sheets)
+  --workers <n>               Worker threads reading files in parallel; 0 for
+                              one per CPU core, 1 for none (default: 0)
+  --port <n>                  Port of the serve command (default: 8080)
+  --json-events               Print progress as one JSON event per line instead
+                              of the progress bar and summary table
+  --config <file>             Config file (default: contacts.config.json,
+                              contacts.config.yaml or contacts.config.yml)
+  --profile <name>            Config profile to apply
+  -h, --help                  Show this help
+
+List options accept several values and may be repeated. Values given on the
+command line replace the config file and built-in defaults for that option.
+
+Exit codes:
+  0  success
+  1  unexpected failure
+  2  invalid usage, invalid config, unknown region or missing input path
+  3  finished, but some files could not be processed`;
+
+function isFlagToken(token) {
+  return token.startsWith('-') && token.length > 1;
+}
+
+/**
+ * Adds `label=path` values to an object of paths per label. A value without
+ * a label is labeled with its file or directory name.
+ */
+function addLabeledValues(labeled = {}, values, flag) {
+  const result = {...labeled};
+  for (const value of values) {
+    const eq = value.indexOf('=');
+    const label =
+      eq === -1 ? path.basename(path.resolve(value)) : value.slice(0, eq);
+    const inputPath = value.slice(eq + 1);
+    if (!SOURCE_LABEL.test(label) || !inputPath) {
+      throw new UsageError(
+        `Option ${flag} expects label=path with a label of letters, digits, ".", "_" or "-" (got ${value})`
+      );
+    }
+    result[label] = [...(result[label] || []), inputPath];
+  }
+  return result;
+}
+
+/**
+ * Parses command line arguments into a command and the options explicitly
+ * given on the command line. Defaults are not applied here so that callers
+ * can layer the result on top of other option sources.
+ *
+ * @param {string[]} argv - Arguments without the node executable and script path.
+ * @returns {{command: string, help: boolean, options: Object}}
+ * @throws {UsageError} On unknown commands, unknown flags or missing values.
+ */
+export function parseCliArgs(argv) {
+  const args = [...argv];
+  let command = DEFAULT_COMMAND;
+  if (args.length && !isFlagToken(args[0])) {
+    command = args.shift();
+    if (!COMMANDS.includes(command)) {
+      throw new UsageError(`Unknown command: ${command}`);
+    }
+  }
+
+  const options = {};
+  let help = command === 'help';
+
+  while (args.length) {
+    const token = args.shift();
+    if (!isFlagToken(token)) {
+      throw new UsageError(`Unexpected argument: ${token}`);
+    }
+
+    let [flag, inlineValue] = token.split(/=(.*)/s, 2);
+    flag = OPTION_ALIASES[flag] || flag;
+    const spec = OPTION_SPECS[flag];
+    if (!spec) {
+      throw new UsageError(`Unknown option: ${flag}`);
+    }
+
+    if (spec.type === 'flag') {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`Option ${flag} does not take a value`);
+      }
+      if (spec.key === 'help') {
+        help = true;
+      } else {
+        options[spec.key] = spec.value;
+      }
+      continue;
+    }
+
+    const values = inlineValue !== undefined ? [inlineValue] : [];
+    if (spec.type === 'list' || !values.length) {
+      while (args.length && !isFlagToken(args[0])) {
+        values.push(args.shift());
+        if (spec.type !== 'list') break;
+      }
+    }
+    if (!values.length || values.some((value) => value === '')) {
+      throw new UsageError(`Option ${flag} requires a value`);
+    }
+
+    if (spec.choices && values.some((value) => !spec.choices.includes(value))) {
+      throw new UsageError(
+        `Option ${flag} must be one of: ${spec.choices.join(', ')}`
+      );
+    }
+
+    if (spec.labeled) {
+      options[spec.key] = addLabeledValues(options[spec.key], values, flag);
+    } else if (spec.type === 'list') {
+      options[spec.key] = [...(options[spec.key] || []), ...values];
+    } else if (spec.type === 'number') {
+      const {min = -Infinity, max = Infinity} = spec;
+      const number = Number(values[0]);
+      if (!Number.isFinite(number) || number < min || number > max) {
+        throw new UsageError(
+          `Option ${flag} must be a number from ${min} to ${max}`
+        );
+      }
+      if (spec.integer && !Number.isInteger(number)) {
+        throw new UsageError(`Option ${flag} must be a whole number`);
+      }
+      options[spec.key] = number;
+    } else {
+      options[spec.key] = values[0];
+    }
+  }
+
+  return {command, help, options};
+}
+
+/**
+ * Makes sure every input path of a command exists before any file is read:
+ * master and compare sources for `compare`, the labeled sources for
+ * `matrix`.
+ *
+ * @param {{master: string[], compare: string[], sources: Object<string, string[]>}} options
+ * @param {string} [command]
+ * @throws {UsageError} If a source path does not exist or `matrix` has fewer than two sources.
+ */
+export function validateInputPaths(options, command = DEFAULT_COMMAND) {
+  const inputs =
+    command === 'matrix'
+      ? Object.entries(options.sources)
+      : ['master', 'compare'].map((side) => [side, options[side]]);
+  if (command === 'matrix' && inputs.length < 2) {
+    throw new UsageError(
+      'matrix needs at least two sources, e.g. --source phone1=dir1 --source phone2=dir2'
+    );
+  }
+  for (const [side, paths] of inputs) {
+    for (const inputPath of paths) {
+      if (!existsSync(inputPath)) {
+        throw new UsageError(`${side} path not found: ${inputPath}`);
+      }
+    }
+  }
+}
@@ -0,0 +1,622 @@
+import {existsSync, readFileSync} from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import {isKnownRegion} from './phone/normalize.js';
+import {REPORTS} from './diff.js';
+import {SOURCE_LABEL} from './matrix.js';
+import {VCF_VERSIONS} from './vcf/writer.js';
+import {EXPORT_FORMATS, LINE_ENDINGS} from './exporters.js';
+import {FILTER_ACTIONS} from './filters.js';
+import {NAME_POLICIES} from './names/policy.js';
+import {unknownPlaceholderFields} from './names/enrich.js';
+
+/**
+ * File names looked up in the working directory, in order of preference.
+ */
+export const CONFIG_FILE_NAMES = [
+  'contacts.config.json',
+  'contacts.config.yaml',
+  'contacts.config.yml',
+];
+
+export class ConfigError extends Error {
+  /**
+   * @param {string} message - Summary of the problem.
+   * @param {Array<{key: string, message: string}>} [errors] - One entry per bad key.
+   */
+  constructor(message, errors = []) {
+    const details = errors.map(({key, message}) => `  - ${key}: ${message}`);
+    super([message, ...details].join('\n'));
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+function describe(value) {
+  return JSON.stringify(value) ?? String(value);
+}
+
+const checkString = (value) =>
+  typeof value === 'string'
+    ? undefined
+    : `must be a string (got ${describe(value)})`;
+
+const checkNonEmptyString = (value) =>
+  typeof value === 'string' && value.trim()
+    ? undefined
+    : `must be a non-empty string (got ${describe(value)})`;
+
+const checkBoolean = (value) =>
+  typeof value === 'boolean'
+    ? undefined
+    : `must be true or false (got ${describe(value)})`;
+
+const checkPositiveInteger = (value) =>
+  Number.isInteger(value) && value > 0
+    ? undefined
+    : `must be a positive integer (got ${describe(value)})`;
+
+const checkNonNegativeInteger = (value) =>
+  Number.isInteger(value) && value >= 0
+    ? undefined
+    : `must be an integer of 0 or more (got ${describe(value)})`;
+
+const checkRatio = (value) =>
+  typeof value === 'number' && value >= 0 && value <= 1
+    ? undefined
+    : `must be a number from 0 to 1 (got ${describe(value)})`;
+
+const checkColumnName = (value) =>
+  typeof value === 'string' && /^[a-z0-9]+(_[a-z0-9]+)*$/.test(value)
+    ? undefined
+    : `must be a normalized column name: lowercase letters, digits and single underscores, e.g. "mobile_phone" (got ${describe(
+        value
+      )})`;
+
+/**
+ * Builds a validator for a list whose items are all checked by `checkItem`.
+ * Item errors are reported with their index, e.g. `filterKeywords[2]`.
+ */
+function listOf(checkItem) {
+  return (value, key) => {
+    if (!Array.isArray(value)) {
+      return [{key, message: `must be a list (got ${describe(value)})`}];
+    }
+    return value
+      .map((item, index) => ({
+        key: `${key}[${index}]`,
+        message: checkItem(item),
+      }))
+      .filter(({message}) => message);
+  };
+}
+
+const checkRegionCode = (value) =>
+  typeof value === 'string' && /^[A-Z]{2,3}$/.test(value)
+    ? undefined
+    : `must be an uppercase region code like "IN" (got ${describe(value)})`;
+
+const checkDigits = (value) =>
+  typeof value === 'string' && /^\d+$/.test(value)
+    ? undefined
+    : `must be a string of digits (got ${describe(value)})`;
+
+const checkRegExp = (value) => {
+  if (typeof value !== 'string') {
+    return `must be a regular expression string (got ${describe(value)})`;
+  }
+  try {
+    new RegExp(value);
+    return undefined;
+  } catch (error) {
+    return `is not a valid regular expression: ${error.message}`;
+  }
+};
+
+const REGION_RULE_SCHEMA = {
+  countryCode: {check: checkDigits, required: true},
+  lengths: {check: listOf(checkPositiveInteger), required: true},
+  trunkPrefix: {check: checkDigits},
+  pattern: {check: checkRegExp},
+  mobilePattern: {check: checkRegExp},
+};
+
+/**
+ * Validates `phoneRegions`: numbering rules keyed by region code, in the
+ * shape of `REGIONS` in src/phone/regions.js with patterns as strings.
+ */
+function checkPhoneRegions(value, key) {
+  if (!isPlainObject(value)) {
+    return [{key, message: `must be an object (got ${describe(value)})`}];
+  }
+  const errors = [];
+  for (const [code, rules] of Object.entries(value)) {
+    const regionKey = `${key}.${code}`;
+    const codeMessage = checkRegionCode(code);
+    if (codeMessage) {
+      errors.push({key: regionKey, message: `key ${codeMessage}`});
+    }
+    if (!isPlainObject(rules)) {
+      errors.push({key: regionKey, message: 'must be an object of rules'});
+      continue;
+    }
+    for (const [name, schema] of Object.entries(REGION_RULE_SCHEMA)) {
+      if (schema.required && rules[name] === undefined) {
+        errors.push({key: `${regionKey}.${name}`, message: 'is required'});
+      }
+    }
+    for (const [name, ruleValue] of Object.entries(rules)) {
+      const schema = REGION_RULE_SCHEMA[name];
+      const ruleKey = `${regionKey}.${name}`;
+      if (!schema) {
+        errors.push({key: ruleKey, message: 'is not a known rule'});
+        continue;
+      }
+      const result = schema.check(ruleValue, ruleKey);
+      if (Array.isArray(result)) {
+        errors.push(...result);
+      } else if (result) {
+        errors.push({key: ruleKey, message: result});
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates `fieldColumnNames`: vCard property names mapped to lists of
+ * normalized column names.
+ */
+function checkFieldColumns(value, key) {
+  if (!isPlainObject(value)) {
+    return [{key, message: `must be an object (got ${describe(value)})`}];
+  }
+  const errors = [];
+  const checkColumns = listOf(checkColumnName);
+  for (const [propertyName, columns] of Object.entries(value)) {
+    const propertyKey = `${key}.${propertyName}`;
+    if (!/^[A-Z][A-Z0-9-]*$/.test(propertyName)) {
+      errors.push({
+        key: propertyKey,
+        message: 'key must be an uppercase vCard property name like "EMAIL"',
+      });
+    }
+    errors.push(...checkColumns(columns, propertyKey));
+  }
+  return errors;
+}
+
+// Keys of a `columnMappings` entry; headers are given as they appear in the
+// file and normalized when read
+const COLUMN_MAPPING_SCHEMA = {
+  phone: listOf(checkNonEmptyString),
+  name: listOf(checkNonEmptyString),
+  fields: (value, key) => {
+    if (!isPlainObject(value)) {
+      return [{key, message: `must be an object (got ${describe(value)})`}];
+    }
+    return Object.entries(value).flatMap(([propertyName, columns]) =>
+      listOf(checkNonEmptyString)(columns, `${key}.${propertyName}`)
+    );
+  },
+};
+
+function checkColumnMappings(value, key) {
+  if (!isPlainObject(value)) {
+    return [{key, message: `must be an object (got ${describe(value)})`}];
+  }
+  const errors = [];
+  for (const [glob, mapping] of Object.entries(value)) {
+    const globKey = `${key}.${glob}`;
+    if (!isPlainObject(mapping)) {
+      errors.push({
+        key: globKey,
+        message: `must be an object (got ${describe(mapping)})`,
+      });
+      continue;
+    }
+    for (const [mappingKey, mappingValue] of Object.entries(mapping)) {
+      const check = COLUMN_MAPPING_SCHEMA[mappingKey];
+      if (!check) {
+        errors.push({
+          key: `${globKey}.${mappingKey}`,
+          message: `unknown key, expected one of: ${Object.keys(
+            COLUMN_MAPPING_SCHEMA
+          ).join(', ')}`,
+        });
+        continue;
+      }
+      errors.push(...check(mappingValue, `${globKey}.${mappingKey}`));
+    }
+  }
+  return errors;
+}
+
+const oneOf = (choices) => (value) =>
+  choices.includes(value)
+    ? undefined
+    : `must be one of ${choices
+        .map((choice) => JSON.stringify(choice))
+        .join(', ')} (got ${describe(value)})`;
+
+const checkStrings = (checkItem) => (value, key) =>
+  Array.isArray(value) ? listOf(checkItem)(value, key) : checkItem(value);
+
+const checkPhoneGlob = (value) =>
+  typeof value === 'string' && /^\+?[\d*?]+$/.test(value)
+    ? undefined
+    : `must be digits with * or ? wildcards, e.g. "94544*" (got ${describe(
+        value
+      )})`;
+
+const checkLength = (value, key) => {
+  if (Number.isInteger(value) && value > 0) return undefined;
+  if (!isPlainObject(value)) {
+    return `must be a positive integer or {min, max} (got ${describe(value)})`;
+  }
+  return Object.entries(value).map(([name, bound]) => ({
+    key: `${key}.${name}`,
+    message: ['min', 'max'].includes(name)
+      ? checkPositiveInteger(bound)
+      : 'unknown key, expected one of: min, max',
+  }));
+};
+
+// Conditions of a filter rule's `match`, see `compileMatch` in src/filters.js
+const FILTER_MATCH_SCHEMA = {
+  name: checkRegExp,
+  phone: checkStrings(checkPhoneGlob),
+  length: checkLength,
+  file: checkStrings(checkNonEmptyString),
+  column: checkStrings(checkNonEmptyString),
+};
+
+const FILTER_RULE_SCHEMA = {
+  name: checkNonEmptyString,
+  action: oneOf(FILTER_ACTIONS),
+  apply: listOf((value) =>
+    typeof value === 'string' && SOURCE_LABEL.test(value)
+      ? undefined
+      : `must be "master", "compare", "output" or a source label (got ${describe(
+          value
+        )})`
+  ),
+  match: (value, key) => {
+    if (!isPlainObject(value)) {
+      return `must be an object (got ${describe(value)})`;
+    }
+    return checkKeys(value, key, FILTER_MATCH_SCHEMA);
+  },
+};
+
+// Checks the entries of an object against a schema of checks per key
+function checkKeys(value, key, schema) {
+  const errors = [];
+  for (const [name, entry] of Object.entries(value)) {
+    const entryKey = `${key}.${name}`;
+    const check = schema[name];
+    if (!check) {
+      errors.push({
+        key: entryKey,
+        message: `unknown key, expected one of: ${Object.keys(schema).join(
+          ', '
+        )}`,
+      });
+      continue;
+    }
+    const result = check(entry, entryKey);
+    if (Array.isArray(result)) {
+      errors.push(...result.filter(({message}) => message));
+    } else if (result) {
+      errors.push({key: entryKey, message: result});
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates `filterRules`: a list of `{name, action, apply, match}` rules
+ * with unique names.
+ */
+function checkFilterRules(value, key) {
+  if (!Array.isArray(value)) {
+    return [{key, message: `must be a list (got ${describe(value)})`}];
+  }
+  const errors = [];
+  const names = new Set();
+  for (const [index, rule] of value.entries()) {
+    const ruleKey = `${key}[${index}]`;
+    if (!isPlainObject(rule)) {
+      errors.push({
+        key: ruleKey,
+        message: `must be an object (got ${describe(rule)})`,
+      });
+      continue;
+    }
+    if (rule.name === undefined) {
+      errors.push({key: `${ruleKey}.name`, message: 'is required'});
+    } else if (names.has(rule.name)) {
+      errors.push({
+        key: `${ruleKey}.name`,
+        message: `is already used by another rule (got ${describe(rule.name)})`,
+      });
+    }
+    names.add(rule.name);
+    errors.push(...checkKeys(rule, ruleKey, FILTER_RULE_SCHEMA));
+  }
+  return errors;
+}
+
+/**
+ * Validates `sources`: lists of paths keyed by source label.
+ */
+function checkSources(value, key) {
+  if (!isPlainObject(value)) {
+    return [{key, message: `must be an object (got ${describe(value)})`}];
+  }
+  const errors = [];
+  const checkPaths = listOf(checkNonEmptyString);
+  for (const [label, paths] of Object.entries(value)) {
+    const labelKey = `${key}.${label}`;
+    if (!SOURCE_LABEL.test(label)) {
+      errors.push({
+        key: labelKey,
+        message: 'key must only hold letters, digits, ".", "_" or "-"',
+      });
+    }
+    errors.push(...checkPaths(paths, labelKey));
+  }
+  return errors;
+}
+
+const checkPort = (value) =>
+  Number.isInteger(value) && value >= 0 && value <= 65535
+    ? undefined
+    : `must be a port from 0 to 65535 (got ${describe(value)})`;
+
+function checkPlaceholderTemplate(value) {
+  const error = checkNonEmptyString(value);
+  if (error) return error;
+  const unknown = unknownPlaceholderFields(value);
+  return unknown.length
+    ? `has unknown fields: ${unknown.map((key) => `{${key}}`).join(', ')}`
+    : undefined;
+}
+
+/**
+ * Options that may be set from a config file, with the check for each one.
+ * Options marked with `path` are resolved relative to the config file.
+ */
+const OPTION_SCHEMA = {
+  master: {check: listOf(checkNonEmptyString), path: 'list'},
+  compare: {check: listOf(checkNonEmptyString), path: 'list'},
+  sources: {check: checkSources, path: 'labeled'},
+  outputDir: {check: checkNonEmptyString, path: 'single'},
+  traceNumber: {check: checkString},
+  singleXlsxFile: {check: checkBoolean},
+  uniqueNames: {check: checkBoolean},
+  blockedPhonePrefixes: {check: listOf(checkNonEmptyString)},
+  blockedPhoneSuffixes: {check: listOf(checkNonEmptyString)},
+  filterKeywords: {check: listOf(checkNonEmptyString)},
+  filterRules: {check: checkFilterRules},
+  prefixIfNoName: {check: checkString},
+  placeholderTemplate: {check: checkPlaceholderTemplate},
+  enrichNames: {check: checkBoolean},
+  namePolicy: {check: listOf(oneOf(NAME_POLICIES))},
+  sourcePriority: {check: listOf(checkNonEmptyString)},
+  phoneColumnNames: {check: listOf(checkColumnName)},
+  nameColumnNames: {check: listOf(checkColumnName)},
+  fieldColumnNames: {check: checkFieldColumns},
+  columnMappings: {check: checkColumnMappings},
+  vcfVersion: {check: oneOf(VCF_VERSIONS)},
+  exportFormats: {check: listOf(oneOf(EXPORT_FORMATS))},
+  vcfChunkSize: {check: checkNonNegativeInteger},
+  lineEndings: {check: oneOf(LINE_ENDINGS)},
+  vcfSource: {check: checkBoolean},
+  vcfNicknames: {check: checkBoolean},
+  reports: {check: listOf(oneOf(REPORTS))},
+  fuzzyThreshold: {check: checkRatio},
+  sheets: {check: listOf(checkNonEmptyString)},
+  batchSize: {check: checkPositiveInteger},
+  workers: {check: checkNonNegativeInteger},
+  port: {check: checkPort},
+  cache: {check: checkBoolean},
+  cacheDir: {check: checkNonEmptyString, path: 'single'},
+  defaultRegion: {check: checkRegionCode},
+  phoneRegions: {check: checkPhoneRegions},
+  mobileOnly: {check: checkBoolean},
+};
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validates a set of options (the top level of the file or one profile).
+ *
+ * @param {Object} options - Options object read from the file.
+ * @param {string} prefix - Key path prefix used in error messages.
+ * @param {string[]} [extraKeys] - Additional keys allowed at this level.
+ * @returns {Array<{key: string, message: string}>}
+ */
+function validateOptions(options, prefix, extraKeys = []) {
+  const errors = [];
+  for (const [name, value] of Object.entries(options)) {
+    const key = prefix + name;
+    if (extraKeys.includes(name)) continue;
+
+    const schema = OPTION_SCHEMA[name];
+    if (!schema) {
+      errors.push({key, message: 'is not a known option'});
+      continue;
+    }
+    const result = schema.check(value, key);
+    if (Array.isArray(result)) {
+      errors.push(...result);
+    } else if (result) {
+      errors.push({key, message: result});
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates a parsed config document.
+ *
+ * @param {unknown} config - Parsed JSON/YAML content.
+ * @returns {Array<{key: string, message: string}>} Empty when the config is valid.
+ */
+export function validateConfig(config) {
+  if (!isPlainObject(config)) {
+    return [{key: '(root)', message: 'must be an object'}];
+  }
+
+  const errors = validateOptions(config, '', ['profiles', 'profile']);
+
+  const {profiles = {}, profile} = config;
+  if (!isPlainObject(profiles)) {
+    errors.push({key: 'profiles', message: 'must be an object of profiles'});
+  } else {
+    for (const [name, options] of Object.entries(profiles)) {
+      if (!isPlainObject(options)) {
+        errors.push({
+          key: `profiles.${name}`,
+          message: 'must be an object of options',
+        });
+      } else {
+        errors.push(...validateOptions(options, `profiles.${name}.`));
+      }
+    }
+  }
+
+  if (profile !== undefined) {
+    const message = checkNonEmptyString(profile);
+    if (message) {
+      errors.push({key: 'profile', message});
+    } else if (isPlainObject(profiles) && !profiles[profile]) {
+      errors.push({
+        key: 'profile',
+        message: `refers to undefined profile "${profile}"`,
+      });
+    }
+  }
+
+  return errors;
+}
+
+function parseConfigFile(configPath) {
+  const content = readFileSync(configPath, 'utf-8');
+  try {
+    if (path.extname(configPath).toLowerCase() === '.json') {
+      return JSON.parse(content);
+    }
+    return YAML.parse(content);
+  } catch (error) {
+    throw new ConfigError(`Cannot parse ${configPath}: ${error.message}`);
+  }
+}
+
+function resolvePaths(options, baseDir) {
+  const resolved = {...options};
+  for (const [name, schema] of Object.entries(OPTION_SCHEMA)) {
+    if (!schema.path || resolved[name] === undefined) continue;
+    const resolveList = (paths) => paths.map((p) => path.resolve(baseDir, p));
+    if (schema.path === 'labeled') {
+      resolved[name] = Object.fromEntries(
+        Object.entries(resolved[name]).map(([label, paths]) => [
+          label,
+          resolveList(paths),
+        ])
+      );
+    } else {
+      resolved[name] =
+        schema.path === 'list'
+          ? resolveList(resolved[name])
+          : path.resolve(baseDir, resolved[name]);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Finds the config file to use.
+ *
+ * @param {string} cwd - Directory searched for `CONFIG_FILE_NAMES`.
+ * @param {string} [configPath] - Explicit path, which must exist if given.
+ * @returns {string | null}
+ */
+export function findConfigFile(cwd, configPath) {
+  if (configPath) {
+    const resolved = path.resolve(cwd, configPath);
+    if (!existsSync(resolved)) {
+      throw new ConfigError(`Config file not found: ${configPath}`);
+    }
+    return resolved;
+  }
+  const found = CONFIG_FILE_NAMES.map((name) => path.join(cwd, name)).find(
+    (candidate) => existsSync(candidate)
+  );
+  return found || null;
+}
+
+/**
+ * Loads, validates and flattens the project config. Options of the selected
+ * profile override the top-level options of the file.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.cwd] - Directory to discover the config file in.
+ * @param {string} [params.configPath] - Explicit config file path.
+ * @param {string} [params.profile] - Profile to apply; defaults to the file's `profile` key.
+ * @returns {{options: Object, configPath: string | null, profile: string | null}}
+ * @throws {ConfigError} If the file cannot be parsed, is invalid or the profile does not exist.
+ */
+export function loadConfig({cwd = process.cwd(), configPath, profile} = {}) {
+  const file = findConfigFile(cwd, configPath);
+  if (!file) {
+    if (profile) {
+      throw new ConfigError(
+        `Profile "${profile}" was requested but no config file was found (looked for ${CONFIG_FILE_NAMES.join(
+          ', '
+        )})`
+      );
+    }
+    return {options: {}, configPath: null, profile: null};
+  }
+
+  const config = parseConfigFile(file) ?? {};
+  const errors = validateConfig(config);
+  if (errors.length) {
+    throw new ConfigError(`Invalid config in ${file}:`, errors);
+  }
+
+  const {profiles = {}, profile: defaultProfile, ...baseOptions} = config;
+  const selectedProfile = profile || defaultProfile || null;
+  if (selectedProfile && !profiles[selectedProfile]) {
+    const available = Object.keys(profiles);
+    throw new ConfigError(
+      `Unknown profile "${selectedProfile}" in ${file}` +
+        (available.length ? ` (available: ${available.join(', ')})` : '')
+    );
+  }
+
+  const options = {
+    ...baseOptions,
+    ...(selectedProfile ? profiles[selectedProfile] : {}),
+  };
+  if (
+    options.defaultRegion &&
+    !isKnownRegion(options.defaultRegion, options.phoneRegions)
+  ) {
+    throw new ConfigError(`Invalid config in ${file}:`, [
+      {
+        key: 'defaultRegion',
+        message: `has no numbering rules for "${options.defaultRegion}" (add them under phoneRegions)`,
+      },
+    ]);
+  }
+  return {
+    options: resolvePaths(options, path.dirname(file)),
+    configPath: file,
+    profile: selectedProfile,
+  };
+}
@@ -0,0 +1,226 @@
+import {
+  getContactFields,
+  splitStructuredName,
+  toStructuredName,
+} from '../vcf/contact-card.js';
+
+// Outlook phone columns a number of the given TEL types goes to, in order
+// of preference
+const OUTLOOK_PHONE_SLOTS = [
+  [
+    ['FAX', 'HOME'],
+    ['Home Fax', 'Business Fax'],
+  ],
+  [['FAX'], ['Business Fax', 'Home Fax']],
+  [['PAGER'], ['Pager']],
+  [['CAR'], ['Car Phone']],
+  [['CELL'], ['Mobile Phone']],
+  [['HOME'], ['Home Phone', 'Home Phone 2']],
+  [['WORK'], ['Business Phone', 'Business Phone 2', 'Company Main Phone']],
+];
+
+// Outlook phone columns taking numbers whose own columns are taken
+const OUTLOOK_SPARE_PHONES = [
+  'Mobile Phone',
+  'Other Phone',
+  'Primary Phone',
+  'Home Phone',
+  'Home Phone 2',
+  'Business Phone',
+  'Business Phone 2',
+];
+
+const OUTLOOK_COLUMNS = [
+  'First Name',
+  'Middle Name',
+  'Last Name',
+  'Company',
+  'Job Title',
+  'E-mail Address',
+  'E-mail 2 Address',
+  'E-mail 3 Address',
+  'Mobile Phone',
+  'Primary Phone',
+  'Home Phone',
+  'Home Phone 2',
+  'Business Phone',
+  'Business Phone 2',
+  'Company Main Phone',
+  'Other Phone',
+  'Car Phone',
+  'Pager',
+  'Home Fax',
+  'Business Fax',
+  'Home Street',
+  'Birthday',
+  'Web Page',
+  'Notes',
+];
+
+/**
+ * Line terminator of text exports for `options.lineEndings`.
+ *
+ * @param {{lineEndings?: string}} options
+ */
+export function lineBreak({lineEndings}) {
+  return lineEndings === 'lf' ? '\n' : '\r\n';
+}
+
+function formatCsvValue(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats rows as CSV with a header line, quoting values where needed.
+ *
+ * @param {string[]} columns
+ * @param {Array<Object<string, unknown>>} rows - Values by column; missing
+ *   ones are left empty.
+ * @param {string} eol - Line terminator.
+ */
+export function formatCsv(columns, rows, eol) {
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((values) => values.map(formatCsvValue).join(',') + eol)
+    .join('');
+}
+
+// Given, additional and family name of the exported name
+function nameParts({contact, name}) {
+  return splitStructuredName(toStructuredName(name, contact.vcard?.n));
+}
+
+function hasTypes(telParams = {}, types) {
+  const own = (telParams.TYPE || []).map((type) => type.toUpperCase());
+  return types.every((type) => own.includes(type));
+}
+
+/**
+ * Google Contacts label of a number, e.g. `Mobile` for `TYPE=CELL`; `''`
+ * for untyped numbers.
+ *
+ * @param {Object} [telParams]
+ */
+export function googlePhoneLabel(telParams = {}) {
+  if (hasTypes(telParams, ['FAX'])) {
+    return hasTypes(telParams, ['HOME']) ? 'Home Fax' : 'Work Fax';
+  }
+  if (hasTypes(telParams, ['CELL'])) return 'Mobile';
+  if (hasTypes(telParams, ['PAGER'])) return 'Pager';
+  if (hasTypes(telParams, ['WORK'])) return 'Work';
+  if (hasTypes(telParams, ['HOME'])) return 'Home';
+  return telParams.TYPE?.length ? 'Other' : '';
+}
+
+/**
+ * Formats diff entries as a CSV file for the Google Contacts import, one row
+ * per contact with a `Phone <n> - Type` and `Phone <n> - Value` pair per
+ * number, as many as the contact with the most numbers needs.
+ *
+ * @param {Array<{contact: Object, name: string, missing: Array<Object>}>} entries
+ * @param {Object} options - Processor options.
+ */
+export function formatGoogleCsv(entries, options) {
+  const rows = entries.map((entry) => {
+    const {given, additional, family} = nameParts(entry);
+    const fields = getContactFields(entry.contact);
+    const row = {
+      Name: entry.name,
+      'Given Name': given,
+      'Additional Name': additional,
+      'Family Name': family,
+      Birthday: fields.BDAY?.[0],
+      Notes: fields.NOTE?.join('\n'),
+      'Group Membership': '* myContacts',
+      'Organization 1 - Name': fields.ORG?.[0],
+      'Organization 1 - Title': fields.TITLE?.[0],
+      'Address 1 - Formatted': fields.ADR?.[0],
+      'Website 1 - Value': fields.URL?.[0],
+    };
+    for (const [i, email] of (fields.EMAIL || []).entries()) {
+      row[`E-mail ${i + 1} - Value`] = email;
+    }
+    for (const [i, {phone, telParams}] of entry.missing.entries()) {
+      row[`Phone ${i + 1} - Type`] = googlePhoneLabel(telParams);
+      row[`Phone ${i + 1} - Value`] = phone;
+    }
+    return row;
+  });
+
+  const count = (prefix) =>
+    Math.max(
+      0,
+      ...rows.map(
+        (row) => Object.keys(row).filter((key) => key.startsWith(prefix)).length
+      )
+    );
+  const pairs = (label, n, suffixes) =>
+    Array.from({length: n}, (_, i) =>
+      suffixes.map((suffix) => `${label} ${i + 1} - ${suffix}`)
+    ).flat();
+  const columns = [
+    'Name',
+    'Given Name',
+    'Additional Name',
+    'Family Name',
+    'Birthday',
+    'Notes',
+    'Group Membership',
+    ...pairs('E-mail', count('E-mail '), ['Value']),
+    ...pairs('Phone', count('Phone ') / 2, ['Type', 'Value']),
+    'Organization 1 - Name',
+    'Organization 1 - Title',
+    'Address 1 - Formatted',
+    'Website 1 - Value',
+  ];
+  return formatCsv(columns, rows, lineBreak(options));
+}
+
+/**
+ * Formats diff entries as a CSV file for the Outlook import. Outlook has a
+ * fixed set of phone columns: each number goes to the first free column of
+ * its type, else to a spare one, and numbers left over are listed in
+ * `Notes`. The file starts with a byte order mark, without which Outlook
+ * and Excel read it in the legacy Windows code page.
+ *
+ * @param {Array<{contact: Object, name: string, missing: Array<Object>}>} entries
+ * @param {Object} options - Processor options.
+ */
+export function formatOutlookCsv(entries, options) {
+  const rows = entries.map((entry) => {
+    const {given, additional, family} = nameParts(entry);
+    const fields = getContactFields(entry.contact);
+    const [email1, email2, email3] = fields.EMAIL || [];
+    const row = {
+      'First Name': given,
+      'Middle Name': additional,
+      'Last Name': family,
+      Company: fields.ORG?.[0],
+      'Job Title': fields.TITLE?.[0],
+      'E-mail Address': email1,
+      'E-mail 2 Address': email2,
+      'E-mail 3 Address': email3,
+      'Home Street': fields.ADR?.[0],
+      Birthday: fields.BDAY?.[0],
+      'Web Page': fields.URL?.[0],
+    };
+    const notes = fields.NOTE || [];
+    const leftOver = [];
+    for (const {phone, telParams} of entry.missing) {
+      const [, preferred = []] =
+        OUTLOOK_PHONE_SLOTS.find(([types]) => hasTypes(telParams, types)) || [];
+      const column = [...preferred, ...OUTLOOK_SPARE_PHONES].find(
+        (slot) => !row[slot]
+      );
+      if (column) {
+        row[column] = phone;
+      } else {
+        leftOver.push(phone);
+      }
+    }
+    if (leftOver.length) notes.push(`Other numbers: ${leftOver.join(', ')}`);
+    row.Notes = notes.join('\n');
+    return row;
+  });
+  return '\ufeff' + formatCsv(OUTLOOK_COLUMNS, rows, lineBreak(options));
+}
@@ -0,0 +1,251 @@
+import {DEFAULT_FUZZY_THRESHOLD} from './names/fuzzy.js';
+
+// Phone column names for different formats
+export const PHONE_COLUMN_NAMES = [
+  'kc_phone',
+  'phone',
+  'phone_number',
+  'phone_no',
+  'phones',
+  'phone_numbers',
+  'phone_numbers_value',
+  'mobile',
+  'mobile_phone',
+  'mobile_number',
+  'mobile_no',
+  'cell',
+  'cell_phone',
+  'telephone',
+  'tel',
+  'contact',
+  'contact_no',
+  'contact_number',
+  'phone_value',
+  'phone_1_value',
+  'phone_2_value',
+  'phone_3_value',
+  'phone_4_value',
+  'phone_5_value',
+  'phone_6_value',
+  'phone_7_value',
+  'phone_8_value',
+  'phone_9_value',
+  'phone_10_value',
+  'phone_11_value',
+  'phone_12_value',
+  'phone_13_value',
+  'phone_14_value',
+  'phone_15_value',
+  'phone_16_value',
+  'car_phone',
+  'primary_phone',
+  'business_phone',
+  'business_phone_2',
+  'work_phone',
+  'home_phone',
+  'home_phone_2',
+  'other_phone',
+  'company_main_phone',
+];
+
+export const NAME_COLUMN_NAMES = [
+  'kc_name',
+  'name',
+  'display_name',
+  'names_display_name',
+  'first_name',
+  'last_name',
+  'given_name',
+  'short_name',
+  'maiden_name',
+  'middle_name',
+  'family_name',
+  'additional_name',
+  'yomi_name',
+  'given_name_yomi',
+  'additional_name_yomi',
+  'family_name_yomi',
+  'nickname',
+  'real_name',
+];
+
+// Normalized column names copied into exported vCards, per vCard property
+export const FIELD_COLUMN_NAMES = {
+  EMAIL: [
+    'email',
+    'e_mail',
+    'email_address',
+    'e_mail_address',
+    'e_mail_1_value',
+    'e_mail_2_value',
+    'e_mail_2_address',
+    'e_mail_3_address',
+    'home_email',
+    'business_email',
+  ],
+  ORG: ['organization', 'organization_name', 'organization_1_name', 'company'],
+  TITLE: ['title', 'job_title', 'organization_1_title'],
+  ADR: [
+    'address',
+    'home_address',
+    'business_address',
+    'address_1_formatted',
+    'address_2_formatted',
+  ],
+  BDAY: ['birthday', 'date_of_birth', 'dob'],
+  NOTE: ['note', 'notes'],
+  URL: ['website', 'url', 'web_page', 'website_1_value'],
+};
+
+/**
+ * Default options used when neither the command line nor a config file
+ * overrides them.
+ */
+export const DEFAULT_OPTIONS = {
+  // Directories or files holding the main contact lists
+  master: ['./master_files'],
+
+  // Directories or files holding the contact lists to compare against master
+  compare: ['./compare_files'],
+
+  // Labeled sources of the matrix command, e.g. {phone1: ['./exports/phone1']}
+  sources: {},
+
+  outputDir: 'output',
+
+  // Log every file in which this number is found (debugging aid)
+  traceNumber: '',
+
+  /**
+   * Determines the output format for Excel files.
+   *
+   * - If `true`, all data will be consolidated into a single output file.
+   * - If `false`, data will be split into separate XLSX files.
+   */
+  singleXlsxFile: true,
+
+  /**
+   * Determines whether to ensure unique names in the missing contacts list.
+   *
+   * - If `true`, duplicate names will be resolved by appending a count, starting with (1),
+   *   even for the first duplicate (e.g., "John (1)", "John (2)", "John (3)").
+   * - If `false`, duplicate names will remain unchanged, preserving their original form.
+   */
+  uniqueNames: true,
+
+  // Rules removing numbers read from master or compare files, or exported
+  // in the contact lists (see src/filters.js). `filterKeywords`,
+  // `blockedPhonePrefixes` and `blockedPhoneSuffixes` replace the rules of
+  // the same name
+  filterRules: [
+    {
+      name: 'filter-keywords',
+      apply: ['compare'],
+      match: {name: 'spam|All Bank Balance Enquiry No'},
+    },
+    {name: 'blocked-prefixes', apply: ['compare'], match: {phone: ['94544*']}},
+    {name: 'blocked-suffixes', apply: ['compare'], match: {phone: ['*000000']}},
+  ],
+
+  prefixIfNoName: 'KAS',
+
+  // Name given to contacts without one; fields of PLACEHOLDER_FIELDS in
+  // src/names/enrich.js, e.g. '{source} {phone}'
+  placeholderTemplate: '{prefix} {last5}',
+
+  // Give contacts without a real name the name another source uses for one
+  // of their numbers, before export
+  enrichNames: true,
+
+  // How the contact of a number held by several contacts of one side is
+  // chosen: criteria of NAME_POLICIES in src/names/policy.js, most important
+  // first. Ties, and an empty list, go to the contact read last
+  namePolicy: [],
+
+  // File globs in order of priority for the 'source-priority' criterion,
+  // e.g. ['master/phone.vcf', 'crm/*.csv']
+  sourcePriority: [],
+
+  // Region (ISO 3166-1 alpha-2) assumed for numbers written without a country code
+  defaultRegion: 'IN',
+
+  // Extra or overriding numbering rules, keyed by region code (see src/phone/regions.js)
+  phoneRegions: {},
+
+  // Drop compare numbers in fixed-line ranges of their country
+  mobileOnly: true,
+
+  // Normalized column names (see `normalizeColumnName`) holding phone numbers
+  phoneColumnNames: PHONE_COLUMN_NAMES,
+
+  // Normalized column names holding a contact's name, in order of preference
+  nameColumnNames: NAME_COLUMN_NAMES,
+
+  // Columns of CSV/XLSX rows exported as vCard properties (see FIELD_COLUMN_NAMES)
+  fieldColumnNames: FIELD_COLUMN_NAMES,
+
+  // vCard version of exported cards: '2.1' (older Android), '3.0' or '4.0'
+  vcfVersion: '4.0',
+
+  // Formats the contact lists are exported in: 'vcf', 'google-csv',
+  // 'outlook-csv', 'json' and 'jsonl' (see src/exporters.js)
+  exportFormats: ['vcf'],
+
+  // Contacts per VCF file; longer lists are split into numbered parts, which
+  // phones import more reliably than one huge file. 0 for one file per list
+  vcfChunkSize: 0,
+
+  // Add an X-SOURCE property to exported cards for the file and row or card
+  // each contact was read from, and each other place it was seen in
+  vcfSource: false,
+
+  // Add a NICKNAME property to exported cards with the other names used for
+  // the contact's numbers (see namePolicy)
+  vcfNicknames: false,
+
+  // Line endings of the VCF and CSV exports: 'crlf', as vCard requires, or 'lf'
+  lineEndings: 'crlf',
+
+  // Reports to write: 'missing' (in compare, not in master), 'extra' (in
+  // master, in no compare file), 'conflicts' (same number, other name) and
+  // 'duplicates' (other number, similar name)
+  reports: ['missing', 'extra', 'conflicts', 'duplicates'],
+
+  // Minimum name similarity, 0 to 1, for the possible duplicates report
+  fuzzyThreshold: DEFAULT_FUZZY_THRESHOLD,
+
+  // Column lists for files matching a glob, replacing the ones above, e.g.
+  // {'crm/*.csv': {phone: ['Cell #'], name: ['Full Name'], fields: {EMAIL: ['Mail']}}}
+  columnMappings: {},
+
+  // Sheets read from XLSX, XLS and ODS workbooks; empty for all sheets
+  sheets: [],
+
+  // Number of records read per batch from CSV, XLSX and VCF files
+  batchSize: 1000,
+
+  // Worker threads reading input files in parallel: 0 for one per CPU core,
+  // 1 to read every file in the main thread (see CLI_DEFAULTS)
+  workers: 1,
+
+  // Port the serve command listens on, on localhost only
+  port: 8080,
+
+  // Reuse the contacts of files unchanged since the last run (see
+  // src/cache.js), stored in `cacheDir`
+  cache: false,
+  cacheDir: '.cache/contacts',
+
+  // Parse every file again, replacing the cached contacts
+  rebuildCache: false,
+};
+
+/**
+ * Options the command line changes from DEFAULT_OPTIONS: it caches what it
+ * reads and uses every CPU core. Library users opt into both, so that
+ * embedding the processor writes no files and starts no threads unasked.
+ */
+export const CLI_DEFAULTS = {
+  workers: 0,
+  cache: true,
+};
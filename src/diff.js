@@ -0,0 +1,99 @@
+/**
+ * Reports a run can produce: contacts missing from master, contacts only in
+ * master, numbers saved under different names on the two sides, and
+ * contacts with different numbers whose names look alike.
+ */
+export const REPORTS = ['missing', 'extra', 'conflicts', 'duplicates'];
+
+/**
+ * How much of a contact is absent from the other side.
+ */
+export const MISSING_STATUS = {
+  // None of the contact's numbers are on the other side
+  FULLY: 'fully missing',
+  // Some numbers are on the other side; the others should be added to that contact
+  PARTIALLY: 'partially missing',
+};
+
+/**
+ * Groups numbers back into their contacts and checks each contact against
+ * the other side. Used in both directions: compare against master for
+ * missing contacts, master against compare for extra ones.
+ *
+ * A number found in several contacts belongs to the contact it is mapped to
+ * (see `NameResolver`), so a contact only keeps the numbers still mapped to
+ * it.
+ *
+ * @param {Map<string, Object>} contacts - Contact per E.164 number.
+ * @param {Map<string, Object>} reference - Contact per E.164 number on the other side.
+ * @returns {Array<{contact: Object, status: string, missing: Array<Object>, existing: Array<Object>, existingNames: string[]}>}
+ *   One entry per contact with at least one number absent from `reference`.
+ *   `missing` and `existing` hold the contact's `{phone, telParams}` entries;
+ *   `existingNames` the names under which `reference` knows the existing ones.
+ */
+export function findMissingContacts(contacts, reference) {
+  const result = [];
+  for (const contact of new Set(contacts.values())) {
+    const phones = contact.phones.filter(
+      ({phone}) => contacts.get(phone) === contact
+    );
+    const missing = phones.filter(({phone}) => !reference.has(phone));
+    if (!missing.length) continue;
+
+    const existing = phones.filter(({phone}) => reference.has(phone));
+    const existingNames = [
+      ...new Set(
+        existing.map(({phone}) => reference.get(phone).name).filter(Boolean)
+      ),
+    ];
+    result.push({
+      contact,
+      status: existing.length ? MISSING_STATUS.PARTIALLY : MISSING_STATUS.FULLY,
+      missing,
+      existing,
+      existingNames,
+    });
+  }
+  return result;
+}
+
+function sameName(a, b) {
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * Finds compare contacts holding numbers that master saves under another
+ * name. Numbers without a real name on either side (empty, or a
+ * placeholder like `Caller 5`, see `isPlaceholderName`) are not conflicts.
+ *
+ * @param {Map<string, Object>} compareContacts - Compare contact per E.164 number.
+ * @param {Map<string, Object>} masterContacts - Master contact per E.164 number.
+ * @returns {Array<{contact: Object, masterNames: string[], conflicts: Array<Object>}>}
+ *   One entry per compare contact; `conflicts` holds its `{phone, telParams}`
+ *   entries whose master name differs.
+ */
+export function findNameConflicts(compareContacts, masterContacts) {
+  const byContact = new Map();
+  for (const [phone, contact] of compareContacts) {
+    const master = masterContacts.get(phone);
+    if (
+      !master ||
+      !master.name ||
+      master.placeholderName ||
+      contact.placeholderName
+    ) {
+      continue;
+    }
+    if (sameName(master.name, contact.name)) continue;
+
+    if (!byContact.has(contact)) {
+      byContact.set(contact, {contact, masterNames: [], conflicts: []});
+    }
+    const entry = byContact.get(contact);
+    entry.conflicts.push(contact.phones.find((p) => p.phone === phone));
+    if (!entry.masterNames.includes(master.name)) {
+      entry.masterNames.push(master.name);
+    }
+  }
+  return [...byContact.values()];
+}
@@ -0,0 +1,131 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {escapeValue, formatVcard} from './vcf/writer.js';
+import {toVcardProperties} from './vcf/contact-card.js';
+import {formatGoogleCsv, formatOutlookCsv, lineBreak} from './csv/writer.js';
+import {formatJson, formatJsonl} from './json/writer.js';
+import {describeSighting} from './provenance.js';
+
+// Properties of a card with a NICKNAME listing the other names used for its
+// numbers, when it has any
+function withNicknames(properties, {alsoKnownAs = []}) {
+  if (!alsoKnownAs.length) return properties;
+  return [
+    ...properties,
+    {
+      group: '',
+      name: 'NICKNAME',
+      params: {},
+      value: alsoKnownAs.map(escapeValue).join(','),
+    },
+  ];
+}
+
+// Properties of a card with one X-SOURCE per place the contact was read or
+// seen in; those of a card exported by an earlier run are replaced
+function withSourceProperties(properties, {origin, seenIn = []}) {
+  return [
+    ...properties.filter(({name}) => name.toUpperCase() !== 'X-SOURCE'),
+    ...[origin, ...seenIn].filter(Boolean).map((place) => ({
+      group: '',
+      name: 'X-SOURCE',
+      params: {},
+      value: escapeValue(describeSighting(place)),
+    })),
+  ];
+}
+
+/**
+ * Formats lists of contacts can be exported in, by name. Each exporter has the
+ * `extension` of its files and a `format(entries, options)` function
+ * returning their content; `chunked` exporters split long lists into files
+ * of `options.vcfChunkSize` contacts.
+ *
+ * Entries are `{contact, name, missing}` with the exported `name` and the
+ * `{phone, telParams}` numbers to export; entries of missing and extra
+ * reports also carry their `status`, `existing` and `existingNames`. More
+ * exporters can be passed to the library as `options.exporters`.
+ */
+export const EXPORTERS = {
+  vcf: {
+    extension: '.vcf',
+    chunked: true,
+    format: (entries, options) =>
+      entries
+        .map(({contact, name, missing}) => {
+          let properties = toVcardProperties(contact, name, missing);
+          if (options.vcfNicknames) {
+            properties = withNicknames(properties, contact);
+          }
+          if (options.vcfSource) {
+            properties = withSourceProperties(properties, contact);
+          }
+          return formatVcard(properties, {
+            version: options.vcfVersion,
+            eol: lineBreak(options),
+          });
+        })
+        .join(''),
+  },
+  'google-csv': {extension: '.google.csv', format: formatGoogleCsv},
+  'outlook-csv': {extension: '.outlook.csv', format: formatOutlookCsv},
+  json: {extension: '.json', format: formatJson},
+  jsonl: {extension: '.jsonl', format: formatJsonl},
+};
+
+export const EXPORT_FORMATS = Object.keys(EXPORTERS);
+
+// Values of `options.lineEndings`, used by the VCF and CSV exports
+export const LINE_ENDINGS = ['crlf', 'lf'];
+
+/**
+ * Looks up an exporter among `options.exporters` and `EXPORTERS`.
+ *
+ * @param {string} format
+ * @param {Object} options - Processor options.
+ * @throws {Error} When no exporter has that name.
+ */
+export function getExporter(format, options) {
+  const exporter = options.exporters?.[format] || EXPORTERS[format];
+  if (!exporter) throw new Error(`Unknown export format: ${format}`);
+  return exporter;
+}
+
+/**
+ * Writes a list of contacts once per format of `options.exportFormats`, to
+ * `<baseName><extension>`. Lists of a chunked format longer than
+ * `options.vcfChunkSize` go to `<baseName>_part_<n><extension>` files
+ * instead.
+ *
+ * @param {string} outputDir
+ * @param {string} baseName - File name without extension.
+ * @param {Array<Object>} entries - See `EXPORTERS`.
+ * @param {Object} options - Processor options.
+ * @returns {Promise<string[]>} Paths of the written files.
+ */
+export async function writeContactList(outputDir, baseName, entries, options) {
+  const written = [];
+  for (const format of options.exportFormats) {
+    const {
+      extension,
+      chunked,
+      format: formatEntries,
+    } = getExporter(format, options);
+    const size = chunked ? options.vcfChunkSize : 0;
+    const parts = [];
+    if (size && entries.length > size) {
+      for (let i = 0; i < entries.length; i += size) {
+        parts.push(entries.slice(i, i + size));
+      }
+    } else {
+      parts.push(entries);
+    }
+    for (const [i, part] of parts.entries()) {
+      const suffix = parts.length > 1 ? `_part_${i + 1}` : '';
+      const filePath = path.join(outputDir, baseName + suffix + extension);
+      await fs.writeFile(filePath, formatEntries(part, options));
+      written.push(filePath);
+    }
+  }
+  return written;
+}
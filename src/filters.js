@@ -0,0 +1,218 @@
+import {
+  getPhoneNormalizer,
+  globToRegExp,
+  normalizeColumnName,
+} from './input.js';
+
+/**
+ * What a rule does with the numbers it matches. A number is decided by the
+ * first rule of its scope that matches it; numbers matching none are kept,
+ * unless the scope has `include` rules.
+ */
+export const FILTER_ACTIONS = ['exclude', 'include'];
+
+/**
+ * Scopes a rule can apply to: numbers read from master or compare files
+ * (or a matrix source, by its label), and numbers of the exported lists.
+ */
+export const FILTER_SCOPES = ['master', 'compare', 'output'];
+
+// Counted instead of a rule name for numbers that no `include` rule took
+export const NOT_INCLUDED = 'not included';
+
+// Older options each turned into the rule of the same name among the
+// default rules, which they replace
+const LEGACY_RULES = {
+  filterKeywords: (keywords) => ({
+    name: 'filter-keywords',
+    match: {
+      name: keywords
+        .map((keyword) => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|'),
+    },
+  }),
+  blockedPhonePrefixes: (prefixes) => ({
+    name: 'blocked-prefixes',
+    match: {phone: prefixes.map((prefix) => `${prefix}*`)},
+  }),
+  blockedPhoneSuffixes: (suffixes) => ({
+    name: 'blocked-suffixes',
+    match: {phone: suffixes.map((suffix) => `*${suffix}`)},
+  }),
+};
+
+/**
+ * The filter rules of a run: `options.filterRules`, with the rules given
+ * through `filterKeywords`, `blockedPhonePrefixes` and
+ * `blockedPhoneSuffixes` in place of those of the same name. An empty list
+ * removes its rule.
+ *
+ * @param {Object} options - Processor options.
+ * @returns {Array<Object>}
+ */
+export function resolveFilterRules(options) {
+  let rules = options.filterRules || [];
+  for (const [key, toRule] of Object.entries(LEGACY_RULES)) {
+    const values = options[key];
+    if (!values) continue;
+    const rule = {...toRule(values), apply: ['compare']};
+    rules = rules.filter(({name}) => name !== rule.name);
+    if (values.length) rules.push(rule);
+  }
+  return rules;
+}
+
+const toList = (value) => (value === undefined ? null : [].concat(value));
+
+/**
+ * Pattern matching a phone number against a phone glob: `*` stands for any
+ * digits and `?` for one. The whole number must match.
+ *
+ * @param {string} glob - e.g. `94544*`, `*000000` or `+9715?1*`.
+ */
+export function phoneGlobToRegExp(glob) {
+  const pattern = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '\\d*')
+    .replace(/\?/g, '\\d');
+  return new RegExp(`^${pattern}$`);
+}
+
+// Whether a length condition, `10` or `{min, max}`, holds for a length
+function lengthMatches(condition, length) {
+  if (typeof condition === 'number') return length === condition;
+  const {min = 0, max = Infinity} = condition;
+  return length >= min && length <= max;
+}
+
+/**
+ * Builds the test of a rule's `match` conditions, all of which must hold:
+ * - `name`: regular expression found in the contact name, ignoring case;
+ * - `phone`: phone globs, one of which matches the national number, the
+ *   E.164 number or the E.164 number without `+`;
+ * - `length`: digit count of the national number, `10` or `{min, max}`;
+ * - `file`: globs of the file the contact was read from, as for
+ *   `columnMappings`;
+ * - `column`: columns the number was read from, normalized like headers;
+ *   numbers of vCards have none.
+ * A rule without conditions matches every number.
+ *
+ * @param {Object} match
+ * @returns {(contact: Object, entry: Object, phone: Object) => boolean}
+ */
+function compileMatch({name, phone, length, file, column}) {
+  const namePattern = name === undefined ? null : new RegExp(name, 'i');
+  const phonePatterns = toList(phone)?.map(phoneGlobToRegExp);
+  const filePatterns = toList(file)?.map(globToRegExp);
+  const columns = toList(column)?.map(normalizeColumnName);
+
+  return (contact, entry, phoneResult) => {
+    if (namePattern && !namePattern.test(contact.name || '')) return false;
+    const forms = phoneResult.ok
+      ? [
+          phoneResult.nationalNumber,
+          phoneResult.e164,
+          phoneResult.e164.slice(1),
+        ]
+      : [entry.phone];
+    if (
+      phonePatterns &&
+      !phonePatterns.some((pattern) => forms.some((form) => pattern.test(form)))
+    ) {
+      return false;
+    }
+    if (
+      length !== undefined &&
+      !lengthMatches(length, forms[0].replace(/\D/g, '').length)
+    ) {
+      return false;
+    }
+    if (filePatterns) {
+      const filePath = (contact.origin?.file || '').replace(/\\/g, '/');
+      if (!filePatterns.some((pattern) => pattern.test(filePath))) {
+        return false;
+      }
+    }
+    return !columns || columns.includes(entry.column);
+  };
+}
+
+/**
+ * Decides which numbers the filter rules of a run remove, and counts the
+ * contacts each rule removed numbers of.
+ *
+ * Rules are `{name, action, apply, match}`: a unique `name`, the `action`
+ * (`exclude` by default, see `FILTER_ACTIONS`), the scopes they `apply` to
+ * (`['compare']` by default, see `FILTER_SCOPES`) and the `match`
+ * conditions, see `compileMatch`.
+ */
+export class ContactFilter {
+  /**
+   * @param {Object} options - Processor options, see `resolveFilterRules`.
+   */
+  constructor(options) {
+    this.rules = resolveFilterRules(options).map(
+      ({name, action = 'exclude', apply = ['compare'], match = {}}) => ({
+        name,
+        action,
+        apply,
+        matches: compileMatch(match),
+      })
+    );
+    this.normalize = getPhoneNormalizer(options);
+    // Rule name to the contacts it removed numbers of
+    this.removed = new Map();
+  }
+
+  /**
+   * Whether any rule applies to a scope.
+   *
+   * @param {string} scope
+   */
+  appliesTo(scope) {
+    return this.rules.some(({apply}) => apply.includes(scope));
+  }
+
+  /**
+   * Checks one number of a contact against the rules of a scope.
+   *
+   * @param {string} scope - One of `FILTER_SCOPES` or a matrix source label.
+   * @param {Object} contact - Contact returned by `createContactKey`.
+   * @param {{phone: string, column?: string}} entry - One of its `phones`.
+   * @returns {string | null} The name of the rule removing the number, or
+   *   `NOT_INCLUDED`; `null` when the number is kept.
+   */
+  check(scope, contact, entry) {
+    const rules = this.rules.filter(({apply}) => apply.includes(scope));
+    if (!rules.length) return null;
+    const phoneResult = this.normalize(entry.phone);
+    const rule = rules.find(({matches}) =>
+      matches(contact, entry, phoneResult)
+    );
+    let removedBy = null;
+    if (rule) {
+      if (rule.action === 'exclude') removedBy = rule.name;
+    } else if (rules.some(({action}) => action === 'include')) {
+      removedBy = NOT_INCLUDED;
+    }
+    if (removedBy) {
+      if (!this.removed.has(removedBy)) this.removed.set(removedBy, new Set());
+      this.removed.get(removedBy).add(contact);
+    }
+    return removedBy;
+  }
+
+  /**
+   * @returns {Object<string, number>} Per rule, the number of contacts it
+   *   removed numbers of, with `NOT_INCLUDED` when there are include rules.
+   */
+  counts() {
+    const names = this.rules.map(({name}) => name);
+    if (this.rules.some(({action}) => action === 'include')) {
+      names.push(NOT_INCLUDED);
+    }
+    return Object.fromEntries(
+      names.map((name) => [name, this.removed.get(name)?.size || 0])
+    );
+  }
+}
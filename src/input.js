@@ -0,0 +1,845 @@
+import fs from 'fs/promises';
+import {createReadStream} from 'fs';
+import path from 'path';
+import {Readable} from 'stream';
+import {parse} from 'csv-parse';
+import XLSX from 'xlsx';
+import {REJECT_REASONS} from './rejections.js';
+import {getProperties, readVcfCards} from './vcf/reader.js';
+import {
+  getCardDetails,
+  getCardName,
+  getColumnTelParams,
+  getRowDetails,
+  getTelParams,
+} from './vcf/contact-card.js';
+import {createPhoneNormalizer} from './phone/normalize.js';
+import {
+  flattenJsonRecord,
+  parseJsonContacts,
+  readJsonLines,
+} from './json/reader.js';
+import {isSqliteDatabase, readAndroidContacts} from './android/reader.js';
+import {applyPreset} from './presets.js';
+
+export const FILE_TYPES = {
+  VCF: '.vcf',
+  CSV: '.csv',
+  XLSX: '.xlsx',
+};
+
+// Extensions `readContactFile` reads; files with any other are reported as
+// unsupported
+export const CONTACT_FILE_EXTENSIONS = [
+  '.vcf',
+  '.csv',
+  '.xlsx',
+  '.xls',
+  '.ods',
+  '.json',
+  '.jsonl',
+  '.ndjson',
+  '.db',
+];
+
+// Formats whose rows all have the columns of a header row
+const HEADER_FORMATS = ['.csv', '.xlsx', '.xls', '.ods'];
+
+// Rows of a sheet searched for its header row
+const HEADER_SCAN_ROWS = 20;
+
+async function* walkDirectory(dir) {
+  const files = await fs.readdir(dir);
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    const stat = await fs.stat(filePath);
+    if (stat.isDirectory()) {
+      yield* walkDirectory(filePath);
+    } else {
+      yield filePath;
+    }
+  }
+}
+
+/**
+ * Yields every file under the given paths. Each path may be a directory,
+ * which is walked recursively, or a single file.
+ *
+ * @param {string[]} paths - Directories and/or files to walk.
+ */
+export async function* walkPaths(paths) {
+  for (const inputPath of paths) {
+    const stat = await fs.stat(inputPath);
+    if (stat.isDirectory()) {
+      yield* walkDirectory(inputPath);
+    } else {
+      yield inputPath;
+    }
+  }
+}
+
+/**
+ * Yields the inputs of one side as `{file, data}`. Paths are walked like
+ * `walkPaths` and yield only `file`; in-memory inputs are passed through.
+ *
+ * An in-memory input is an object `{name, data, format}`:
+ * - `data` is the file content as a string, Buffer or readable stream, or an
+ *   array of rows keyed by column name, read like CSV rows;
+ * - `format` is `vcf`, `csv`, `xlsx`, `xls`, `ods`, `json`, `jsonl`, `ndjson`
+ *   or `db`, taken from the extension of `name` when omitted;
+ * - `name` identifies the input in rejections and events.
+ *
+ * @param {Array<string | {name?: string, data: unknown, format?: string}>} inputs
+ * @param {string} side - Used to name inputs given without a name.
+ */
+export async function* walkInputs(inputs, side) {
+  for (const [i, input] of inputs.entries()) {
+    if (typeof input === 'string') {
+      for await (const file of walkPaths([input])) {
+        yield {file};
+      }
+      continue;
+    }
+    const file = input.name || `${side}[${i}]`;
+    const ext = input.format
+      ? `.${input.format.toLowerCase()}`
+      : path.extname(file).toLowerCase();
+    yield {file, data: input.data, ext};
+  }
+}
+
+const phoneNormalizers = new WeakMap();
+
+/**
+ * Returns the phone normalizer for a set of processor options, creating it
+ * on first use.
+ *
+ * @param {Object} options - Processor options.
+ */
+export function getPhoneNormalizer(options) {
+  let normalizer = phoneNormalizers.get(options);
+  if (!normalizer) {
+    normalizer = createPhoneNormalizer({
+      defaultRegion: options.defaultRegion,
+      regions: options.phoneRegions,
+    });
+    phoneNormalizers.set(options, normalizer);
+  }
+  return normalizer;
+}
+
+/**
+ * Pattern matching file paths against a glob: `*` and `?` within one path
+ * segment, `**` across segments. The pattern is matched against the end of
+ * the path, so `*.csv` matches CSV files in any directory and
+ * `crm/*.csv` those in any directory named `crm`.
+ *
+ * @param {string} glob
+ */
+export function globToRegExp(glob) {
+  const pattern = glob
+    .replace(/\\/g, '/')
+    .split(/(\*\*\/?|\*|\?)/)
+    .map((part) => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`(?:^|/)${pattern}$`);
+}
+
+const resolvedColumnOptions = new WeakMap();
+
+/**
+ * Options for reading one file: the column lists of `options`, replaced by
+ * those of every entry of `options.columnMappings` whose glob matches the
+ * file, in order. A mapping entry may set `phone`, `name` (column names in
+ * order of preference) and `fields` (column names per vCard property); the
+ * names are normalized like headers. Returns `options` itself when no
+ * entry matches.
+ *
+ * @param {Object} options - Processor options.
+ * @param {string} file - File path or in-memory input name.
+ */
+export function resolveColumnOptions(options, file) {
+  const mappings = Object.entries(options.columnMappings || {});
+  const filePath = file.replace(/\\/g, '/');
+  const matching = mappings.filter(([glob]) =>
+    globToRegExp(glob).test(filePath)
+  );
+  if (!matching.length) return options;
+
+  // Kept per set of matching globs, so that files sharing one also share
+  // the phone normalizer
+  let cache = resolvedColumnOptions.get(options);
+  if (!cache) {
+    cache = new Map();
+    resolvedColumnOptions.set(options, cache);
+  }
+  const key = JSON.stringify(matching.map(([glob]) => glob));
+  if (!cache.has(key)) {
+    const resolved = {...options};
+    const normalize = (columns) => columns.map(normalizeColumnName);
+    for (const [, {phone, name, fields}] of matching) {
+      if (phone) resolved.phoneColumnNames = normalize(phone);
+      if (name) resolved.nameColumnNames = normalize(name);
+      if (fields) {
+        resolved.fieldColumnNames = Object.fromEntries(
+          Object.entries(fields).map(([property, columns]) => [
+            property.toUpperCase(),
+            normalize(columns),
+          ])
+        );
+      }
+    }
+    phoneNormalizers.set(resolved, getPhoneNormalizer(options));
+    cache.set(key, resolved);
+  }
+  return cache.get(key);
+}
+
+/**
+ * Role of a CSV/XLSX column for a file: `phone` and `name` columns are read
+ * as such, `field` columns copied into exported cards as `property`.
+ *
+ * @param {string} column - Normalized column name.
+ * @param {Object} options - Options of the file, see `resolveColumnOptions`.
+ * @returns {{role: 'phone' | 'name' | 'field', property?: string} | null}
+ */
+export function columnRole(column, options) {
+  if (options.phoneColumnNames.includes(column)) return {role: 'phone'};
+  if (options.nameColumnNames.includes(column)) return {role: 'name'};
+  for (const [property, columns] of Object.entries(options.fieldColumnNames)) {
+    if (columns.includes(column)) return {role: 'field', property};
+  }
+  return null;
+}
+
+/**
+ * Normalizes a raw phone value to E.164.
+ *
+ * @param {unknown} phone - Raw value from a contact file.
+ * @param {Object} options - Processor options.
+ * @returns {string} The E.164 number, or `''` when the value is not a valid phone number.
+ */
+export function standardizePhoneNumber(phone, options) {
+  const result = getPhoneNormalizer(options)(phone);
+  return result.ok ? result.e164 : '';
+}
+
+export function normalizeColumnName(text) {
+  const o = text
+    .toLowerCase()
+    .toString()
+    // Replace multiple spaces with single underscore
+    .replace(/\s+/g, '_')
+    // Replace multiple dashes with single underscore
+    .replace(/-+/g, '_')
+    // Replace any other special characters with underscore
+    .replace(/[^a-z0-9_]/g, '_')
+    // Replace multiple consecutive underscores with single underscore
+    .replace(/_+/g, '_')
+    // Remove leading and trailing underscores
+    .replace(/^_+|_+$/g, '');
+  return o;
+}
+
+// Content of an in-memory input as a byte stream
+export function toStream(data) {
+  return data instanceof Readable
+    ? data
+    : Readable.from([data], {objectMode: false});
+}
+
+async function toBuffer(data) {
+  if (Buffer.isBuffer(data)) return data;
+  if (typeof data === 'string') return Buffer.from(data);
+  const chunks = [];
+  for await (const chunk of toStream(data)) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Creates a CSV parser stream. Each record is yielded as `{record, info}`,
+ * where `info.lines` is the line number the record ends on.
+ *
+ * @param {string | Readable} file - CSV file path or a stream of its content.
+ * @param {number} batchSize - Records per batch.
+ * @param {Object} [source] - Read cursor; skipped records are logged to its
+ *   rejections, and its `onBytes` is called with the bytes read so far from a file path.
+ */
+export function createCsvStream(file, batchSize, source) {
+  const parser = parse({
+    columns: (header) => header.map(normalizeColumnName),
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true,
+    relax_quotes: true,
+    quote: '"',
+    escape: '"',
+    bom: true,
+    skip_records_with_error: true,
+    info: true,
+    batchSize,
+  });
+  if (source) {
+    parser.on('skip', (error) => {
+      source.rejections.add({
+        side: source.side,
+        file: source.file,
+        index: error.lines,
+        reason: REJECT_REASONS.CSV_RECORD_ERROR,
+        detail: error.message,
+      });
+    });
+  }
+  let input = file;
+  if (typeof file === 'string') {
+    input = createReadStream(file, {highWaterMark: batchSize * 1024});
+    input.on('data', () => source?.onBytes?.(input.bytesRead));
+    // Readers may stop early, e.g. the schema report
+    parser.on('close', () => input.destroy());
+  }
+  return input.pipe(parser);
+}
+
+/**
+ * Digits of a number written in scientific notation, e.g. `9.19812345678E+11`,
+ * when every digit is given. Text that lost digits to rounding, e.g.
+ * `9.19812E+11`, is returned unchanged.
+ *
+ * @param {string} text
+ */
+export function expandScientific(text) {
+  const match = /^\s*(\d)(?:\.(\d+))?e\+?(\d+)\s*$/i.exec(text);
+  if (!match) return text;
+  const [, first, fraction = '', exponent] = match;
+  return fraction.length === Number(exponent) ? first + fraction : text;
+}
+
+/**
+ * Text of a worksheet cell: the text shown in the spreadsheet, except that
+ * numbers shown in scientific notation are written out in full, so that a
+ * phone number stored as a numeric cell keeps all of its digits.
+ *
+ * @param {Object} cell - SheetJS cell object.
+ */
+export function cellText(cell) {
+  const shown = cell.w ?? String(cell.v ?? '');
+  if (cell.t === 'n' && /e[+-]?\d/i.test(shown)) {
+    return Number.isSafeInteger(cell.v)
+      ? String(cell.v)
+      : expandScientific(shown);
+  }
+  if (cell.t === 's') return expandScientific(shown);
+  return shown;
+}
+
+/**
+ * Index of the header row among the first rows of a sheet: the first row
+ * naming a known phone or name column, otherwise the first non-empty row.
+ * Title rows above the header are skipped this way.
+ *
+ * @param {Array<string[]>} rows - Cell texts per row.
+ * @param {Object} options - Processor options.
+ * @returns {number} -1 when the sheet is empty.
+ */
+function findHeaderRow(rows, options) {
+  const known = new Set([
+    ...options.phoneColumnNames,
+    ...options.nameColumnNames,
+  ]);
+  const scanned = rows.slice(0, HEADER_SCAN_ROWS);
+  const named = scanned.findIndex((row) =>
+    row.some((text) => known.has(normalizeColumnName(text)))
+  );
+  return named !== -1 ? named : scanned.findIndex((row) => row.some(Boolean));
+}
+
+/**
+ * Reads the rows of every sheet of a workbook (XLSX, XLS or ODS), or of
+ * the sheets named in `options.sheets`, straight from the cells. Each row
+ * below the header row of its sheet is yielded as `{record, info}` like
+ * the CSV parser does, keyed by normalized column name, with `info.lines`
+ * the row number in the sheet and `info.sheet` the sheet name. Columns
+ * without a header are named `column_<n>`; empty rows are skipped.
+ *
+ * @param {Buffer} content - Workbook content.
+ * @param {Object} options - Processor options.
+ */
+export function* readXlsxFile(content, options) {
+  const workbook = XLSX.read(content);
+  const sheets = options.sheets?.length
+    ? workbook.SheetNames.filter((name) => options.sheets.includes(name))
+    : workbook.SheetNames;
+
+  for (const sheet of sheets) {
+    const worksheet = workbook.Sheets[sheet];
+    if (!worksheet['!ref']) continue;
+    const range = XLSX.utils.decode_range(worksheet['!ref']);
+    const rows = [];
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      const row = [];
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        const cell = worksheet[XLSX.utils.encode_cell({r, c})];
+        row.push(cell ? cellText(cell).trim() : '');
+      }
+      rows.push(row);
+    }
+
+    const headerRow = findHeaderRow(rows, options);
+    if (headerRow === -1) continue;
+    const columns = rows[headerRow].map(
+      (text, c) => normalizeColumnName(text) || `column_${c + 1}`
+    );
+    for (let i = headerRow + 1; i < rows.length; i++) {
+      if (!rows[i].some(Boolean)) continue;
+      const record = {};
+      for (const [c, column] of columns.entries()) {
+        // Of columns sharing a name, the first one holding a value wins
+        record[column] = record[column] || rows[i][c];
+      }
+      yield {record, info: {lines: range.s.r + i + 1, sheet}};
+    }
+  }
+}
+
+const GIVEN_NAME_COLUMNS = ['first_name', 'given_name'];
+
+// Values of a cell holding several, e.g. `+91 98123 45678 ::: 98765 43210`
+function splitValues(text) {
+  return String(text ?? '')
+    .split(':::')
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+// Labels of a label column, one per value of the column it labels; empty
+// labels keep their place
+function splitLabels(text) {
+  return String(text ?? '')
+    .split(':::')
+    .map((value) => value.trim());
+}
+
+// Column labelling the numbers of a `<x>_value` column: `<x>_label` or, in
+// older Google exports, `<x>_type`
+function labelColumn(row, column) {
+  if (!column.endsWith('_value')) return undefined;
+  const prefix = column.slice(0, -'value'.length);
+  return [`${prefix}label`, `${prefix}type`].find((name) => row[name]);
+}
+
+function joinNameParts(row) {
+  return [
+    row.first_name || row.given_name,
+    row.middle_name || row.additional_name,
+    row.last_name || row.family_name,
+  ]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Extracts a `{name, phones, vcard, origin}` contact from a parsed VCF card
+ * or CSV/XLSX row. `phones` holds one `{phone, telParams}` entry per
+ * distinct valid number, with the `column` it was read from for rows;
+ * `vcard` the card data exported for missing
+ * contacts: the structured name and all other properties; `origin` where
+ * the contact was read: `{file, format, sheet, index}`, with the `format`
+ * of the input (`csv`, `vcf`, ... or `rows` for in-memory rows) and the
+ * row or card `index` (see `readContactFile`).
+ *
+ * @param {Object} contact - Parsed vCard (see src/vcf/reader.js) or row keyed by normalized column name.
+ * @param {Object} source - Read cursor: `{side, file, data, ext, index, sheet, rejections, onTrace}`.
+ * @param {string} fileType - One of `FILE_TYPES`.
+ * @param {Object} options - Processor options.
+ * @returns {{name: string, phones: Array<Object>, vcard: Object} | null}
+ *   `null` when no valid number was found.
+ */
+export function createContactKey(contact, source, fileType, options) {
+  const {traceNumber} = options;
+  if (traceNumber && JSON.stringify(contact).includes(traceNumber)) {
+    source.onTrace?.(`found ${traceNumber} in ${source.file}`);
+  }
+  let phones = [];
+  let name = '';
+  let details = {};
+  const rejectedValues = [];
+
+  // For VCF format
+  if (fileType === FILE_TYPES.VCF) {
+    for (const tel of getProperties(contact, 'tel')) {
+      const result = getPhoneNormalizer(options)(tel.value);
+      if (result.ok) {
+        phones.push({phone: result.e164, telParams: getTelParams(tel)});
+      } else {
+        rejectedValues.push({result, detail: 'TEL'});
+      }
+    }
+    name = getCardName(contact);
+    details = getCardDetails(contact);
+  }
+
+  if (fileType === FILE_TYPES.CSV || fileType === FILE_TYPES.XLSX) {
+    // For CSV/Excel format: numbers are only taken from phone columns, so
+    // that IDs and postal codes in other columns are not mistaken for them
+    const columnNames = Object.keys(contact);
+    for (const fieldName of columnNames) {
+      if (
+        !contact[fieldName] ||
+        !options.phoneColumnNames.includes(fieldName)
+      ) {
+        continue;
+      }
+      // A column may hold several numbers, e.g. `Phone 1 - Value` of Google
+      // exports, each typed by the matching entry of its label column
+      const labels = splitLabels(contact[labelColumn(contact, fieldName)]);
+      for (const [i, value] of splitValues(contact[fieldName]).entries()) {
+        const result = getPhoneNormalizer(options)(value);
+        if (!result.ok) {
+          rejectedValues.push({result, detail: `column ${fieldName}`});
+          continue;
+        }
+        const label = labels[i] ?? labels[0];
+        phones.push({
+          phone: result.e164,
+          column: fieldName,
+          telParams: label
+            ? getColumnTelParams(label.replace(/^\*\s*/, '').toLowerCase())
+            : getColumnTelParams(fieldName),
+        });
+      }
+    }
+
+    // Get name from any matching column; a first name is completed with the
+    // middle and last name columns
+    for (const fieldName of options.nameColumnNames) {
+      if (contact[fieldName]) {
+        name = GIVEN_NAME_COLUMNS.includes(fieldName)
+          ? joinNameParts(contact)
+          : contact[fieldName];
+        break;
+      }
+    }
+    details = getRowDetails(contact, options.fieldColumnNames);
+  }
+
+  // clean up name by removing spacees and special characters but keep hindi urdu english characters
+  name = cleanupName(name);
+  for (const {result, detail} of rejectedValues) {
+    source.rejections.add({
+      side: source.side,
+      file: source.file,
+      index: source.index,
+      sheet: source.sheet,
+      raw: result.value,
+      name,
+      reason: result.reason,
+      detail,
+    });
+  }
+  // The same number may be listed more than once, e.g. as mobile and as
+  // WhatsApp number; the first entry is kept
+  phones = phones.filter(
+    ({phone}, i) => phones.findIndex((p) => p.phone === phone) === i
+  );
+  if (!phones.length) return null;
+  const origin = {
+    file: source.file,
+    format: Array.isArray(source.data)
+      ? 'rows'
+      : inputFormat(source).replace(/^\./, ''),
+    sheet: source.sheet || '',
+    index: source.index,
+  };
+  return {name, phones, vcard: details, origin};
+}
+
+export function cleanupName(name) {
+  const cleanName = name
+    .trim()
+    // Keep Hindi (Devanagari), Urdu, English letters, numbers, spaces, and common symbols
+    .replace(/[^\u0900-\u097F\u0600-\u06FF\w\s\+\/\(\)\[\]]/g, '')
+    // Replace multiple spaces with single space
+    .replace(/\s+/g, ' ')
+    // remove leading and trailing slashes
+    .replace(/^\/+|\/+$/g, '')
+    .trim();
+
+  if (cleanName != name) {
+    // console.log(`Cleaned name: ${cleanName} from ${name}`);
+    // const outputName = `${name} -> ${cleanName}`;
+    // return outputName;
+  }
+
+  return cleanName;
+}
+
+// Row keyed by normalized column name, with every value as trimmed text
+function toRecord(row) {
+  return Object.fromEntries(
+    Object.entries(row).map(([column, value]) => [
+      normalizeColumnName(column),
+      value == null ? '' : String(value).trim(),
+    ])
+  );
+}
+
+// Rows given in memory, numbered like CSV lines below a header
+function* readRecords(records) {
+  for (const [i, row] of records.entries()) {
+    yield {record: toRecord(row), info: {lines: i + 2}};
+  }
+}
+
+// Logs a JSON value or line that holds no contact
+function rejectJsonRecord(source, index, detail) {
+  source.rejections.add({
+    side: source.side,
+    file: source.file,
+    index,
+    reason: REJECT_REASONS.JSON_RECORD_ERROR,
+    detail,
+  });
+}
+
+// Row of one contact object of a JSON dump; `null` for other values,
+// which are rejected
+function readJsonRecord(item, source, index) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    rejectJsonRecord(source, index, 'not a contact object');
+    return null;
+  }
+  return toRecord(flattenJsonRecord(item));
+}
+
+/**
+ * Extension telling the format of an input: its `ext`, for in-memory
+ * inputs, or the extension of its file name.
+ *
+ * @param {{file: string, ext?: string}} source
+ */
+export function inputFormat(source) {
+  return source.ext ?? path.extname(source.file).toLowerCase();
+}
+
+// First bytes of a file, without reading the rest
+async function readHeader(file, length) {
+  const handle = await fs.open(file);
+  try {
+    const {buffer, bytesRead} = await handle.read({
+      buffer: Buffer.alloc(length),
+    });
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Whether `readContactFile` reads an input: rows given in memory and files
+ * of `CONTACT_FILE_EXTENSIONS`, `.db` files only when they are SQLite
+ * databases. Only the header of a `.db` file is read here; the database is
+ * opened once, by `readRows`. Streams cannot be looked into and are taken
+ * as they are.
+ *
+ * @param {{file: string, data?: unknown, ext?: string}} input - Input of
+ *   `walkInputs`.
+ */
+export async function isContactInput(input) {
+  const {file, data} = input;
+  if (Array.isArray(data)) return true;
+  const format = inputFormat(input);
+  if (!CONTACT_FILE_EXTENSIONS.includes(format)) return false;
+  if (format !== '.db' || data instanceof Readable) return true;
+  return isSqliteDatabase(
+    data !== undefined ? await toBuffer(data) : await readHeader(file, 16)
+  );
+}
+
+/**
+ * Logs a file or sheet none of whose columns is a phone column, since none
+ * of its rows can give a contact; the detail lists the columns found.
+ *
+ * @param {Object} source - Read cursor, at the first row of the sheet.
+ * @param {string[]} columns - Normalized column names.
+ * @param {Object} options - Options of its rows, see `resolveRowOptions`.
+ */
+function rejectWithoutPhoneColumn(source, columns, options) {
+  if (columns.some((column) => options.phoneColumnNames.includes(column))) {
+    return;
+  }
+  source.rejections.add({
+    side: source.side,
+    file: source.file,
+    index: source.index,
+    sheet: source.sheet,
+    reason: REJECT_REASONS.NO_PHONE_COLUMN,
+    detail: `columns ${columns.join(', ')}`,
+  });
+  source.onTrace?.(
+    `No phone column in ${source.file}${
+      source.sheet ? `, sheet ${source.sheet}` : ''
+    }: ${columns.join(', ')}`
+  );
+}
+
+/**
+ * Yields the rows of a CSV file, workbook, JSON or JSON Lines dump, Android
+ * contacts database or in-memory list of rows as `{record, info}`, with
+ * `record` keyed by normalized column name and `info.lines` the row number
+ * (the sheet row for workbooks, with `info.sheet` the sheet; the contact
+ * number for JSON; the line for JSON Lines; the raw contact id for Android
+ * databases). Yields nothing for other formats.
+ *
+ * @param {Object} source - Read cursor, see `readContactFile`.
+ * @param {Object} options - Processor options.
+ */
+export async function* readRows(source, options) {
+  const {file, data} = source;
+  const inMemory = data !== undefined;
+  if (Array.isArray(data)) {
+    yield* readRecords(data);
+    return;
+  }
+  const readContent = async () => {
+    const content = inMemory ? await toBuffer(data) : await fs.readFile(file);
+    if (!inMemory) source.onBytes?.(content.length);
+    return content;
+  };
+  switch (inputFormat(source)) {
+    case '.csv':
+      yield* createCsvStream(
+        inMemory ? toStream(data) : file,
+        options.batchSize,
+        source
+      );
+      return;
+    case '.xlsx':
+    case '.xls':
+    case '.ods':
+      yield* readXlsxFile(await readContent(), options);
+      return;
+    case '.json': {
+      const items = parseJsonContacts((await readContent()).toString());
+      for (const [i, item] of items.entries()) {
+        const record = readJsonRecord(item, source, i + 1);
+        if (record) yield {record, info: {lines: i + 1}};
+      }
+      return;
+    }
+    case '.jsonl':
+    case '.ndjson': {
+      let input;
+      if (inMemory) {
+        input = toStream(data);
+      } else {
+        input = createReadStream(file, {
+          highWaterMark: options.batchSize * 1024,
+        });
+        input.on('data', () => source.onBytes?.(input.bytesRead));
+      }
+      try {
+        for await (const {line, value, error} of readJsonLines(input)) {
+          if (error) {
+            rejectJsonRecord(source, line, error.message);
+            continue;
+          }
+          const record = readJsonRecord(value, source, line);
+          if (record) yield {record, info: {lines: line}};
+        }
+      } finally {
+        // Readers may stop early, e.g. the schema report
+        input.destroy();
+      }
+      return;
+    }
+    case '.db':
+      for (const {id, row} of await readAndroidContacts(await readContent())) {
+        yield {record: toRecord(row), info: {lines: id}};
+      }
+      return;
+  }
+}
+
+/**
+ * Options for reading rows of a file with the given columns: the phone and
+ * name columns of the CSV preset the columns follow, if any (see
+ * src/presets.js), then the column mappings matching the file, see
+ * `resolveColumnOptions`.
+ *
+ * @param {Object} options - Processor options.
+ * @param {string} file - File path or in-memory input name.
+ * @param {string[]} columns - Normalized column names of the rows.
+ * @returns {{options: Object, preset: string}} `preset` is the name of the
+ *   detected preset, or `''`.
+ */
+export function resolveRowOptions(options, file, columns) {
+  const {options: presetOptions, preset} = applyPreset(options, columns);
+  if (presetOptions !== options) {
+    phoneNormalizers.set(presetOptions, getPhoneNormalizer(options));
+  }
+  return {options: resolveColumnOptions(presetOptions, file), preset};
+}
+
+/**
+ * Reads a contact file or in-memory input of any supported format and
+ * yields one contact per card or row with at least one valid phone number.
+ * Inputs with an unsupported format yield nothing. The columns of each
+ * sheet are read as `resolveRowOptions` gives for its first row.
+ *
+ * `source.index` is kept pointing at the row or card the yielded contact
+ * came from, so callers can log rejections against it; `source.records`
+ * counts the rows or cards read so far.
+ *
+ * @param {Object} source - Read cursor: `{side, file, data, ext, index, rejections, onBytes}`;
+ *   `data` and `ext` are set for in-memory inputs, see `walkInputs`.
+ * @param {Object} options - Processor options.
+ */
+export async function* readContactFile(source, options) {
+  const {file, data} = source;
+  const ext = inputFormat(source);
+  source.records = 0;
+
+  if (ext === '.vcf' && !Array.isArray(data)) {
+    for await (const card of readVcfCards(
+      data !== undefined ? toStream(data) : file,
+      {batchSize: options.batchSize, onBytes: source.onBytes}
+    )) {
+      source.index = card.index;
+      source.records = card.index;
+      const contact = createContactKey(card, source, FILE_TYPES.VCF, options);
+      if (contact) yield contact;
+    }
+    return;
+  }
+
+  const fileType = ['.xlsx', '.xls', '.ods'].includes(ext)
+    ? FILE_TYPES.XLSX
+    : FILE_TYPES.CSV;
+  let rowOptions;
+  // Mapped columns also mark the header row of a sheet
+  const fileOptions = resolveColumnOptions(options, file);
+  for await (const {record, info} of readRows(source, fileOptions)) {
+    source.index = info.lines;
+    if (!rowOptions || info.sheet !== source.sheet) {
+      source.sheet = info.sheet;
+      const columns = Object.keys(record);
+      rowOptions = resolveRowOptions(options, file, columns).options;
+      // Rows of JSON and databases only hold the fields they have
+      if (HEADER_FORMATS.includes(ext) && !Array.isArray(data)) {
+        rejectWithoutPhoneColumn(source, columns, rowOptions);
+      }
+    }
+    source.sheet = info.sheet;
+    source.records++;
+    const contact = createContactKey(record, source, fileType, rowOptions);
+    if (contact) yield contact;
+  }
+}
@@ -0,0 +1,87 @@
+import readline from 'readline';
+
+// Joins the values of a field given several times, e.g. a list of numbers;
+// Google Contacts exports use the same separator
+export const MULTI_VALUE_SEPARATOR = ' ::: ';
+
+// `phoneNumbers` becomes `phone Numbers`, normalized to `phone_numbers`
+function splitCamelCase(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+}
+
+function collectValues(value, column, values) {
+  if (Array.isArray(value)) {
+    for (const item of value) collectValues(item, column, values);
+    return;
+  }
+  if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      const name = splitCamelCase(key);
+      collectValues(item, column ? `${column} ${name}` : name, values);
+    }
+    return;
+  }
+  if (value == null || value === '') return;
+  (values[column] ??= []).push(String(value));
+}
+
+/**
+ * Turns a contact object of a JSON dump into a flat row, read like a CSV
+ * row. Nested fields are named by their path, e.g. `{name: {first}}` gives
+ * the column `name first`, and the values of lists are joined with
+ * `MULTI_VALUE_SEPARATOR`: `{phoneNumbers: [{value: 'a'}, {value: 'b'}]}`
+ * gives `{'phone Numbers value': 'a ::: b'}`.
+ *
+ * @param {Object} item
+ * @returns {Object<string, string>} Values by column name, not normalized.
+ */
+export function flattenJsonRecord(item) {
+  const values = {};
+  collectValues(item, '', values);
+  return Object.fromEntries(
+    Object.entries(values).map(([column, list]) => [
+      column,
+      list.join(MULTI_VALUE_SEPARATOR),
+    ])
+  );
+}
+
+/**
+ * Contacts of a JSON dump: a list of contact objects, or an object holding
+ * one, e.g. `{"contacts": [...]}`.
+ *
+ * @param {string} text
+ * @returns {Array<unknown>}
+ * @throws {Error} When the text is not JSON or holds no list.
+ */
+export function parseJsonContacts(text) {
+  const value = JSON.parse(text);
+  if (Array.isArray(value)) return value;
+  if (Array.isArray(value?.contacts)) return value.contacts;
+  const lists =
+    value && typeof value === 'object'
+      ? Object.values(value).filter(Array.isArray)
+      : [];
+  if (lists.length === 1) return lists[0];
+  throw new Error('expected a list of contacts or an object holding one');
+}
+
+/**
+ * Yields each non-empty line of a JSON Lines stream as `{line, value}`, or
+ * `{line, error}` when it is not valid JSON.
+ *
+ * @param {import('stream').Readable} input
+ */
+export async function* readJsonLines(input) {
+  const lines = readline.createInterface({input, crlfDelay: Infinity});
+  let line = 0;
+  for await (const text of lines) {
+    line++;
+    if (!text.trim()) continue;
+    try {
+      yield {line, value: JSON.parse(text)};
+    } catch (error) {
+      yield {line, error};
+    }
+  }
+}
@@ -0,0 +1,66 @@
+import {getContactFields} from '../vcf/contact-card.js';
+import {describeOrigin, describeSighting} from '../provenance.js';
+
+/**
+ * Plain record of an exported contact: its `name`, `phones` with their TEL
+ * types, the `fields` of its card data (see `getContactFields`) and, for
+ * entries of a missing or extra report, the `status`, the
+ * `existing_numbers` the other side has and the `existing_contact` names
+ * it has them under. Contacts read by the processor also get the `source`
+ * they were read from and the places their numbers were `seen_in`, and
+ * the other names used for their numbers as `also_known_as`, and contacts
+ * named after another contact the place that name was `enriched_from`.
+ *
+ * @param {{contact: Object, name: string, missing: Array<Object>, status?: string,
+ *   existing?: Array<Object>, existingNames?: string[]}} entry
+ */
+export function toExportRecord({
+  contact,
+  name,
+  missing,
+  status,
+  existing,
+  existingNames,
+}) {
+  return {
+    name,
+    ...(status && {
+      status,
+      existing_numbers: existing.map(({phone}) => phone),
+      existing_contact: existingNames,
+    }),
+    phones: missing.map(({phone, telParams = {}}) => ({
+      phone,
+      types: telParams.TYPE || [],
+    })),
+    fields: getContactFields(contact),
+    ...(contact.alsoKnownAs?.length && {also_known_as: contact.alsoKnownAs}),
+    ...(contact.origin && {
+      source: describeOrigin(contact.origin),
+      seen_in: (contact.seenIn || []).map(describeSighting),
+    }),
+    ...(contact.enrichedFrom && {
+      enriched_from: describeSighting(contact.enrichedFrom),
+    }),
+  };
+}
+
+/**
+ * Formats entries as a JSON list of `toExportRecord` records.
+ *
+ * @param {Array<Object>} entries
+ */
+export function formatJson(entries) {
+  return JSON.stringify(entries.map(toExportRecord), null, 2) + '\n';
+}
+
+/**
+ * Formats entries as JSON Lines, one `toExportRecord` record per line.
+ *
+ * @param {Array<Object>} entries
+ */
+export function formatJsonl(entries) {
+  return entries
+    .map((entry) => JSON.stringify(toExportRecord(entry)) + '\n')
+    .join('');
+}
@@ -0,0 +1,130 @@
+import {EventEmitter} from 'events';
+import {CLI_DEFAULTS, DEFAULT_OPTIONS} from './defaults.js';
+import {
+  EXIT_CODES,
+  HELP_TEXT,
+  UsageError,
+  parseCliArgs,
+  validateInputPaths,
+} from './cli.js';
+import {ConfigError, loadConfig} from './config.js';
+import {isKnownRegion} from './phone/normalize.js';
+import {unknownPlaceholderFields} from './names/enrich.js';
+import {ContactProcessor} from './processor.js';
+import {createConsoleRenderer, createJsonEventRenderer} from './progress.js';
+import {formatSchemaReport} from './schema.js';
+import {startWebServer} from './server.js';
+import {compareSummary, matrixSummary} from './summary.js';
+
+EventEmitter.defaultMaxListeners = 50;
+
+/**
+ * Runs the command line interface.
+ *
+ * @param {string[]} argv - Arguments without the node and script paths.
+ * @returns {Promise<number>} One of `EXIT_CODES`.
+ */
+export async function main(argv) {
+  let cli;
+  let options;
+  try {
+    cli = parseCliArgs(argv);
+    if (cli.help) {
+      console.log(HELP_TEXT);
+      return EXIT_CODES.OK;
+    }
+    const {
+      config: configPath,
+      profile,
+      jsonEvents,
+      ...cliOptions
+    } = cli.options;
+    cli.jsonEvents = !!jsonEvents;
+    const config = loadConfig({configPath, profile});
+    options = {
+      ...DEFAULT_OPTIONS,
+      ...CLI_DEFAULTS,
+      ...config.options,
+      ...cliOptions,
+    };
+    if (!isKnownRegion(options.defaultRegion, options.phoneRegions)) {
+      throw new UsageError(`Unknown phone region: ${options.defaultRegion}`);
+    }
+    const [unknownField] = unknownPlaceholderFields(
+      options.placeholderTemplate
+    );
+    if (unknownField) {
+      throw new UsageError(`Unknown placeholder field: {${unknownField}}`);
+    }
+    // The web UI creates the master and compare directories on upload
+    if (cli.command !== 'serve') validateInputPaths(options, cli.command);
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(error.message);
+      return EXIT_CODES.USAGE;
+    }
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\nRun with --help for usage.`);
+      return EXIT_CODES.USAGE;
+    }
+    throw error;
+  }
+
+  const processor = new ContactProcessor(options);
+
+  if (cli.jsonEvents) {
+    createJsonEventRenderer(processor);
+  } else {
+    createConsoleRenderer(processor);
+  }
+
+  try {
+    if (cli.command === 'watch') {
+      const watcher = await processor.watch();
+      await new Promise((resolve) => process.once('SIGINT', resolve));
+      await watcher.close();
+      return EXIT_CODES.OK;
+    }
+
+    if (cli.command === 'serve') {
+      const server = await startWebServer(processor, {port: options.port});
+      console.log(`Serving ${server.url} (Ctrl+C to stop)`);
+      await new Promise((resolve) => process.once('SIGINT', resolve));
+      await server.close();
+      return EXIT_CODES.OK;
+    }
+
+    if (cli.command === 'schema') {
+      const entries = await processor.schema();
+      if (cli.jsonEvents) {
+        for (const entry of entries) {
+          console.log(JSON.stringify({type: 'schema', ...entry}));
+        }
+      } else {
+        console.log(formatSchemaReport(entries));
+      }
+      return EXIT_CODES.OK;
+    }
+
+    if (cli.command === 'matrix') {
+      const {stats} = await processor.processMatrix();
+      if (cli.jsonEvents) {
+        return stats.errors ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+      }
+      console.log('Processing complete:');
+      console.table(matrixSummary(stats));
+      return stats.errors ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+    }
+
+    const {stats} = await processor.process();
+    if (cli.jsonEvents) {
+      return stats.errors ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+    }
+    console.log('Processing complete:');
+    console.table(compareSummary(stats));
+    return stats.errors ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+  } catch (error) {
+    console.error('Fatal error:', error);
+    return EXIT_CODES.FAILURE;
+  }
+}
@@ -0,0 +1,46 @@
+import {findMissingContacts} from './diff.js';
+
+// Source labels end up in the file names of the matrix exports
+export const SOURCE_LABEL = /^[\w.-]+$/;
+
+/**
+ * Builds the presence matrix of several labeled sources.
+ *
+ * @param {Map<string, Map<string, Object>>} sourceContacts - Per source label,
+ *   the contact of each E.164 number found in that source.
+ * @returns {{rows: Array<{phone: string, names: Object<string, string>, count: number}>, unique: Map<string, Array<Object>>}}
+ *   `rows` holds one entry per number with the name used for it in each
+ *   source it is found in, sorted by the number of sources, most first.
+ *   `unique` holds per label the entries of `findMissingContacts` for the
+ *   contacts with numbers found in no other source.
+ */
+export function buildSourceMatrix(sourceContacts) {
+  const rowsByPhone = new Map();
+  for (const [label, contacts] of sourceContacts) {
+    for (const [phone, {name}] of contacts) {
+      if (!rowsByPhone.has(phone)) {
+        rowsByPhone.set(phone, {phone, names: {}, count: 0});
+      }
+      const row = rowsByPhone.get(phone);
+      row.names[label] = name;
+      row.count++;
+    }
+  }
+  const rows = [...rowsByPhone.values()].sort(
+    (a, b) => b.count - a.count || a.phone.localeCompare(b.phone)
+  );
+
+  const unique = new Map();
+  for (const [label, contacts] of sourceContacts) {
+    const others = new Map();
+    for (const [otherLabel, otherContacts] of sourceContacts) {
+      if (otherLabel === label) continue;
+      for (const [phone, contact] of otherContacts) {
+        others.set(phone, contact);
+      }
+    }
+    unique.set(label, findMissingContacts(contacts, others));
+  }
+
+  return {rows, unique};
+}
@@ -0,0 +1,105 @@
+import path from 'path';
+import {getPhoneNormalizer} from '../input.js';
+import {isRealName} from './policy.js';
+
+// Names phones give callers they do not know, e.g. `Caller 1`
+const PLACEHOLDER_PREFIXES = ['name', 'caller'];
+
+/**
+ * Fields of `options.placeholderTemplate`, the name given to contacts
+ * without one, e.g. `{prefix} {last5}` for `KAS 43210`.
+ */
+export const PLACEHOLDER_FIELDS = {
+  // `options.prefixIfNoName`
+  prefix: ({options}) => options.prefixIfNoName,
+  last5: ({phone}) => String(phone).slice(-5),
+  phone: ({phone}) => String(phone),
+  // File name of the contact without extension, e.g. `crm` for `crm.csv`
+  source: ({origin}) => (origin ? path.parse(origin.file).name : ''),
+  side: ({origin}) => origin?.side || '',
+};
+
+/**
+ * Fields of a placeholder template that are not in PLACEHOLDER_FIELDS.
+ *
+ * @param {string} template
+ * @returns {string[]}
+ */
+export function unknownPlaceholderFields(template) {
+  return [...template.matchAll(/\{(\w+)\}/g)]
+    .map(([, key]) => key)
+    .filter((key) => !Object.hasOwn(PLACEHOLDER_FIELDS, key));
+}
+
+/**
+ * Name for a contact without one, from `options.placeholderTemplate`.
+ *
+ * @param {Object} options - Processor options.
+ * @param {string} phone - Number the name is made from.
+ * @param {{origin?: Object}} contact
+ */
+export function formatPlaceholder(options, phone, {origin}) {
+  return options.placeholderTemplate
+    .replace(/\{(\w+)\}/g, (field, key) =>
+      Object.hasOwn(PLACEHOLDER_FIELDS, key)
+        ? PLACEHOLDER_FIELDS[key]({options, phone, origin})
+        : field
+    )
+    .trim();
+}
+
+/**
+ * Whether a contact's name is no better than a placeholder: empty, `0`,
+ * starting with one of PLACEHOLDER_PREFIXES or holding one of its own
+ * numbers, written in any format.
+ *
+ * @param {Object} options - Processor options.
+ * @param {{name?: string, phones: Array<{phone: string}>}} contact
+ */
+export function isPlaceholderName(options, {name, phones}) {
+  const text = String(name || '');
+  if (!text || text === '0') return true;
+  const lower = text.toLowerCase();
+  if (PLACEHOLDER_PREFIXES.some((prefix) => lower.startsWith(prefix))) {
+    return true;
+  }
+  const nameDigits = text.replace(/\D/g, '');
+  return phones.some(({phone}) => {
+    const {nationalNumber} = getPhoneNormalizer(options)(phone);
+    return [String(phone).replace(/\D/g, ''), nationalNumber].some(
+      (digits) => digits && nameDigits.includes(digits)
+    );
+  });
+}
+
+/**
+ * Gives every contact without a real name (see `isRealName`) the name of
+ * another contact holding one of its numbers, on any side. Names read from
+ * master are preferred, then the contact read last; names that were
+ * borrowed themselves are not passed on. An enriched contact keeps the
+ * origin of its name as `enrichedFrom`.
+ *
+ * @param {Iterable<Object>} contacts - Contacts to enrich.
+ * @param {import('../provenance.js').SightingLog} sightings - Every
+ *   contact of the run by number.
+ * @returns {number} The number of contacts enriched.
+ */
+export function enrichNames(contacts, sightings) {
+  let enriched = 0;
+  for (const contact of contacts) {
+    if (isRealName(contact)) continue;
+    const named = contact.phones
+      .flatMap(({phone}) => sightings.byPhone.get(phone) || [])
+      .filter(
+        (other) => other !== contact && !other.enrichedFrom && isRealName(other)
+      );
+    const donor =
+      named.findLast(({origin}) => origin.side === 'master') || named.at(-1);
+    if (!donor) continue;
+    contact.name = donor.name;
+    contact.placeholderName = false;
+    contact.enrichedFrom = donor.origin;
+    enriched++;
+  }
+  return enriched;
+}
@@ -0,0 +1,279 @@
+import {transliterate} from './transliterate.js';
+
+/**
+ * Titles and forms of address dropped before names are compared, e.g.
+ * "Dr. Sameer Khan", "Shri Ram", "Ramesh Ji".
+ */
+export const HONORIFICS = [
+  'mr',
+  'mrs',
+  'ms',
+  'miss',
+  'dr',
+  'prof',
+  'er',
+  'adv',
+  'sir',
+  'shri',
+  'sri',
+  'shree',
+  'smt',
+  'shrimati',
+  'kumari',
+  'km',
+  'late',
+  'haji',
+  'hafiz',
+  'maulana',
+  'janab',
+  'ji',
+  'sahab',
+  'saheb',
+  'sahib',
+  'bhai',
+];
+
+// Minimum similarity for two names to be reported as possible duplicates
+export const DEFAULT_FUZZY_THRESHOLD = 0.85;
+
+/**
+ * Folds common spelling variants of transliterated names: doubled vowels
+ * ("Sameer" / "Samir", "Noor" / "Nur") and doubled consonants.
+ */
+function foldSpelling(token) {
+  return token
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/aa/g, 'a')
+    .replace(/([b-df-hj-np-tv-z])\1+/g, '$1');
+}
+
+// Md, Mohd, Muhammad, Mohammed, ... and the unvoweled Urdu form
+const MOHAMMAD = /^(md|mohd|mhmd|m[ou]?h+[ae]?m+[ae]?d)$/;
+
+/**
+ * Lowercase Latin tokens of a name with honorifics removed and other
+ * scripts transliterated.
+ *
+ * @param {string} name
+ * @returns {string[]}
+ */
+export function nameTokens(name) {
+  return transliterate(String(name).normalize('NFKD'))
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token && !HONORIFICS.includes(token))
+    .map(foldSpelling)
+    .map((token) => (MOHAMMAD.test(token) ? 'mohamad' : token));
+}
+
+/**
+ * Consonant skeleton of a token: the first letter, then consonants with
+ * aspiration and sounds that vary between spellings folded. Urdu script
+ * leaves most vowels unwritten, so names are also compared this way.
+ */
+function skeleton(token) {
+  const folded = token
+    .replace(/ph/g, 'f')
+    .replace(/ck|q|c/g, 'k')
+    .replace(/v/g, 'w')
+    .replace(/z/g, 'j')
+    .replace(/([bcdgjkpt])h/g, '$1');
+  return (folded[0] + folded.slice(1).replace(/[aeiouyw]/g, '')).replace(
+    /(.)\1+/g,
+    '$1'
+  );
+}
+
+/**
+ * Levenshtein edit distance.
+ *
+ * @param {string} a
+ * @param {string} b
+ */
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  let previous = Array.from({length: b.length + 1}, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function ratio(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length ? 1 - editDistance(a, b) / length : 1;
+}
+
+/**
+ * Similarity of two names between 0 and 1. Tokens are sorted before
+ * comparing, so word order does not matter; the spelled-out comparison is
+ * averaged with the consonant skeleton comparison, so names that only
+ * differ in vowels still score high without matching outright.
+ *
+ * @param {string} a
+ * @param {string} b
+ */
+export function nameSimilarity(a, b) {
+  return tokenSimilarity(nameTokens(a), nameTokens(b));
+}
+
+function tokenSimilarity(tokensA, tokensB) {
+  if (!tokensA.length || !tokensB.length) return 0;
+  tokensA = [...tokensA].sort();
+  tokensB = [...tokensB].sort();
+
+  const spelled = ratio(tokensA.join(' '), tokensB.join(' '));
+  const skeletons = ratio(
+    tokensA.map(skeleton).sort().join(' '),
+    tokensB.map(skeleton).sort().join(' ')
+  );
+  return Math.max(spelled, (spelled + skeletons) / 2);
+}
+
+// Keys of the blocks a name is compared within: the skeleton start of each
+// token, so only names sharing a similar word are compared
+function blockKeys(tokens) {
+  return [
+    ...new Set(tokens.map((token) => skeleton(token).slice(0, 2))),
+  ].sort();
+}
+
+// Most names a name is compared with in one block
+const MAX_BLOCK_SIZE = 200;
+
+function groupByKeys(keys) {
+  const blocks = new Map();
+  keys.forEach((entryKeys, i) => {
+    for (const key of entryKeys) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(i);
+    }
+  });
+  return blocks;
+}
+
+/**
+ * Splits blocks of more than MAX_BLOCK_SIZE names, such as the block of
+ * every "Mohammad", by a second word: names in them are blocked on each
+ * pair of their keys instead, or alone when they have one word.
+ */
+function splitLargeBlocks(keys) {
+  const blocks = groupByKeys(keys);
+  return keys.map((entryKeys) => {
+    const split = entryKeys.flatMap((key) => {
+      if (blocks.get(key).length <= MAX_BLOCK_SIZE) return [key];
+      const others = entryKeys.filter((other) => other !== key);
+      return others.length
+        ? others.map((other) => [key, other].sort().join(' '))
+        : [`${key} `];
+    });
+    return [...new Set(split)].sort();
+  });
+}
+
+function sharesPhone(a, b) {
+  return a.phones.some(({phone}) => b.phones.some((p) => p.phone === phone));
+}
+
+/**
+ * Picks the name of a merged contact: the one with the most words, then the
+ * fewest honorifics, then the longest, preferring Latin script.
+ */
+function suggestName(names) {
+  const rank = (name) => {
+    const words = name.trim().split(/\s+/).length;
+    const tokens = nameTokens(name).length;
+    return [/[a-z]/i.test(name) ? 1 : 0, tokens, tokens - words, name.length];
+  };
+  const byRank = (a, b) => {
+    const [ra, rb] = [rank(a), rank(b)];
+    const i = ra.findIndex((value, k) => value !== rb[k]);
+    return i === -1 ? 0 : rb[i] - ra[i];
+  };
+  return [...names].sort(byRank)[0];
+}
+
+/**
+ * Groups contacts with different numbers whose names are probably the same
+ * person. Contacts sharing a number are never paired, since they already
+ * match by number.
+ *
+ * @param {Array<{contact: Object, side: string}>} entries - Contacts with
+ *   the side they come from; contacts without a real name should be left out.
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Minimum similarity, 0 to 1.
+ * @returns {Array<{members: Array<{contact: Object, side: string, score: number}>, suggested: {name: string, phones: string[]}}>}
+ *   Groups of two or more contacts. A member's `score` is its best
+ *   similarity to another member of the group.
+ */
+export function findPossibleDuplicates(
+  entries,
+  {threshold = DEFAULT_FUZZY_THRESHOLD} = {}
+) {
+  const tokens = entries.map(({contact}) => nameTokens(contact.name));
+  const keys = splitLargeBlocks(tokens.map(blockKeys));
+  const blocks = groupByKeys(keys);
+  const texts = tokens.map((entryTokens) => [...entryTokens].sort().join(' '));
+  const byText = (i, j) =>
+    texts[i] < texts[j] ? -1 : texts[i] > texts[j] ? 1 : 0;
+
+  // Union-find over entry indexes
+  const parent = entries.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const bestScores = new Map();
+
+  for (const [key, block] of blocks) {
+    // Names of blocks still too large are only compared with their
+    // neighbours in alphabetical order
+    const indexes =
+      block.length > MAX_BLOCK_SIZE ? [...block].sort(byText) : block;
+    for (let x = 0; x < indexes.length; x++) {
+      const end = Math.min(indexes.length, x + 1 + MAX_BLOCK_SIZE);
+      for (let y = x + 1; y < end; y++) {
+        const [i, j] = [indexes[x], indexes[y]];
+        // Pairs sharing several blocks are compared in the first one only
+        if (keys[i].find((k) => keys[j].includes(k)) !== key) continue;
+
+        const a = entries[i].contact;
+        const b = entries[j].contact;
+        if (a === b || sharesPhone(a, b)) continue;
+        const score = tokenSimilarity(tokens[i], tokens[j]);
+        if (score < threshold) continue;
+
+        parent[find(i)] = find(j);
+        for (const k of [i, j]) {
+          bestScores.set(k, Math.max(bestScores.get(k) || 0, score));
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  for (const i of bestScores.keys()) {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push({...entries[i], score: bestScores.get(i)});
+  }
+
+  return [...groups.values()].map((members) => ({
+    members,
+    suggested: {
+      name: suggestName(members.map(({contact}) => contact.name)),
+      phones: [
+        ...new Set(
+          members.flatMap(({contact}) => contact.phones.map((p) => p.phone))
+        ),
+      ],
+    },
+  }));
+}
@@ -0,0 +1,138 @@
+import {globToRegExp} from '../input.js';
+
+/**
+ * Criteria `options.namePolicy` may list, in order of importance, for
+ * choosing the contact a number belongs to when several contacts of one side
+ * hold it:
+ * - `source-priority`: the contact read from the file matching the earliest
+ *   glob of `options.sourcePriority`;
+ * - `real-name`: a contact with a name over one without, or with only a
+ *   generated placeholder or digits;
+ * - `most-complete`: the name with the most words, then the longest;
+ * - `most-frequent`: the name most of the contacts holding the number use.
+ * Contacts equal on every criterion are decided by reading order: the
+ * contact read last wins.
+ */
+export const NAME_POLICIES = [
+  'source-priority',
+  'real-name',
+  'most-complete',
+  'most-frequent',
+];
+
+const nameKey = (name) =>
+  String(name || '')
+    .trim()
+    .toLowerCase();
+
+/**
+ * Whether a contact has a name of its own: not empty, not a generated
+ * placeholder and not just a number.
+ *
+ * @param {{name?: string, placeholderName?: boolean}} contact
+ */
+export function isRealName({name, placeholderName}) {
+  return !placeholderName && /\p{L}/u.test(String(name || ''));
+}
+
+// Sort keys of a contact per criterion; higher wins
+const CRITERIA = {
+  'source-priority': ({origin}, {priorities}) => {
+    const file = (origin?.file || '').replace(/\\/g, '/');
+    const index = priorities.findIndex((pattern) => pattern.test(file));
+    return -(index < 0 ? priorities.length : index);
+  },
+  'real-name': (contact) => (isRealName(contact) ? 1 : 0),
+  'most-complete': ({name}) => {
+    const text = String(name || '').trim();
+    return [text ? text.split(/\s+/).length : 0, text.length];
+  },
+  'most-frequent': (contact, {counts}) =>
+    isRealName(contact) ? counts.get(nameKey(contact.name)) : 0,
+};
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Collects the contacts holding each number on one side, then gives every
+ * number to one of them by `options.namePolicy` and keeps the names of the
+ * others as the winner's `alsoKnownAs`.
+ */
+export class NameResolver {
+  /**
+   * @param {Object} options - Processor options.
+   */
+  constructor(options) {
+    this.policy = options.namePolicy || [];
+    this.priorities = (options.sourcePriority || []).map(globToRegExp);
+    // Number to the contacts holding it, in reading order
+    this.candidates = new Map();
+  }
+
+  /**
+   * Records a contact holding a number.
+   *
+   * @param {string} phone
+   * @param {Object} contact
+   */
+  add(phone, contact) {
+    const contacts = this.candidates.get(phone);
+    if (!contacts) {
+      this.candidates.set(phone, [contact]);
+    } else if (contacts.at(-1) !== contact) {
+      contacts.push(contact);
+    }
+  }
+
+  /**
+   * The contact a number belongs to among the contacts holding it.
+   *
+   * @param {Array<Object>} contacts - In reading order.
+   */
+  pick(contacts) {
+    const counts = new Map();
+    for (const contact of contacts) {
+      const key = nameKey(contact.name);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    const context = {counts, priorities: this.priorities};
+    const keys = (contact) =>
+      this.policy.flatMap((criterion) => CRITERIA[criterion](contact, context));
+    let best = contacts[0];
+    let bestKeys = keys(best);
+    for (const contact of contacts.slice(1)) {
+      const contactKeys = keys(contact);
+      if (compareKeys(contactKeys, bestKeys) >= 0) {
+        best = contact;
+        bestKeys = contactKeys;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Sets the contact of every number held by several contacts in
+   * `contacts`, and adds the real names of the others to its `alsoKnownAs`.
+   *
+   * @param {Map<string, Object>} contacts - Contact per E.164 number.
+   */
+  resolve(contacts) {
+    for (const [phone, candidates] of this.candidates) {
+      if (candidates.length < 2 || !contacts.has(phone)) continue;
+      const winner = this.pick(candidates);
+      contacts.set(phone, winner);
+      const names = (winner.alsoKnownAs ||= []);
+      const known = new Set([winner.name, ...names].map(nameKey));
+      for (const other of candidates) {
+        if (!isRealName(other) || known.has(nameKey(other.name))) continue;
+        known.add(nameKey(other.name));
+        names.push(other.name);
+      }
+    }
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Rough Devanagari and Urdu (Perso-Arabic) to Latin transliteration, meant
+ * for matching names written in different scripts rather than for display.
+ * Long vowels are folded into short ones (`ी` and `ि` both become `i`), the
+ * way names are usually spelled in Latin script.
+ */
+
+const DEVANAGARI_CONSONANTS = {
+  क: 'k',
+  ख: 'kh',
+  ग: 'g',
+  घ: 'gh',
+  ङ: 'n',
+  च: 'ch',
+  छ: 'chh',
+  ज: 'j',
+  झ: 'jh',
+  ञ: 'n',
+  ट: 't',
+  ठ: 'th',
+  ड: 'd',
+  ढ: 'dh',
+  ण: 'n',
+  त: 't',
+  थ: 'th',
+  द: 'd',
+  ध: 'dh',
+  न: 'n',
+  प: 'p',
+  फ: 'ph',
+  ब: 'b',
+  भ: 'bh',
+  म: 'm',
+  य: 'y',
+  र: 'r',
+  ल: 'l',
+  ळ: 'l',
+  व: 'v',
+  श: 'sh',
+  ष: 'sh',
+  स: 's',
+  ह: 'h',
+  // Nukta forms, precomposed
+  क़: 'q',
+  ख़: 'kh',
+  ग़: 'gh',
+  ज़: 'z',
+  ड़: 'r',
+  ढ़: 'rh',
+  फ़: 'f',
+  य़: 'y',
+};
+
+// Consonant + nukta (U+093C) written as two code points
+const NUKTA_FORMS = {
+  क: 'q',
+  ख: 'kh',
+  ग: 'gh',
+  ज: 'z',
+  ड: 'r',
+  ढ: 'rh',
+  फ: 'f',
+  य: 'y',
+};
+
+const DEVANAGARI_VOWELS = {
+  अ: 'a',
+  आ: 'a',
+  इ: 'i',
+  ई: 'i',
+  उ: 'u',
+  ऊ: 'u',
+  ऋ: 'ri',
+  ए: 'e',
+  ऐ: 'ai',
+  ओ: 'o',
+  औ: 'au',
+  ऑ: 'o',
+};
+
+const DEVANAGARI_VOWEL_SIGNS = {
+  'ा': 'a',
+  'ि': 'i',
+  'ी': 'i',
+  'ु': 'u',
+  'ू': 'u',
+  'ृ': 'ri',
+  'े': 'e',
+  'ै': 'ai',
+  'ो': 'o',
+  'ौ': 'au',
+  'ॉ': 'o',
+  'ॅ': 'e',
+};
+
+const DEVANAGARI_MARKS = {
+  // Anusvara, chandrabindu, visarga
+  'ं': 'n',
+  'ँ': 'n',
+  'ः': 'h',
+};
+
+const VIRAMA = '्';
+const NUKTA = '़';
+
+const URDU_LETTERS = {
+  ا: 'a',
+  آ: 'a',
+  أ: 'a',
+  إ: 'i',
+  ب: 'b',
+  پ: 'p',
+  ت: 't',
+  ٹ: 't',
+  ث: 's',
+  ج: 'j',
+  چ: 'ch',
+  ح: 'h',
+  خ: 'kh',
+  د: 'd',
+  ڈ: 'd',
+  ذ: 'z',
+  ر: 'r',
+  ڑ: 'r',
+  ز: 'z',
+  ژ: 'zh',
+  س: 's',
+  ش: 'sh',
+  ص: 's',
+  ض: 'z',
+  ط: 't',
+  ظ: 'z',
+  ع: '',
+  غ: 'gh',
+  ف: 'f',
+  ق: 'q',
+  ک: 'k',
+  ك: 'k',
+  گ: 'g',
+  ل: 'l',
+  م: 'm',
+  ن: 'n',
+  ں: 'n',
+  و: 'o',
+  ہ: 'h',
+  ه: 'h',
+  ھ: 'h',
+  ۃ: 'h',
+  ة: 'h',
+  ی: 'i',
+  ي: 'i',
+  ى: 'i',
+  ے: 'e',
+  ئ: 'i',
+  ؤ: 'o',
+  ء: '',
+};
+
+function transliterateDevanagari(text) {
+  let output = '';
+  const chars = [...text];
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    let consonant = DEVANAGARI_CONSONANTS[char];
+    if (consonant !== undefined) {
+      if (chars[i + 1] === NUKTA && NUKTA_FORMS[char]) {
+        consonant = NUKTA_FORMS[char];
+        i++;
+      }
+      output += consonant;
+      const next = chars[i + 1];
+      // Inherent vowel, kept before another consonant or a nasal mark and
+      // dropped before a vowel sign, a virama and at the end of a word
+      if (
+        DEVANAGARI_CONSONANTS[next] !== undefined ||
+        DEVANAGARI_MARKS[next] !== undefined
+      ) {
+        output += 'a';
+      }
+      continue;
+    }
+    if (char === VIRAMA || char === NUKTA) continue;
+    output +=
+      DEVANAGARI_VOWELS[char] ??
+      DEVANAGARI_VOWEL_SIGNS[char] ??
+      DEVANAGARI_MARKS[char] ??
+      char;
+  }
+  return output;
+}
+
+/**
+ * Transliterates Devanagari and Urdu letters to Latin; other characters are
+ * returned unchanged.
+ *
+ * @param {string} text
+ */
+export function transliterate(text) {
+  return transliterateDevanagari(text)
+    .replace(/[\u064B-\u065F\u0670]/g, '')
+    .replace(/[\u0600-\u06FF]/g, (char) => URDU_LETTERS[char] ?? '');
+}
@@ -0,0 +1,511 @@
+import fs from 'fs/promises';
+import path from 'path';
+import XLSX from 'xlsx';
+import {MISSING_STATUS} from './diff.js';
+import {writeContactList} from './exporters.js';
+import {describeOrigin, describeSighting} from './provenance.js';
+
+// Export formats the master and compare logs are written in
+const JSON_LOG_FORMATS = ['json', 'jsonl'];
+
+/**
+ * Save an array as an Excel file.
+ *
+ * @param {Array<unknown>} dataArray - The array of objects to save as an Excel file.
+ * @param {string} fileName - The name of the file to save as.
+ * @param {string} [sheetName] - Optional. The name of the sheet to use in the Excel file. If not provided,
+ * the filename will be used as the sheet name.
+ * @param {XLSX.WorkBook | null} [workbook] - Optional. The workbook to append the sheet to. If not provided, a new workbook
+ * will be created.
+ * @param {boolean} [isAppendSheetWithoutSaveFile] - Optional. If true, the sheet will be appended to the workbook without
+ * saving the file. If false (default), the workbook will be saved to a file.
+ */
+export function saveArrayAsXlsx(
+  dataArray,
+  fileName,
+  sheetName = '',
+  workbook,
+  isAppendSheetWithoutSaveFile = false
+) {
+  // Use filename as sheet name if not provided
+  const sheet = sheetName || fileName.replace('.xlsx', '');
+
+  // Create a worksheet from the array
+  const worksheet = XLSX.utils.json_to_sheet(dataArray);
+
+  // Create a new workbook/or use passed and append the worksheet
+  workbook = workbook || XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, sheet);
+
+  // Write the workbook to a file
+  if (!isAppendSheetWithoutSaveFile) {
+    XLSX.writeFile(workbook, fileName);
+  }
+}
+
+function mapToArrayOfObjects(map, keyName = 'key', valueName = 'value') {
+  return Array.from(map.entries()).map(([key, value]) => {
+    return {[keyName]: key, [valueName]: value};
+  });
+}
+
+function sortArrayByKey(array, key, isNumber = false, isReverse = false) {
+  const sortByNumberFn = (a, b) => {
+    if (isReverse) {
+      [a, b] = [b, a];
+    }
+    return a[key] - b[key];
+  };
+  const sortByStrFn = (a, b) => {
+    if (isReverse) {
+      [a, b] = [b, a];
+    }
+    const aVal = String(a[key]).toLowerCase();
+    const bVal = String(b[key]).toLowerCase();
+    return aVal.localeCompare(bVal);
+  };
+
+  return array.sort(isNumber ? sortByNumberFn : sortByStrFn);
+}
+
+/**
+ * Provenance columns of a contact: the `source` it was read from, the other
+ * places its numbers were `also_seen_in`, see src/provenance.js, and the
+ * contact its name was `enriched_from`, see src/names/enrich.js.
+ *
+ * @param {{origin?: Object, seenIn?: Array<Object>, enrichedFrom?: Object}} contact
+ */
+export function toSourceColumns({origin, seenIn = [], enrichedFrom}) {
+  return {
+    source: origin ? describeOrigin(origin) : '',
+    also_seen_in: seenIn.map(describeSighting).join('; '),
+    enriched_from: enrichedFrom ? describeSighting(enrichedFrom) : '',
+  };
+}
+
+/**
+ * Columns written to the XLSX sheets for a number; the vCard data kept for
+ * export is left out.
+ *
+ * @param {[string, Object]} entry - Number and its contact.
+ */
+export function toContactRow([phone, contact]) {
+  return {
+    phone,
+    name: contact.name,
+    also_known_as: (contact.alsoKnownAs || []).join('; '),
+    ...toSourceColumns(contact),
+  };
+}
+
+/**
+ * Rows of the Possible Duplicates sheet: one per contact, numbered by group,
+ * each repeating the suggested merged contact of its group.
+ *
+ * @param {Object} group - Group returned by `findPossibleDuplicates`.
+ * @param {number} index
+ */
+export function toDuplicateRows({members, suggested}, index) {
+  return members.map(({contact, side, score}) => ({
+    group: index + 1,
+    score: Math.round(score * 100) / 100,
+    side,
+    name: contact.name,
+    phones: contact.phones.map(({phone}) => phone).join(', '),
+    suggested_name: suggested.name,
+    suggested_phones: suggested.phones.join(', '),
+    source: toSourceColumns(contact).source,
+  }));
+}
+
+/**
+ * Rows of the Name Conflicts sheet: one per number master saves under
+ * another name.
+ *
+ * @param {Object} result - Result of `ContactProcessor#compare`.
+ */
+export function toConflictRows({conflicts, masterContacts}) {
+  return conflicts.flatMap(({contact, conflicts}) =>
+    conflicts.map(({phone}) => ({
+      phone,
+      master_name: masterContacts.get(phone).name,
+      compare_name: contact.name,
+      master_source: toSourceColumns(masterContacts.get(phone)).source,
+      compare_source: toSourceColumns(contact).source,
+    }))
+  );
+}
+
+/**
+ * Columns of the Missing Contacts and Extra Contacts sheets, one row per
+ * contact.
+ */
+export function toMissingRow({
+  contact,
+  name,
+  status,
+  missing,
+  existing,
+  existingNames,
+}) {
+  const phones = (list) => list.map(({phone}) => phone).join(', ');
+  return {
+    name,
+    status,
+    missing_numbers: phones(missing),
+    existing_numbers: phones(existing),
+    existing_contact: existingNames.join(', '),
+    also_known_as: (contact.alsoKnownAs || []).join('; '),
+    ...toSourceColumns(contact),
+  };
+}
+
+/**
+ * Rows of the Source Matrix sheet: one per number, with the name used for it
+ * in each source.
+ *
+ * @param {Array<Object>} rows - Rows returned by `buildSourceMatrix`.
+ * @param {string[]} labels - Source labels, one column each.
+ */
+export function toMatrixRows(rows, labels) {
+  return rows.map(({phone, names, count}) => ({
+    phone,
+    // Present without a name still shows up in the source's column
+    ...Object.fromEntries(
+      labels.map((label) => [
+        label,
+        label in names ? names[label] || 'yes' : '',
+      ])
+    ),
+    in_sources: `${count} of ${labels.length}`,
+  }));
+}
+
+/**
+ * Writes the contact lists of a missing or extra report in every export
+ * format: contacts absent from the other side to `fully_<kind>_total_N`,
+ * and contacts the other side already has under some of their numbers to
+ * `partially_<kind>_total_N`, holding only the numbers to add to the
+ * existing contact. Each name counts the contacts of its own list; the
+ * `<kind>_numbers_total_N` workbook counts both.
+ *
+ * @param {string} outputDir
+ * @param {'missing' | 'extra'} kind
+ * @param {Array<Object>} entries - Entries of `findMissingContacts` with the exported `name`.
+ * @param {Object} options - Processor options.
+ * @returns {Promise<string[]>} Paths of the written files.
+ */
+export async function writeDiffFiles(outputDir, kind, entries, options) {
+  const fully = entries.filter(({status}) => status === MISSING_STATUS.FULLY);
+  const partially = entries.filter(
+    ({status}) => status === MISSING_STATUS.PARTIALLY
+  );
+  return [
+    ...(await writeContactList(
+      outputDir,
+      `fully_${kind}_total_${fully.length}`,
+      fully,
+      options
+    )),
+    ...(await writeContactList(
+      outputDir,
+      `partially_${kind}_total_${partially.length}`,
+      partially,
+      options
+    )),
+  ];
+}
+
+/**
+ * Writes every master and compare contact with all of its numbers to
+ * `master_numbers` and `compare_numbers` logs, in the JSON formats among
+ * `options.exportFormats`.
+ *
+ * @param {string} outputDir
+ * @param {Object} result - Result of `ContactProcessor#compare`.
+ * @param {Object} options - Processor options.
+ * @returns {Promise<string[]>} Paths of the written files.
+ */
+export async function writeContactLogs(outputDir, result, options) {
+  const exportFormats = options.exportFormats.filter((format) =>
+    JSON_LOG_FORMATS.includes(format)
+  );
+  const written = [];
+  for (const side of ['master', 'compare']) {
+    // Contacts are listed once per number
+    const contacts = new Set(result[`${side}Contacts`].values());
+    written.push(
+      ...(await writeContactList(
+        outputDir,
+        `${side}_numbers`,
+        [...contacts].map((contact) => ({
+          contact,
+          name: contact.name,
+          missing: contact.phones,
+        })),
+        {...options, exportFormats}
+      ))
+    );
+  }
+  return written;
+}
+
+/**
+ * Writes the contact lists, logs and XLSX sheets of a compare run to
+ * `outputDir`.
+ *
+ * @param {Object} result - Result of `ContactProcessor#compare`.
+ * @param {Object} options - Processor options.
+ * @param {string} outputDir - Created when missing.
+ * @returns {Promise<string[]>} Paths of the written files.
+ */
+export async function writeCompareOutputs(result, options, outputDir) {
+  const {stats, masterContacts, compareContacts, rejections} = result;
+  const reports = new Set(options.reports);
+  await fs.mkdir(outputDir, {recursive: true});
+  const written = [];
+
+  if (reports.has('missing')) {
+    written.push(
+      ...(await writeDiffFiles(outputDir, 'missing', result.missing, options))
+    );
+  }
+  if (reports.has('extra')) {
+    written.push(
+      ...(await writeDiffFiles(outputDir, 'extra', result.extra, options))
+    );
+  }
+  if (reports.has('conflicts')) {
+    written.push(
+      ...(await writeContactList(
+        outputDir,
+        `name_conflicts_total_${stats.conflicts}`,
+        result.conflicts.map(({contact, conflicts}) => ({
+          contact,
+          name: contact.name,
+          missing: conflicts,
+        })),
+        options
+      ))
+    );
+  }
+  written.push(...(await writeContactLogs(outputDir, result, options)));
+
+  // Construct output filenames using outputDir and desired names
+  const masterJsonPath = path.join(
+    outputDir,
+    `master_numbers_total_${stats.uniqueMasterContacts}.xlsx`
+  );
+  const compareJsonPath = path.join(
+    outputDir,
+    `compare_numbers_total_${stats.uniqueCompareContacts}.xlsx`
+  );
+  const missingXlsxPath = path.join(
+    outputDir,
+    `missing_numbers_total_${stats.missing}.xlsx`
+  );
+  const extraXlsxPath = path.join(
+    outputDir,
+    `extra_numbers_total_${stats.extra}.xlsx`
+  );
+  const duplicatesXlsxPath = path.join(
+    outputDir,
+    `possible_duplicates_total_${stats.possibleDuplicates}.xlsx`
+  );
+  const conflictsXlsxPath = path.join(
+    outputDir,
+    `name_conflicts_total_${stats.conflicts}.xlsx`
+  );
+  const duplicateMasterPath = path.join(
+    outputDir,
+    `master_numbers_duplicate_${stats.uniqueMasterContacts}.xlsx`
+  );
+  const duplicateComparePath = path.join(
+    outputDir,
+    `compare_numbers_duplicate_${stats.uniqueCompareContacts}.xlsx`
+  );
+  const duplicateNameComparePath = path.join(outputDir, `name_duplicates.xlsx`);
+  const rejectedXlsxPath = path.join(outputDir, 'rejected.xlsx');
+  const rejectedJsonlPath = path.join(outputDir, 'rejected.jsonl');
+  const singleOutputFilePath = path.join(outputDir, `output.xlsx`);
+
+  const workbook = options.singleXlsxFile ? XLSX.utils.book_new() : null;
+
+  saveArrayAsXlsx(
+    [...masterContacts].map(toContactRow),
+    masterJsonPath,
+    'Master Contacts List',
+    workbook,
+    options.singleXlsxFile
+  );
+  saveArrayAsXlsx(
+    sortArrayByKey([...compareContacts].map(toContactRow), 'name'),
+    compareJsonPath,
+    'Compare Contacts List',
+    workbook,
+    options.singleXlsxFile
+  );
+
+  saveArrayAsXlsx(
+    sortArrayByKey(
+      mapToArrayOfObjects(result.duplicateMasterContacts),
+      'value',
+      true,
+      true
+    ),
+    duplicateMasterPath,
+    'Dupicate Master Contacts List',
+    workbook,
+    options.singleXlsxFile
+  );
+  saveArrayAsXlsx(
+    sortArrayByKey(
+      mapToArrayOfObjects(result.duplicateCompareContacts),
+      'value',
+      true,
+      true
+    ),
+    duplicateComparePath,
+    'Dupicate Compare Contacts List',
+    workbook,
+    options.singleXlsxFile
+  );
+  saveArrayAsXlsx(
+    sortArrayByKey(
+      mapToArrayOfObjects(result.duplicateNames),
+      'value',
+      true,
+      true
+    ),
+    duplicateNameComparePath,
+    'Dupicate Name List',
+    workbook,
+    options.singleXlsxFile
+  );
+
+  if (reports.has('missing')) {
+    saveArrayAsXlsx(
+      result.missing.map(toMissingRow),
+      missingXlsxPath,
+      'Missing Contacts',
+      workbook,
+      options.singleXlsxFile
+    );
+  }
+  if (reports.has('extra')) {
+    saveArrayAsXlsx(
+      result.extra.map(toMissingRow),
+      extraXlsxPath,
+      'Extra Contacts',
+      workbook,
+      options.singleXlsxFile
+    );
+  }
+  if (reports.has('conflicts')) {
+    saveArrayAsXlsx(
+      toConflictRows(result),
+      conflictsXlsxPath,
+      'Name Conflicts',
+      workbook,
+      options.singleXlsxFile
+    );
+  }
+  if (reports.has('duplicates')) {
+    saveArrayAsXlsx(
+      result.duplicates.flatMap(toDuplicateRows),
+      duplicatesXlsxPath,
+      'Possible Duplicates',
+      workbook,
+      options.singleXlsxFile
+    );
+  }
+
+  saveArrayAsXlsx(
+    rejections.entries,
+    rejectedXlsxPath,
+    'Rejected Numbers',
+    workbook,
+    options.singleXlsxFile
+  );
+  await fs.writeFile(rejectedJsonlPath, rejections.toJsonl());
+  written.push(rejectedJsonlPath);
+
+  if (options.singleXlsxFile) {
+    saveArrayAsXlsx([], singleOutputFilePath, 'dummy', workbook, false);
+    written.push(singleOutputFilePath);
+  } else {
+    const reportPaths = {
+      missing: missingXlsxPath,
+      extra: extraXlsxPath,
+      conflicts: conflictsXlsxPath,
+      duplicates: duplicatesXlsxPath,
+    };
+    written.push(
+      masterJsonPath,
+      compareJsonPath,
+      duplicateMasterPath,
+      duplicateComparePath,
+      duplicateNameComparePath,
+      ...[...reports].map((report) => reportPaths[report]),
+      rejectedXlsxPath
+    );
+  }
+  return written;
+}
+
+/**
+ * Writes the matrix of a matrix run and, per source with any, the list of
+ * contacts found in no other source to `outputDir`.
+ *
+ * @param {Object} result - Result of `ContactProcessor#matrix`.
+ * @param {Object} options - Processor options.
+ * @param {string} outputDir - Created when missing.
+ * @returns {Promise<string[]>} Paths of the written files.
+ */
+export async function writeMatrixOutputs(result, options, outputDir) {
+  const {stats, labels, rows, unique, rejections} = result;
+  await fs.mkdir(outputDir, {recursive: true});
+  const written = [];
+
+  for (const [label, entries] of unique) {
+    // Sources sharing every number have nothing to list
+    if (!entries.length) continue;
+    written.push(
+      ...(await writeContactList(
+        outputDir,
+        `unique_to_${label}_total_${stats.uniqueBySource[label]}`,
+        entries,
+        options
+      ))
+    );
+  }
+
+  const matrixXlsxPath = path.join(outputDir, 'source_matrix.xlsx');
+  const rejectedXlsxPath = path.join(outputDir, 'rejected.xlsx');
+  const rejectedJsonlPath = path.join(outputDir, 'rejected.jsonl');
+  const workbook = options.singleXlsxFile ? XLSX.utils.book_new() : null;
+  saveArrayAsXlsx(
+    toMatrixRows(rows, labels),
+    matrixXlsxPath,
+    'Source Matrix',
+    workbook,
+    options.singleXlsxFile
+  );
+  saveArrayAsXlsx(
+    rejections.entries,
+    rejectedXlsxPath,
+    'Rejected Numbers',
+    workbook,
+    options.singleXlsxFile
+  );
+  await fs.writeFile(rejectedJsonlPath, rejections.toJsonl());
+  written.push(rejectedJsonlPath);
+  if (options.singleXlsxFile) {
+    const singleOutputFilePath = path.join(outputDir, 'matrix.xlsx');
+    XLSX.writeFile(workbook, singleOutputFilePath);
+    written.push(singleOutputFilePath);
+  } else {
+    written.push(matrixXlsxPath, rejectedXlsxPath);
+  }
+  return written;
+}
@@ -0,0 +1,53 @@
+import {parentPort} from 'worker_threads';
+import {readContactFile} from './input.js';
+
+// Called when the main thread asks for the next batch
+let resume = null;
+
+/**
+ * Reads one file and posts back everything read from it, in file order,
+ * for the main thread to replay. Entries are posted `options.batchSize` at
+ * a time, each batch waiting until the main thread asks for more, so a
+ * file is never read far ahead of the contacts being processed.
+ * Rejections are posted without side and file, like the cache stores them.
+ */
+async function parse({input, options}) {
+  let entries = [];
+  const source = {
+    ...input,
+    index: 0,
+    records: 0,
+    rejections: {
+      add: ({side, file, ...rejection}) => entries.push({rejection}),
+    },
+    onTrace: (trace) => entries.push({trace}),
+    onBytes: (bytesRead) =>
+      parentPort.postMessage({
+        type: 'bytes',
+        bytesRead,
+        records: source.records,
+      }),
+  };
+  try {
+    for await (const contact of readContactFile(source, options)) {
+      entries.push({index: source.index, contact});
+      if (entries.length < options.batchSize) continue;
+      const more = new Promise((resolve) => (resume = resolve));
+      parentPort.postMessage({type: 'batch', records: source.records, entries});
+      entries = [];
+      await more;
+    }
+    parentPort.postMessage({type: 'done', records: source.records, entries});
+  } catch (error) {
+    parentPort.postMessage({type: 'error', message: error.message});
+  }
+}
+
+// Worker thread entry of `ParsePool`
+parentPort.on('message', (message) => {
+  if (message.type === 'more') {
+    resume?.();
+    return;
+  }
+  parse(message);
+});
@@ -0,0 +1,211 @@
+import {REGIONS} from './regions.js';
+
+export const PHONE_TYPES = {
+  MOBILE: 'mobile',
+  FIXED: 'fixed',
+  // Country has no rules in the metadata, so the range cannot be told
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * Machine-readable reasons why a value is not accepted as a phone number.
+ */
+export const PHONE_REJECT_REASONS = {
+  EMPTY: 'empty',
+  TOO_SHORT: 'too_short',
+  TOO_LONG: 'too_long',
+  INVALID_LENGTH: 'invalid_length',
+  INVALID_NUMBER: 'invalid_number',
+};
+
+// Length limits (country code included) for countries without rules
+const MIN_UNKNOWN_LENGTH = 8;
+const MAX_E164_LENGTH = 15;
+
+function toRegExp(pattern) {
+  return typeof pattern === 'string' ? new RegExp(pattern) : pattern;
+}
+
+/**
+ * Compiles user supplied region rules, where patterns may be given as strings.
+ *
+ * @param {Object<string, Object>} regions - Rules keyed by region code.
+ */
+function compileRegions(regions) {
+  return Object.fromEntries(
+    Object.entries(regions).map(([code, rules]) => [
+      code,
+      {
+        ...rules,
+        pattern: toRegExp(rules.pattern),
+        mobilePattern: toRegExp(rules.mobilePattern),
+      },
+    ])
+  );
+}
+
+/**
+ * Checks whether rules exist for a region code.
+ *
+ * @param {string} code - Region code, e.g. `IN`.
+ * @param {Object<string, Object>} [extraRegions] - Additional user supplied rules.
+ */
+export function isKnownRegion(code, extraRegions = {}) {
+  return Object.hasOwn(REGIONS, code) || Object.hasOwn(extraRegions, code);
+}
+
+function reject(reason, value) {
+  return {ok: false, reason, value};
+}
+
+function rejectByLength(length, minLength, maxLength, value) {
+  if (length < minLength) return reject(PHONE_REJECT_REASONS.TOO_SHORT, value);
+  if (length > maxLength) return reject(PHONE_REJECT_REASONS.TOO_LONG, value);
+  return reject(PHONE_REJECT_REASONS.INVALID_LENGTH, value);
+}
+
+/**
+ * Creates a function that normalizes raw phone values to E.164.
+ *
+ * Numbers written with `+` or `00` are read as international and checked
+ * against the rules of their country code. Anything else is read as a
+ * national number of `defaultRegion`: its trunk prefix and a country code
+ * written without `+` are removed before the length and range checks.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.defaultRegion] - Region used for numbers without a country code.
+ * @param {Object<string, Object>} [options.regions] - Extra or overriding rules, see `REGIONS`.
+ * @returns {(value: unknown) => {ok: true, e164: string, region: string | null, nationalNumber: string, type: string} | {ok: false, reason: string, value: unknown}}
+ */
+export function createPhoneNormalizer({
+  defaultRegion = 'IN',
+  regions = {},
+} = {}) {
+  const customRegions = compileRegions(regions);
+  const allRegions = {...REGIONS, ...customRegions};
+  if (!allRegions[defaultRegion]) {
+    throw new RangeError(`Unknown phone region: ${defaultRegion}`);
+  }
+
+  // Several regions may share a code (e.g. +1); the first listed owns it,
+  // unless a custom rule claims the code.
+  const regionByCountryCode = new Map();
+  for (const [code, rules] of Object.entries(REGIONS)) {
+    if (!regionByCountryCode.has(rules.countryCode)) {
+      regionByCountryCode.set(rules.countryCode, code);
+    }
+  }
+  for (const [code, rules] of Object.entries(customRegions)) {
+    regionByCountryCode.set(rules.countryCode, code);
+  }
+
+  function accept(nationalNumber, code, value) {
+    const rules = allRegions[code];
+    if (rules.pattern && !rules.pattern.test(nationalNumber)) {
+      return reject(PHONE_REJECT_REASONS.INVALID_NUMBER, value);
+    }
+    const isMobile =
+      !rules.mobilePattern || rules.mobilePattern.test(nationalNumber);
+    return {
+      ok: true,
+      e164: `+${rules.countryCode}${nationalNumber}`,
+      region: code,
+      nationalNumber,
+      type: isMobile ? PHONE_TYPES.MOBILE : PHONE_TYPES.FIXED,
+    };
+  }
+
+  function stripTrunkPrefix(number, rules) {
+    const {trunkPrefix, lengths} = rules;
+    if (
+      trunkPrefix &&
+      number.startsWith(trunkPrefix) &&
+      !lengths.includes(number.length)
+    ) {
+      return number.slice(trunkPrefix.length);
+    }
+    return number;
+  }
+
+  function parseNational(digits, value) {
+    const rules = allRegions[defaultRegion];
+    const {countryCode, lengths} = rules;
+    const number = stripTrunkPrefix(digits, rules);
+
+    if (lengths.includes(number.length)) {
+      return accept(number, defaultRegion, value);
+    }
+    // Country code written without `+`, e.g. 919876543210
+    if (
+      number.startsWith(countryCode) &&
+      lengths.includes(number.length - countryCode.length)
+    ) {
+      return accept(number.slice(countryCode.length), defaultRegion, value);
+    }
+    return rejectByLength(
+      number.length,
+      Math.min(...lengths),
+      Math.max(...lengths),
+      value
+    );
+  }
+
+  function parseInternational(digits, value) {
+    for (let length = 1; length <= 3; length++) {
+      const code = regionByCountryCode.get(digits.slice(0, length));
+      if (!code) continue;
+
+      const rules = allRegions[code];
+      const number = stripTrunkPrefix(digits.slice(length), rules);
+      if (rules.lengths.includes(number.length)) {
+        return accept(number, code, value);
+      }
+      return rejectByLength(
+        number.length,
+        Math.min(...rules.lengths),
+        Math.max(...rules.lengths),
+        value
+      );
+    }
+
+    if (digits.length < MIN_UNKNOWN_LENGTH || digits.length > MAX_E164_LENGTH) {
+      return rejectByLength(
+        digits.length,
+        MIN_UNKNOWN_LENGTH,
+        MAX_E164_LENGTH,
+        value
+      );
+    }
+    return {
+      ok: true,
+      e164: `+${digits}`,
+      region: null,
+      nationalNumber: digits,
+      type: PHONE_TYPES.UNKNOWN,
+    };
+  }
+
+  return function normalizePhone(value) {
+    if (typeof value === 'number' && Number.isInteger(value)) {
+      value = String(value);
+    }
+    if (typeof value !== 'string') {
+      return reject(PHONE_REJECT_REASONS.EMPTY, value);
+    }
+
+    let digits = value.replace(/[^\d+]/g, '');
+    let isInternational = digits.startsWith('+');
+    digits = digits.replace(/\+/g, '');
+    if (!digits) {
+      return reject(PHONE_REJECT_REASONS.EMPTY, value);
+    }
+    if (!isInternational && digits.startsWith('00')) {
+      isInternational = true;
+      digits = digits.slice(2);
+    }
+
+    return isInternational
+      ? parseInternational(digits, value)
+      : parseNational(digits, value);
+  };
+}
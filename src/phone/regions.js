@@ -0,0 +1,137 @@
+/**
+ * Offline numbering rules per region, keyed by ISO 3166-1 alpha-2 code.
+ *
+ * - `countryCode`: international calling code without `+`.
+ * - `lengths`: allowed lengths of the national significant number (no trunk prefix).
+ * - `trunkPrefix`: digit(s) dialled before the national number inside the country.
+ * - `pattern`: every valid national significant number matches this.
+ * - `mobilePattern`: national significant numbers that belong to mobile ranges.
+ *
+ * The rules are deliberately coarse: they are meant to tell a real number
+ * from an ID or a truncated value, not to replace a full numbering plan.
+ */
+export const REGIONS = {
+  IN: {
+    countryCode: '91',
+    lengths: [10],
+    trunkPrefix: '0',
+    pattern: /^[1-9]\d{9}$/,
+    mobilePattern: /^[6-9]\d{9}$/,
+  },
+  PK: {
+    countryCode: '92',
+    lengths: [9, 10],
+    trunkPrefix: '0',
+    pattern: /^[1-9]\d{8,9}$/,
+    mobilePattern: /^3\d{9}$/,
+  },
+  BD: {
+    countryCode: '880',
+    lengths: [8, 9, 10],
+    trunkPrefix: '0',
+    pattern: /^[1-9]\d{7,9}$/,
+    mobilePattern: /^1[3-9]\d{8}$/,
+  },
+  NP: {
+    countryCode: '977',
+    lengths: [8, 9, 10],
+    trunkPrefix: '0',
+    pattern: /^[1-9]\d{7,9}$/,
+    mobilePattern: /^9[678]\d{8}$/,
+  },
+  LK: {
+    countryCode: '94',
+    lengths: [9],
+    trunkPrefix: '0',
+    pattern: /^[1-9]\d{8}$/,
+    mobilePattern: /^7\d{8}$/,
+  },
+  AE: {
+    countryCode: '971',
+    lengths: [8, 9],
+    trunkPrefix: '0',
+    pattern: /^(?:[2-79]\d{7}|5\d{8})$/,
+    mobilePattern: /^5[024568]\d{7}$/,
+  },
+  SA: {
+    countryCode: '966',
+    lengths: [8, 9],
+    trunkPrefix: '0',
+    pattern: /^(?:1\d{7}|5\d{8})$/,
+    mobilePattern: /^5\d{8}$/,
+  },
+  QA: {
+    countryCode: '974',
+    lengths: [8],
+    pattern: /^[2-7]\d{7}$/,
+    mobilePattern: /^[3567]\d{7}$/,
+  },
+  KW: {
+    countryCode: '965',
+    lengths: [8],
+    pattern: /^[1-9]\d{7}$/,
+    mobilePattern: /^[569]\d{7}$/,
+  },
+  OM: {
+    countryCode: '968',
+    lengths: [8],
+    pattern: /^[2-9]\d{7}$/,
+    mobilePattern: /^[79]\d{7}$/,
+  },
+  BH: {
+    countryCode: '973',
+    lengths: [8],
+    pattern: /^[136]\d{7}$/,
+    mobilePattern: /^(?:3\d|66)\d{6}$/,
+  },
+  GB: {
+    countryCode: '44',
+    lengths: [9, 10],
+    trunkPrefix: '0',
+    pattern: /^[1-9]\d{8,9}$/,
+    mobilePattern: /^7\d{9}$/,
+  },
+  // North American Numbering Plan. Mobile and fixed numbers share the same
+  // ranges, so every valid number is treated as mobile.
+  US: {
+    countryCode: '1',
+    lengths: [10],
+    trunkPrefix: '1',
+    pattern: /^[2-9]\d{2}[2-9]\d{6}$/,
+    mobilePattern: /^[2-9]\d{2}[2-9]\d{6}$/,
+  },
+  AU: {
+    countryCode: '61',
+    lengths: [9],
+    trunkPrefix: '0',
+    pattern: /^[2-478]\d{8}$/,
+    mobilePattern: /^4\d{8}$/,
+  },
+  SG: {
+    countryCode: '65',
+    lengths: [8],
+    pattern: /^[3689]\d{7}$/,
+    mobilePattern: /^[89]\d{7}$/,
+  },
+  MY: {
+    countryCode: '60',
+    lengths: [8, 9, 10],
+    trunkPrefix: '0',
+    pattern: /^[1-9]\d{7,9}$/,
+    mobilePattern: /^1\d{8,9}$/,
+  },
+  DE: {
+    countryCode: '49',
+    lengths: [7, 8, 9, 10, 11],
+    trunkPrefix: '0',
+    pattern: /^[1-9]\d{6,10}$/,
+    mobilePattern: /^1[5-7]\d{8,9}$/,
+  },
+  FR: {
+    countryCode: '33',
+    lengths: [9],
+    trunkPrefix: '0',
+    pattern: /^[1-9]\d{8}$/,
+    mobilePattern: /^[67]\d{8}$/,
+  },
+};
@@ -0,0 +1,98 @@
+// Phone columns of an Outlook CSV export, normalized
+const OUTLOOK_PHONE_COLUMNS = [
+  'mobile_phone',
+  'primary_phone',
+  'home_phone',
+  'home_phone_2',
+  'business_phone',
+  'business_phone_2',
+  'company_main_phone',
+  'assistant_s_phone',
+  'car_phone',
+  'other_phone',
+  'radio_phone',
+  'callback',
+  'isdn',
+  'tty_tdd_phone',
+  'telex',
+  'pager',
+  'home_fax',
+  'business_fax',
+  'other_fax',
+];
+
+const GOOGLE_PHONE_COLUMN = /^phone_\d+_value$/;
+
+/**
+ * Column layouts of well-known CSV exports, recognized by their headers.
+ * Each gives the phone and name columns of the layout, which replace the
+ * configured lists for files in it.
+ *
+ * - `google`: Google Contacts, with `Phone 1 - Value` and `Phone 1 - Label`
+ *   (`Phone 1 - Type` in older exports) pairs, any number of them.
+ * - `outlook`: Outlook, with `Mobile Phone`, `Business Phone` and so on.
+ */
+export const CSV_PRESETS = [
+  {
+    name: 'google',
+    matches: (columns) =>
+      columns.some((column) => GOOGLE_PHONE_COLUMN.test(column)) &&
+      (columns.includes('labels') || columns.includes('group_membership')),
+    phoneColumnNames: (columns) =>
+      columns.filter((column) => GOOGLE_PHONE_COLUMN.test(column)),
+    nameColumnNames: ['name', 'first_name', 'given_name', 'last_name'],
+  },
+  {
+    name: 'outlook',
+    matches: (columns) =>
+      ['first_name', 'mobile_phone', 'business_phone'].every((column) =>
+        columns.includes(column)
+      ),
+    phoneColumnNames: (columns) =>
+      OUTLOOK_PHONE_COLUMNS.filter((column) => columns.includes(column)),
+    nameColumnNames: ['first_name', 'last_name', 'nickname'],
+  },
+];
+
+/**
+ * Finds the preset whose layout the columns of a file follow.
+ *
+ * @param {string[]} columns - Normalized column names.
+ * @returns {Object | null} One of `CSV_PRESETS`.
+ */
+export function detectPreset(columns) {
+  return CSV_PRESETS.find((preset) => preset.matches(columns)) || null;
+}
+
+const presetOptions = new WeakMap();
+
+/**
+ * Options for reading rows with the given columns: `options` with the
+ * phone and name columns of the matching preset, or `options` itself when
+ * no preset matches. The same columns give the same options object.
+ *
+ * @param {Object} options - Processor options.
+ * @param {string[]} columns - Normalized column names.
+ * @returns {{options: Object, preset: string}} `preset` is the preset's
+ *   name, or `''`.
+ */
+export function applyPreset(options, columns) {
+  const preset = detectPreset(columns);
+  if (!preset) return {options, preset: ''};
+
+  let cache = presetOptions.get(options);
+  if (!cache) {
+    cache = new Map();
+    presetOptions.set(options, cache);
+  }
+  const phoneColumnNames = preset.phoneColumnNames(columns);
+  const key = `${preset.name}\0${phoneColumnNames.join(',')}`;
+  if (!cache.has(key)) {
+    cache.set(key, {
+      ...options,
+      phoneColumnNames,
+      nameColumnNames: preset.nameColumnNames,
+    });
+  }
+  return {options: cache.get(key), preset: preset.name};
+}
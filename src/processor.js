@@ -0,0 +1,876 @@
+import {EventEmitter} from 'events';
+import {watch as watchPath} from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import {DEFAULT_OPTIONS} from './defaults.js';
+import {REJECT_REASONS, RejectionLog} from './rejections.js';
+import {
+  MISSING_STATUS,
+  findMissingContacts,
+  findNameConflicts,
+} from './diff.js';
+import {findPossibleDuplicates} from './names/fuzzy.js';
+import {NameResolver} from './names/policy.js';
+import {
+  enrichNames,
+  formatPlaceholder,
+  isPlaceholderName,
+} from './names/enrich.js';
+import {buildSourceMatrix} from './matrix.js';
+import {PHONE_TYPES} from './phone/normalize.js';
+import {
+  CONTACT_FILE_EXTENSIONS,
+  getPhoneNormalizer,
+  inputFormat,
+  isContactInput,
+  readContactFile,
+  walkInputs,
+} from './input.js';
+import {ContactCache} from './cache.js';
+import {describeInput} from './schema.js';
+import {SightingLog} from './provenance.js';
+import {ContactFilter} from './filters.js';
+import {ParsePool, replayParsed, workerCount} from './workers.js';
+import {writeCompareOutputs, writeMatrixOutputs} from './output.js';
+
+function addToDuplicateMap(map, key) {
+  if (typeof key == 'string') {
+    key = key.toLowerCase();
+  }
+  if (!map.has(key)) {
+    map.set(key, 1);
+  } else {
+    map.set(key, map.get(key) + 1);
+  }
+}
+
+/**
+ * Sorts diff entries by name and sets the exported `name` of each. With
+ * `uniqueNames`, names shared by several entries get a `(n)` counter.
+ *
+ * @param {Array<Object>} entries - Entries with their base `name` set.
+ * @param {boolean} uniqueNames
+ */
+function assignExportNames(entries, uniqueNames) {
+  const nameCounts = new Map();
+  for (const {name} of entries) {
+    addToDuplicateMap(nameCounts, name);
+  }
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  let nameCount = 0;
+  let prevName = '';
+  for (const entry of entries) {
+    if (!uniqueNames || nameCounts.get(entry.name.toLowerCase()) < 2) {
+      continue;
+    }
+    if (entry.name.toLowerCase() === prevName.toLowerCase()) {
+      nameCount++;
+    } else {
+      nameCount = 1;
+      prevName = entry.name;
+    }
+    entry.name = `${entry.name} (${nameCount})`;
+  }
+}
+
+// Numbers of the missing contacts of a compare result
+function missingNumbers(missing) {
+  return new Set(missing.flatMap((entry) => entry.missing.map((p) => p.phone)));
+}
+
+/**
+ * Short description of how the missing numbers changed between two runs,
+ * e.g. `+12 missing, -3 resolved`.
+ *
+ * @param {Set<string>} before
+ * @param {Set<string>} after
+ */
+function describeDelta(before, after) {
+  const added = [...after].filter((phone) => !before.has(phone)).length;
+  const resolved = [...before].filter((phone) => !after.has(phone)).length;
+  return `+${added} missing, -${resolved} resolved`;
+}
+
+/**
+ * Size in bytes of an input yielded by `walkInputs`, or `null` for streams.
+ *
+ * @param {{file: string, data?: unknown}} input
+ */
+async function inputSize({file, data}) {
+  if (data === undefined) return (await fs.stat(file)).size;
+  if (typeof data === 'string' || Buffer.isBuffer(data)) {
+    return Buffer.byteLength(data);
+  }
+  return null;
+}
+
+/**
+ * Compares contact lists. All state of a run lives on the instance, so
+ * several processors can run side by side in one process.
+ *
+ * `compare()` and `matrix()` only read their inputs and return the results;
+ * `process()` and `processMatrix()` also write the output files.
+ *
+ * Events:
+ * - `phase` `{phase, files, bytes}`: a run moved on to reading a side
+ *   (`master`, `compare` or a matrix source label, with its file count and
+ *   total size), then to `diff` and `export`.
+ * - `file:start` `{side, file, size}` and `file:end` `{side, file, size,
+ *   records, contacts, cached}` around each input; `records` counts the rows
+ *   or cards read, `contacts` the ones yielding numbers.
+ * - `file:progress` `{side, file, size, bytesRead, records}` while reading
+ *   a file from disk. `size` is `null` when unknown. With worker threads,
+ *   files are read ahead, so this may come before the file's `file:start`.
+ * - `summary` `{stats}` once the outputs are written.
+ * - `error` with a message for each input that cannot be read, and
+ *   `progress` with other messages such as traces (see `traceNumber`).
+ *   Errors are also collected in the `errors` of the result, so that runs
+ *   without an `error` listener go on past a bad input.
+ */
+export class ContactProcessor extends EventEmitter {
+  /**
+   * @param {Object} [options] - Overrides for `DEFAULT_OPTIONS`. `master`,
+   *   `compare` and the lists of `sources` may hold paths and in-memory
+   *   inputs, see `walkInputs` in src/input.js.
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {...DEFAULT_OPTIONS, ...options};
+    this.outputDir = this.options.outputDir;
+    this.reset();
+  }
+
+  /**
+   * Clears the state of a previous run.
+   */
+  reset() {
+    this.rejections = new RejectionLog();
+    // Messages of the inputs that could not be read, see `reportError`
+    this.errors = [];
+    this.masterContacts = new Map();
+    this.compareContacts = new Map();
+    // Every number read from compare files, including rejected ones
+    this.seenCompareContacts = new Map();
+    this.duplicateMasterContacts = new Map();
+    this.duplicateCompareContacts = new Map();
+    this.duplicateNamesMap = new Map();
+    // Contacts holding each number, on every side (see src/provenance.js)
+    this.sightings = new SightingLog();
+    // Filter rules of the run, counting what each one removed
+    this.filter = new ContactFilter(this.options);
+    // Contacts holding each number per side, see `options.namePolicy`
+    this.masterNames = new NameResolver(this.options);
+    this.compareNames = new NameResolver(this.options);
+    this.stats = {
+      processed: 0,
+      // Contacts with at least one number missing from master
+      missing: 0,
+      partiallyMissing: 0,
+      missingNumbers: 0,
+      // Master contacts with at least one number in no compare file
+      extra: 0,
+      extraNumbers: 0,
+      // Numbers saved under different names in master and compare
+      conflicts: 0,
+      // Groups of contacts with different numbers and similar names
+      possibleDuplicates: 0,
+      errors: 0,
+      rejected: 0,
+      totalFiles: 0,
+      // Input files skipped because their format is not read
+      unsupportedFiles: 0,
+      // Files whose contacts were taken from the cache instead of parsed
+      cachedFiles: 0,
+      // Contacts without a real name that got one from another contact
+      enrichedNames: 0,
+      // Contacts each filter rule removed numbers of, by rule name
+      filtered: {},
+      // New stats
+      totalMasterContacts: 0,
+      uniqueMasterContacts: 0,
+      totalCompareContacts: 0,
+      uniqueCompareContacts: 0,
+    };
+  }
+
+  /**
+   * Records an error of the run in `errors` and emits it as `error`, but
+   * only to listeners: an `error` event nobody listens to would throw and
+   * end the run.
+   *
+   * @param {string} message
+   */
+  reportError(message) {
+    this.errors.push(message);
+    if (this.listenerCount('error') > 0) this.emit('error', message);
+  }
+
+  /**
+   * Creates the read cursor passed down to the file readers for one input.
+   *
+   * @param {string} side - `master`, `compare` or a matrix source label.
+   * @param {{file: string, data?: unknown, ext?: string}} input - Input yielded by `walkInputs`.
+   */
+  createSource(side, input) {
+    return {
+      side,
+      ...input,
+      index: 0,
+      records: 0,
+      rejections: this.rejections,
+      onTrace: (message) => this.emit('progress', message),
+    };
+  }
+
+  /**
+   * Emits the start of a phase of the run.
+   *
+   * @param {string} phase
+   * @param {{files?: number, bytes?: number}} [params]
+   */
+  startPhase(phase, {files = 0, bytes = 0} = {}) {
+    this.emit('phase', {phase, files, bytes});
+  }
+
+  /**
+   * Opens the contact cache for a run, when enabled.
+   */
+  async openCache() {
+    const {options} = this;
+    // Watch mode keeps one cache for all of its runs
+    if (this.watching) return;
+    this.cache = options.cache
+      ? await ContactCache.open(options.cacheDir, options, {
+          rebuild: options.rebuildCache,
+        })
+      : null;
+  }
+
+  /**
+   * Stores the cache index at the end of a run.
+   */
+  async closeCache() {
+    if (!this.cache) return;
+    this.stats.cachedFiles = this.cache.hits;
+    await this.cache.save();
+  }
+
+  /**
+   * Starts reading the files of one side in worker threads, when there are
+   * several files on disk that are not cached and more than one worker.
+   *
+   * @param {Array<Object>} sources - Read cursors of the side.
+   * @returns {Promise<{pool: ParsePool | null, parsing: Map<Object, Object>}>}
+   *   The pool, to be closed, and the job of each queued source.
+   */
+  async startParsing(sources) {
+    const parsing = new Map();
+    const queued = [];
+    for (const source of sources) {
+      if (source.data !== undefined) continue;
+      if (this.cache && (await this.cache.has(source.file))) continue;
+      queued.push(source);
+    }
+    const size = Math.min(workerCount(this.options), queued.length);
+    if (size < 2) return {pool: null, parsing};
+
+    const pool = new ParsePool(size);
+    // Failures are reported when the file's turn comes
+    for (const source of queued) {
+      parsing.set(source, pool.parse(source, this.options));
+    }
+    return {pool, parsing};
+  }
+
+  /**
+   * Reports an input whose format is not read, instead of passing over it
+   * silently: it is logged as a rejection and counted in
+   * `stats.unsupportedFiles`.
+   *
+   * @param {string} side
+   * @param {{file: string, ext?: string}} input
+   */
+  skipUnsupported(side, input) {
+    this.stats.unsupportedFiles++;
+    this.rejections.add({
+      side,
+      file: input.file,
+      index: 0,
+      reason: REJECT_REASONS.UNSUPPORTED_FILE,
+      detail: inputFormat(input) || 'no extension',
+    });
+    this.emit('progress', `Skipped ${input.file}: unsupported format`);
+  }
+
+  /**
+   * Reads every contact of one side, counting files and errors. Files on
+   * disk go through the cache; in-memory inputs are always parsed. Files
+   * may be read in parallel by worker threads (see `options.workers`), but
+   * their contacts are passed to `onContact` file by file in input order,
+   * so results do not depend on which file finished first. Each contact
+   * is marked `placeholderName` when its name is no better than a
+   * placeholder (see `isPlaceholderName`) and then named from
+   * `options.placeholderTemplate`, and recorded in `sightings` before it
+   * is passed on.
+   *
+   * @param {string} side
+   * @param {Array} inputs - Paths and in-memory inputs.
+   * @param {(contact: Object, source: Object) => void} onContact
+   */
+  async readSide(side, inputs, onContact) {
+    // Listed first so that the phase can tell how much there is to read
+    const files = [];
+    for await (const input of walkInputs(inputs, side)) {
+      if (!(await isContactInput(input))) {
+        this.skipUnsupported(side, input);
+        continue;
+      }
+      const size = await inputSize(input);
+      const source = this.createSource(side, input);
+      source.onBytes = (bytesRead) => {
+        this.emit('file:progress', {
+          side,
+          file: input.file,
+          size,
+          bytesRead,
+          records: source.records,
+        });
+      };
+      files.push({source, size});
+    }
+    this.startPhase(side, {
+      files: files.length,
+      bytes: files.reduce((sum, {size}) => sum + (size || 0), 0),
+    });
+
+    const {pool, parsing} = await this.startParsing(
+      files.map(({source}) => source)
+    );
+    try {
+      for (const {source, size} of files) {
+        const {file} = source;
+        this.emit('file:start', {side, file, size});
+        try {
+          this.stats.totalFiles++;
+          const hits = this.cache?.hits;
+          const job = parsing.get(source);
+          const parse = job
+            ? (cursor) => replayParsed(cursor, pool.read(job))
+            : readContactFile;
+          const contacts =
+            this.cache && source.data === undefined
+              ? this.cache.read(source, this.options, parse)
+              : parse(source, this.options);
+          let count = 0;
+          for await (const c of contacts) {
+            count++;
+            // On every side, so that such names are never passed on nor
+            // exported as they are
+            c.placeholderName = isPlaceholderName(this.options, c);
+            this.sightings.add(side, c);
+            if (c.placeholderName) {
+              c.name = formatPlaceholder(this.options, c.phones[0].phone, c);
+            }
+            onContact(c, source);
+          }
+          this.stats.processed++;
+          this.emit('file:end', {
+            side,
+            file,
+            size,
+            records: source.records,
+            contacts: count,
+            cached: !!this.cache && this.cache.hits > hits,
+          });
+        } catch (error) {
+          this.stats.errors++;
+          this.reportError(`Error processing ${file}: ${error.message}`);
+        } finally {
+          // Lets the next file start even if this one was not replayed
+          if (parsing.has(source)) pool.release(parsing.get(source));
+        }
+      }
+    } finally {
+      await pool?.close();
+    }
+  }
+
+  /**
+   * Checks one number of a contact against the filter rules of a scope. A
+   * removed number is logged to the rejections with the rule name.
+   *
+   * @param {string} scope - `master`, `compare`, `output` or a matrix source label.
+   * @param {Object} contact - Contact read in this run.
+   * @param {{phone: string, column?: string}} entry - One of its `phones`.
+   * @returns {boolean} Whether the number is kept.
+   */
+  keepNumber(scope, contact, entry) {
+    const rule = this.filter.check(scope, contact, entry);
+    if (!rule) return true;
+    const {side, file, sheet, index} = contact.origin;
+    this.rejections.add({
+      side,
+      file,
+      index,
+      sheet,
+      raw: entry.phone,
+      phone: entry.phone,
+      name: contact.name,
+      reason: REJECT_REASONS.FILTER_RULE,
+      detail: rule,
+    });
+    return false;
+  }
+
+  /**
+   * Drops the numbers of diff entries that `output` filter rules remove, and
+   * the entries left without any.
+   *
+   * @param {Array<Object>} entries - Entries of `findMissingContacts` or
+   *   `findNameConflicts`.
+   * @param {string} [key] - Property holding the numbers of an entry.
+   */
+  filterOutput(entries, key = 'missing') {
+    if (!this.filter.appliesTo('output')) return entries;
+    return entries.filter((entry) => {
+      entry[key] = entry[key].filter((phone) =>
+        this.keepNumber('output', entry.contact, phone)
+      );
+      return entry[key].length > 0;
+    });
+  }
+
+  /**
+   * Adds the numbers of a compare contact to `compareContacts`. Each number
+   * is checked against the built-in conditions, then the `compare` filter
+   * rules; each number that fails one is logged to the rejections.
+   *
+   * @param {Object} contact - Contact returned by `createContactKey`.
+   * @param {Object} source - Read cursor: `{side, file, index, rejections}`.
+   */
+  addToCompareContacts(contact, source) {
+    const {options, compareContacts} = this;
+
+    for (const entry of contact.phones) {
+      const {phone} = entry;
+      addToDuplicateMap(this.duplicateCompareContacts, phone);
+
+      const phoneResult = getPhoneNormalizer(options)(phone);
+      // Define conditions as [passed, reason, detail], checked in order
+      const conditions = [
+        [phoneResult.ok, phoneResult.reason],
+        [
+          !options.mobileOnly || phoneResult.type !== PHONE_TYPES.FIXED,
+          REJECT_REASONS.FIXED_LINE,
+          phoneResult.region,
+        ],
+      ];
+
+      const failed = conditions.find(([passed]) => !passed);
+      if (!failed) {
+        if (this.keepNumber('compare', contact, entry)) {
+          // Numbers held by several contacts are given to one of them
+          // once every file is read, see `NameResolver`
+          compareContacts.set(phone, contact);
+          this.compareNames.add(phone, contact);
+        }
+        continue;
+      }
+      const [, reason, detail] = failed;
+      source.rejections.add({
+        side: source.side,
+        file: source.file,
+        index: source.index,
+        raw: phone,
+        phone,
+        name: contact.name,
+        reason,
+        detail,
+      });
+    }
+  }
+
+  /**
+   * Reads master and compare inputs and builds the selected reports.
+   *
+   * @returns {Promise<Object>} `{stats, masterContacts, compareContacts,
+   *   missing, extra, conflicts, duplicates, rejections, errors, ...}`; the
+   *   report lists are empty when not selected in `options.reports`.
+   */
+  async compare() {
+    this.reset();
+    const {options, masterContacts, compareContacts, seenCompareContacts} =
+      this;
+    await this.openCache();
+
+    await this.readSide('master', options.master, (c) => {
+      for (const entry of c.phones) {
+        this.stats.totalMasterContacts++;
+        addToDuplicateMap(this.duplicateMasterContacts, entry.phone);
+        if (this.keepNumber('master', c, entry)) {
+          masterContacts.set(entry.phone, c);
+          this.masterNames.add(entry.phone, c);
+        }
+      }
+    });
+    // Compare files are not counted in `processed`
+    const processed = this.stats.processed;
+    await this.readSide('compare', options.compare, (c, source) => {
+      for (const {phone} of c.phones) {
+        this.stats.totalCompareContacts++;
+        seenCompareContacts.set(phone, c);
+      }
+      this.addToCompareContacts(c, source);
+    });
+    this.stats.processed = processed;
+    await this.closeCache();
+    this.masterNames.resolve(masterContacts);
+    this.compareNames.resolve(compareContacts);
+    if (options.enrichNames) {
+      this.stats.enrichedNames = enrichNames(
+        new Set([...masterContacts.values(), ...compareContacts.values()]),
+        this.sightings
+      );
+    }
+    // Master numbers are checked against the same compare contacts
+    for (const [phone, contact] of compareContacts) {
+      seenCompareContacts.set(phone, contact);
+    }
+    this.startPhase('diff');
+
+    // Update stats after processing both directories
+    this.stats.uniqueMasterContacts = masterContacts.size;
+    this.stats.uniqueCompareContacts = compareContacts.size;
+
+    // All maps are keyed by E.164 numbers, so formatting differences
+    // between the files no longer matter here
+    const reports = new Set(options.reports);
+    let missing = [];
+    if (reports.has('missing')) {
+      missing = this.filterOutput(
+        findMissingContacts(compareContacts, masterContacts)
+      );
+      for (const entry of missing) {
+        entry.name = entry.contact.name;
+        addToDuplicateMap(this.duplicateNamesMap, entry.name);
+        this.stats.missing++;
+        this.stats.missingNumbers += entry.missing.length;
+        if (entry.status === MISSING_STATUS.PARTIALLY) {
+          this.stats.partiallyMissing++;
+        }
+      }
+      assignExportNames(missing, options.uniqueNames);
+    }
+
+    // Master numbers that no compare file holds, accepted or not
+    let extra = [];
+    if (reports.has('extra')) {
+      extra = this.filterOutput(
+        findMissingContacts(masterContacts, seenCompareContacts)
+      );
+      for (const entry of extra) {
+        entry.name =
+          entry.contact.name ||
+          formatPlaceholder(options, entry.missing[0].phone, entry.contact);
+        this.stats.extra++;
+        this.stats.extraNumbers += entry.missing.length;
+      }
+      assignExportNames(extra, options.uniqueNames);
+    }
+
+    let conflicts = [];
+    if (reports.has('conflicts')) {
+      conflicts = this.filterOutput(
+        findNameConflicts(compareContacts, masterContacts),
+        'conflicts'
+      ).sort((a, b) => a.contact.name.localeCompare(b.contact.name));
+      for (const entry of conflicts) {
+        this.stats.conflicts += entry.conflicts.length;
+      }
+    }
+
+    let duplicates = [];
+    if (reports.has('duplicates')) {
+      const named = (side, map) =>
+        [...new Set(map.values())]
+          .filter(({name, placeholderName}) => name && !placeholderName)
+          .map((contact) => ({contact, side}));
+      duplicates = findPossibleDuplicates(
+        [
+          ...named('master', masterContacts),
+          ...named('compare', compareContacts),
+        ],
+        {threshold: options.fuzzyThreshold}
+      ).sort((a, b) => a.suggested.name.localeCompare(b.suggested.name));
+      this.stats.possibleDuplicates = duplicates.length;
+    }
+    this.stats.rejected = this.rejections.size;
+    this.stats.filtered = this.filter.counts();
+
+    return {
+      stats: this.stats,
+      masterContacts,
+      compareContacts,
+      missing,
+      extra,
+      conflicts,
+      duplicates,
+      duplicateMasterContacts: this.duplicateMasterContacts,
+      duplicateCompareContacts: this.duplicateCompareContacts,
+      duplicateNames: this.duplicateNamesMap,
+      rejections: this.rejections,
+      errors: this.errors,
+    };
+  }
+
+  /**
+   * Runs `compare()` and writes its reports to `outputDir`.
+   *
+   * @returns {Promise<Object>} The result of `compare()`, with the paths of
+   *   the written `files`.
+   */
+  async process() {
+    const result = await this.compare();
+    this.startPhase('export');
+    result.files = await writeCompareOutputs(
+      result,
+      this.options,
+      this.outputDir
+    );
+    this.emit('summary', {stats: result.stats});
+    return result;
+  }
+
+  /**
+   * Describes the columns of every master and compare file without
+   * comparing anything: the role each column is read in and a few sample
+   * values, see `describeInput` in src/schema.js. Files of other formats
+   * are left out.
+   *
+   * @returns {Promise<Array<Object>>} One entry per file.
+   */
+  async schema() {
+    const entries = [];
+    for (const side of ['master', 'compare']) {
+      for await (const input of walkInputs(this.options[side], side)) {
+        if (!(await isContactInput(input))) continue;
+        try {
+          entries.push(
+            await describeInput(this.createSource(side, input), this.options)
+          );
+        } catch (error) {
+          this.reportError(`Error processing ${input.file}: ${error.message}`);
+        }
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Runs `process()`, then again whenever a contact file under the master or
+   * compare paths is added, changed or removed. Only those files are parsed
+   * again; the contacts read from the others are kept in memory. Outputs of
+   * the previous run that were not written again, e.g. a VCF whose total
+   * changed, are removed.
+   *
+   * After each run a `progress` event tells how the missing numbers changed,
+   * e.g. `contacts.csv changed: +12 missing, -3 resolved`. Failed runs emit
+   * `error` and watching goes on.
+   *
+   * @param {Object} [params]
+   * @param {number} [params.delay] - Milliseconds to wait for further changes before running.
+   * @returns {Promise<{close: () => Promise<void>}>} Resolves after the first
+   *   run; `close()` stops watching and waits for a run in progress.
+   */
+  async watch({delay = 500} = {}) {
+    const {options} = this;
+    this.cache = await ContactCache.open(
+      options.cache ? options.cacheDir : null,
+      options,
+      {rebuild: options.rebuildCache, memory: true}
+    );
+    this.watching = true;
+
+    // Changes to the tool's own files must not trigger runs
+    const ignored = [options.outputDir, options.cacheDir].map(
+      (dir) => path.resolve(dir) + path.sep
+    );
+    let written = [];
+    let missing = null;
+
+    const run = async (changedFiles) => {
+      try {
+        const result = await this.compare();
+        this.startPhase('export');
+        const files = await writeCompareOutputs(
+          result,
+          options,
+          this.outputDir
+        );
+        for (const file of written) {
+          if (!files.includes(file)) await fs.rm(file, {force: true});
+        }
+        written = files;
+        this.emit('summary', {stats: result.stats});
+
+        const numbers = missingNumbers(result.missing);
+        if (missing) {
+          const names = changedFiles.map((file) => path.basename(file));
+          this.emit(
+            'progress',
+            `${names.join(', ')} changed: ${describeDelta(missing, numbers)}`
+          );
+        } else {
+          this.emit(
+            'progress',
+            `Watching for changes, ${numbers.size} missing numbers`
+          );
+        }
+        missing = numbers;
+      } catch (error) {
+        this.reportError(`Error updating outputs: ${error.message}`);
+      }
+    };
+
+    // Runs one after the other; changes arriving meanwhile are collected
+    // for the next one
+    let running = run([]);
+    await running;
+    const changed = new Set();
+    let timer = null;
+    const schedule = (file) => {
+      const resolved = path.resolve(file);
+      if (
+        !CONTACT_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase()) ||
+        ignored.some((dir) => resolved.startsWith(dir))
+      ) {
+        return;
+      }
+      changed.add(resolved);
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        running = running.then(() => {
+          const files = [...changed];
+          changed.clear();
+          return run(files);
+        });
+      }, delay);
+    };
+
+    const watchers = [];
+    for (const input of [...options.master, ...options.compare]) {
+      // In-memory inputs cannot change
+      if (typeof input !== 'string') continue;
+      const stat = await fs.stat(input);
+      const watcher = stat.isDirectory()
+        ? watchPath(input, {recursive: true}, (event, name) => {
+            if (name) schedule(path.join(input, name));
+          })
+        : watchPath(path.dirname(input), (event, name) => {
+            if (name === path.basename(input)) schedule(input);
+          });
+      watcher.on('error', (error) => {
+        this.reportError(`Error watching ${input}: ${error.message}`);
+      });
+      watchers.push(watcher);
+    }
+
+    return {
+      close: async () => {
+        clearTimeout(timer);
+        for (const watcher of watchers) watcher.close();
+        await running;
+        this.watching = false;
+      },
+    };
+  }
+
+  /**
+   * Reads every labeled source of `options.sources` and builds the presence
+   * matrix, and per source the contacts whose numbers no other source
+   * holds. Sources are read without the compare conditions; filter rules
+   * apply to a source when they name its label.
+   *
+   * @returns {Promise<{stats: Object, labels: string[], rows: Array<Object>, unique: Map<string, Array<Object>>, rejections: RejectionLog, errors: string[]}>}
+   */
+  async matrix() {
+    this.reset();
+    const {options} = this;
+    const sourceContacts = new Map();
+    await this.openCache();
+
+    for (const [label, inputs] of Object.entries(options.sources)) {
+      const contacts = new Map();
+      const names = new NameResolver(options);
+      await this.readSide(label, inputs, (c) => {
+        for (const entry of c.phones) {
+          if (!this.keepNumber(label, c, entry)) continue;
+          contacts.set(entry.phone, c);
+          names.add(entry.phone, c);
+        }
+      });
+      names.resolve(contacts);
+      sourceContacts.set(label, contacts);
+    }
+    await this.closeCache();
+    if (options.enrichNames) {
+      this.stats.enrichedNames = enrichNames(
+        new Set([...sourceContacts.values()].flatMap((c) => [...c.values()])),
+        this.sightings
+      );
+    }
+    this.startPhase('diff');
+
+    const labels = [...sourceContacts.keys()];
+    const {rows, unique} = buildSourceMatrix(sourceContacts);
+    this.stats.sources = labels.length;
+    this.stats.matrixNumbers = rows.length;
+    this.stats.uniqueBySource = {};
+
+    for (const [label, found] of unique) {
+      const entries = this.filterOutput(found);
+      unique.set(label, entries);
+      for (const entry of entries) {
+        entry.name =
+          entry.contact.name ||
+          formatPlaceholder(options, entry.missing[0].phone, entry.contact);
+      }
+      assignExportNames(entries, options.uniqueNames);
+      this.stats.uniqueBySource[label] = entries.reduce(
+        (sum, e) => sum + e.missing.length,
+        0
+      );
+    }
+    this.stats.rejected = this.rejections.size;
+    this.stats.filtered = this.filter.counts();
+
+    return {
+      stats: this.stats,
+      labels,
+      rows,
+      unique,
+      rejections: this.rejections,
+      errors: this.errors,
+    };
+  }
+
+  /**
+   * Runs `matrix()` and writes the matrix and the per-source exports to
+   * `outputDir`.
+   *
+   * @returns {Promise<Object>} The result of `matrix()`, with the paths of
+   *   the written `files`.
+   */
+  async processMatrix() {
+    const result = await this.matrix();
+    this.startPhase('export');
+    result.files = await writeMatrixOutputs(
+      result,
+      this.options,
+      this.outputDir
+    );
+    this.emit('summary', {stats: result.stats});
+    return result;
+  }
+}
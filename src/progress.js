@@ -0,0 +1,223 @@
+// Phases that follow the reading of the inputs, see `ContactProcessor`
+const PHASE_TITLES = {
+  diff: 'Comparing contacts',
+  export: 'Writing outputs',
+};
+
+// Minimum milliseconds between two redraws of the progress bar
+const REDRAW_INTERVAL = 100;
+const BAR_WIDTH = 24;
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Progress of the reading phase in progress, from the sizes of the files
+ * read so far and the bytes read from the ones being read. With worker
+ * threads, several files are read at once.
+ */
+class PhaseProgress {
+  constructor({phase, bytes}, now) {
+    this.phase = phase;
+    this.total = bytes;
+    this.done = 0;
+    // Bytes read per file not finished yet
+    this.reading = new Map();
+    this.file = null;
+    this.startedAt = now;
+  }
+
+  get bytesRead() {
+    let bytes = this.done;
+    for (const read of this.reading.values()) bytes += read;
+    return bytes;
+  }
+
+  /**
+   * Estimated milliseconds left, `null` until something was read.
+   *
+   * @param {number} now
+   */
+  remaining(now) {
+    const {bytesRead, total} = this;
+    if (!bytesRead || !total) return null;
+    return ((now - this.startedAt) / bytesRead) * (total - bytesRead);
+  }
+
+  /**
+   * One line such as `[######------] 50% 1.2/2.4 MB ETA 0:03 contacts.csv`.
+   *
+   * @param {number} now
+   */
+  render(now) {
+    const {bytesRead, total} = this;
+    const ratio = total ? Math.min(bytesRead / total, 1) : 0;
+    const filled = Math.round(ratio * BAR_WIDTH);
+    const bar = '#'.repeat(filled) + '-'.repeat(BAR_WIDTH - filled);
+    const remaining = this.remaining(now);
+    return [
+      `${this.phase} [${bar}] ${Math.floor(ratio * 100)}%`,
+      `${formatBytes(bytesRead)}/${formatBytes(total)}`,
+      remaining === null ? '' : `ETA ${formatDuration(remaining)}`,
+      this.file || '',
+    ]
+      .filter(Boolean)
+      .join(' ');
+  }
+}
+
+/**
+ * Shows the events of a `ContactProcessor` in a terminal: a progress bar with
+ * an ETA while reading when `stream` is a TTY, otherwise a line per file.
+ * `progress` messages go to `stream` and `error` messages to `errorStream`.
+ *
+ * @param {import('events').EventEmitter} processor
+ * @param {Object} [params]
+ * @param {NodeJS.WritableStream} [params.stream]
+ * @param {NodeJS.WritableStream} [params.errorStream]
+ * @param {() => number} [params.now] - Clock, in milliseconds.
+ * @returns {() => void} Stops rendering.
+ */
+export function createConsoleRenderer(
+  processor,
+  {stream = process.stdout, errorStream = process.stderr, now = Date.now} = {}
+) {
+  const tty = !!stream.isTTY;
+  let progress = null;
+  let barShown = false;
+  let drawnAt = 0;
+
+  const clearBar = () => {
+    if (!barShown) return;
+    stream.write('\r\x1b[K');
+    barShown = false;
+  };
+  const drawBar = (force = false) => {
+    if (!tty || !progress) return;
+    const time = now();
+    if (!force && time - drawnAt < REDRAW_INTERVAL) return;
+    drawnAt = time;
+    const columns = stream.columns || 80;
+    stream.write(`\r\x1b[K${progress.render(time).slice(0, columns - 1)}`);
+    barShown = true;
+  };
+  // Writes a whole line without breaking the bar
+  const writeLine = (target, line) => {
+    clearBar();
+    target.write(`${line}\n`);
+    drawBar(true);
+  };
+
+  const listeners = {
+    phase: (event) => {
+      clearBar();
+      progress = null;
+      if (PHASE_TITLES[event.phase]) {
+        writeLine(stream, `${PHASE_TITLES[event.phase]}...`);
+        return;
+      }
+      writeLine(
+        stream,
+        `Reading ${event.phase}: ${event.files} files, ${formatBytes(
+          event.bytes
+        )}`
+      );
+      progress = new PhaseProgress(event, now());
+    },
+    'file:start': ({file}) => {
+      if (!progress) return;
+      progress.file = file;
+      drawBar(true);
+    },
+    'file:progress': ({file, bytesRead}) => {
+      if (!progress) return;
+      progress.reading.set(file, bytesRead);
+      drawBar();
+    },
+    'file:end': ({file, size, records, contacts, cached}) => {
+      if (progress) {
+        progress.done += size || 0;
+        progress.reading.delete(file);
+      }
+      if (tty) {
+        drawBar(true);
+        return;
+      }
+      writeLine(
+        stream,
+        `  ${file}: ${records} records, ${contacts} contacts${
+          cached ? ' (cached)' : ''
+        }`
+      );
+    },
+    summary: () => {
+      clearBar();
+      progress = null;
+    },
+    progress: (message) => writeLine(stream, message),
+    error: (message) => writeLine(errorStream, message),
+  };
+
+  for (const [event, listener] of Object.entries(listeners)) {
+    processor.on(event, listener);
+  }
+  return () => {
+    clearBar();
+    for (const [event, listener] of Object.entries(listeners)) {
+      processor.off(event, listener);
+    }
+  };
+}
+
+/**
+ * Writes every event of a `ContactProcessor` to `stream` as one JSON object
+ * per line, `{type, time, ...payload}`. `type` is the event name; `progress`
+ * and `error` messages become `{type: 'message' | 'error', message}`.
+ *
+ * @param {import('events').EventEmitter} processor
+ * @param {Object} [params]
+ * @param {NodeJS.WritableStream} [params.stream]
+ * @param {() => Date} [params.now] - Clock.
+ * @returns {() => void} Stops writing.
+ */
+export function createJsonEventRenderer(
+  processor,
+  {stream = process.stdout, now = () => new Date()} = {}
+) {
+  const write = (type, payload) => {
+    stream.write(
+      JSON.stringify({type, time: now().toISOString(), ...payload}) + '\n'
+    );
+  };
+
+  const listeners = {
+    progress: (message) => write('message', {message}),
+    error: (message) => write('error', {message}),
+  };
+  for (const type of [
+    'phase',
+    'file:start',
+    'file:progress',
+    'file:end',
+    'summary',
+  ]) {
+    listeners[type] = (payload) => write(type, payload);
+  }
+
+  for (const [event, listener] of Object.entries(listeners)) {
+    processor.on(event, listener);
+  }
+  return () => {
+    for (const [event, listener] of Object.entries(listeners)) {
+      processor.off(event, listener);
+    }
+  };
+}
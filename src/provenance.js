@@ -0,0 +1,101 @@
+// What the index of an origin counts, per input format
+const INDEX_UNITS = {
+  vcf: 'card',
+  json: 'contact',
+  jsonl: 'line',
+  ndjson: 'line',
+  db: 'contact id',
+};
+
+/**
+ * Human readable place of a contact in its input, e.g.
+ * `compare_files/crm.csv, row 12` or `book.xlsx, sheet Work, row 5`.
+ *
+ * @param {{file: string, format: string, sheet?: string, index: number}} origin
+ *   `origin` of a contact, see `createContactKey`.
+ */
+export function describeOrigin({file, format, sheet, index}) {
+  return [
+    file,
+    sheet && `sheet ${sheet}`,
+    `${INDEX_UNITS[format] || 'row'} ${index}`,
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * `describeOrigin` prefixed with the side the contact was read on, e.g.
+ * `compare: compare_files/crm.csv, row 12`.
+ *
+ * @param {Object} origin - `origin` of a contact read by the processor.
+ */
+export function describeSighting(origin) {
+  const place = describeOrigin(origin);
+  return origin.side ? `${origin.side}: ${place}` : place;
+}
+
+const originKey = ({side, file, sheet, index}) =>
+  [side, file, sheet, index].join('\0');
+
+// Most places a contact lists as `seenIn`; a number in thousands of files
+// would otherwise fill every cell and card holding it
+export const MAX_SEEN_IN = 20;
+
+/**
+ * Tracks the contacts holding each number during a run, so that every
+ * contact can list the other places its numbers were found in. Each number
+ * keeps its contacts once; a contact's `seenIn` is read from them when
+ * asked for.
+ */
+export class SightingLog {
+  constructor() {
+    // Number to the contacts holding it, in reading order
+    this.byPhone = new Map();
+  }
+
+  /**
+   * Records a contact read on one side; its `origin` gets the `side`, and
+   * its `seenIn` the other places holding its numbers, see `seenIn`.
+   *
+   * @param {string} side - `master`, `compare` or a matrix source label.
+   * @param {Object} contact - Contact returned by `createContactKey`.
+   */
+  add(side, contact) {
+    contact.origin = {side, ...contact.origin};
+    // Not enumerable, so that it is neither cached nor copied
+    Object.defineProperty(contact, 'seenIn', {
+      get: () => this.seenIn(contact),
+      configurable: true,
+    });
+    for (const {phone} of contact.phones) {
+      const entries = this.byPhone.get(phone);
+      if (entries) {
+        entries.push(contact);
+      } else {
+        this.byPhone.set(phone, [contact]);
+      }
+    }
+  }
+
+  /**
+   * Origins of the other contacts holding one of a contact's numbers, on
+   * either side, each listed once and at most MAX_SEEN_IN of them.
+   *
+   * @param {Object} contact - Contact recorded by `add`.
+   * @returns {Array<Object>}
+   */
+  seenIn(contact) {
+    const own = new Set([originKey(contact.origin)]);
+    const places = [];
+    for (const {phone} of contact.phones) {
+      for (const {origin} of this.byPhone.get(phone) || []) {
+        if (places.length === MAX_SEEN_IN) return places;
+        if (own.has(originKey(origin))) continue;
+        own.add(originKey(origin));
+        places.push(origin);
+      }
+    }
+    return places;
+  }
+}
@@ -0,0 +1,88 @@
+import {PHONE_REJECT_REASONS} from './phone/normalize.js';
+
+/**
+ * Machine-readable reasons why a value or contact was discarded.
+ */
+export const REJECT_REASONS = {
+  ...PHONE_REJECT_REASONS,
+  // Row skipped by the CSV parser (bad quoting, unreadable record)
+  CSV_RECORD_ERROR: 'csv_record_error',
+  // JSON contact that is not an object, or JSON Lines line that is not JSON
+  JSON_RECORD_ERROR: 'json_record_error',
+  // Input file of a format that is not read
+  UNSUPPORTED_FILE: 'unsupported_file',
+  // File or sheet without any of `phoneColumnNames`; the detail lists its
+  // columns
+  NO_PHONE_COLUMN: 'no_phone_column',
+  FIXED_LINE: 'fixed_line',
+  // Number removed by a filter rule; the detail holds the rule name
+  FILTER_RULE: 'filter_rule',
+};
+
+/**
+ * Collects every phone value, row or contact dropped during a run, so that
+ * a contact that does not show up in the output can be traced back.
+ */
+export class RejectionLog {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * @param {Object} entry
+   * @param {string} entry.side - `master` or `compare`.
+   * @param {string} entry.file - Source file path.
+   * @param {number} entry.index - Row number (CSV/XLSX) or card number (VCF).
+   * @param {string} [entry.sheet] - Sheet of the row, for workbooks.
+   * @param {string} entry.reason - One of `REJECT_REASONS`.
+   * @param {unknown} [entry.raw] - Value as found in the file.
+   * @param {string} [entry.phone] - Normalized number, when it got that far.
+   * @param {string} [entry.name] - Contact name, when known.
+   * @param {string} [entry.detail] - Human readable context, e.g. the matching rule.
+   */
+  add({
+    side,
+    file,
+    index,
+    sheet = '',
+    reason,
+    raw = '',
+    phone = '',
+    name = '',
+    detail = '',
+  }) {
+    this.entries.push({
+      side,
+      file,
+      index,
+      sheet,
+      raw: raw == null ? '' : String(raw),
+      phone,
+      name,
+      reason,
+      detail,
+    });
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * @returns {Map<string, number>} Number of entries per reason.
+   */
+  countByReason() {
+    const counts = new Map();
+    for (const {reason} of this.entries) {
+      counts.set(reason, (counts.get(reason) || 0) + 1);
+    }
+    return counts;
+  }
+
+  /**
+   * @returns {string} One JSON object per line.
+   */
+  toJsonl() {
+    return this.entries.map((entry) => JSON.stringify(entry) + '\n').join('');
+  }
+}
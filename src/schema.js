@@ -0,0 +1,140 @@
+import {
+  columnRole,
+  inputFormat,
+  readRows,
+  resolveColumnOptions,
+  resolveRowOptions,
+  toStream,
+} from './input.js';
+import {readVcfCards} from './vcf/reader.js';
+
+// vCard properties read as the name of a contact
+const NAME_PROPERTIES = ['FN', 'N'];
+
+// Longer sample values, e.g. photos, are cut
+const SAMPLE_LENGTH = 40;
+
+/**
+ * Adds the values of one row or card to the columns seen so far.
+ *
+ * @param {Map<string, Object>} columns - Column entries by column key.
+ * @param {string} sheet
+ * @param {Array<[string, unknown]>} values - `[column, value]` pairs.
+ * @param {(column: string) => Object | null} roleOf
+ * @param {number} samples - Sample values kept per column.
+ */
+function addValues(columns, sheet, values, roleOf, samples) {
+  for (const [column, value] of values) {
+    const key = `${sheet}\0${column}`;
+    let entry = columns.get(key);
+    if (!entry) {
+      entry = {sheet, column, ...(roleOf(column) || {role: ''}), samples: []};
+      columns.set(key, entry);
+    }
+    const text = String(value ?? '')
+      .trim()
+      .slice(0, SAMPLE_LENGTH);
+    if (
+      text &&
+      entry.samples.length < samples &&
+      !entry.samples.includes(text)
+    ) {
+      entry.samples.push(text);
+    }
+  }
+}
+
+/**
+ * Describes the columns of a contact file without reading its contacts:
+ * the role each column is read in (`phone`, `name`, `field` with the vCard
+ * `property` it is exported as, or `''` when it is not read) and a few
+ * sample values. CSV presets and column mappings matching the file apply,
+ * see `resolveRowOptions`. VCF files are described by their properties.
+ *
+ * @param {Object} source - Read cursor of the file, see `readContactFile`.
+ * @param {Object} options - Processor options.
+ * @param {Object} [params]
+ * @param {number} [params.rows] - Rows or cards scanned.
+ * @param {number} [params.samples] - Sample values per column.
+ * @returns {Promise<{side: string, file: string, format: string, preset: string, rows: number,
+ *   columns: Array<{sheet: string, column: string, role: string, property?: string, samples: string[]}>}>}
+ */
+export async function describeInput(
+  source,
+  options,
+  {rows: maxRows = 100, samples = 3} = {}
+) {
+  const {side, file, data} = source;
+  const format = inputFormat(source);
+  const columns = new Map();
+  let rows = 0;
+  let preset = '';
+
+  if (format === '.vcf' && !Array.isArray(data)) {
+    const roleOf = (property) => {
+      if (property === 'TEL') return {role: 'phone'};
+      if (NAME_PROPERTIES.includes(property)) return {role: 'name'};
+      return {role: 'field', property};
+    };
+    for await (const card of readVcfCards(
+      data !== undefined ? toStream(data) : file,
+      {batchSize: options.batchSize}
+    )) {
+      const values = card.properties
+        .filter(({name}) => name !== 'VERSION')
+        .map(({name, value}) => [name, value]);
+      addValues(columns, '', values, roleOf, samples);
+      if (++rows >= maxRows) break;
+    }
+  } else {
+    let sheet;
+    let rowOptions;
+    for await (const {record, info} of readRows(
+      source,
+      resolveColumnOptions(options, file)
+    )) {
+      if (!rowOptions || info.sheet !== sheet) {
+        sheet = info.sheet;
+        ({options: rowOptions, preset} = resolveRowOptions(
+          options,
+          file,
+          Object.keys(record)
+        ));
+      }
+      addValues(
+        columns,
+        info.sheet || '',
+        Object.entries(record),
+        (column) => columnRole(column, rowOptions),
+        samples
+      );
+      if (++rows >= maxRows) break;
+    }
+  }
+
+  return {side, file, format, preset, rows, columns: [...columns.values()]};
+}
+
+/**
+ * Formats schema entries of `describeInput` as text, one block per file.
+ *
+ * @param {Array<Object>} entries
+ */
+export function formatSchemaReport(entries) {
+  return entries
+    .map(({side, file, preset, rows, columns}) => {
+      const width = Math.max(0, ...columns.map(({column}) => column.length));
+      const lines = columns.map(({sheet, column, role, property, samples}) =>
+        [
+          `  ${sheet ? `${sheet}: ` : ''}${column.padEnd(width)}`,
+          (property || role || '-').padEnd(6),
+          samples.join(', '),
+        ].join('  ')
+      );
+      const layout = preset ? `, ${preset} export` : '';
+      return [`${side} ${file} (${rows} rows scanned${layout})`, ...lines].join(
+        '\n'
+      );
+    })
+    .join('\n\n');
+}
@@ -0,0 +1,329 @@
+import {createReadStream, createWriteStream, existsSync} from 'fs';
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import {Transform} from 'stream';
+import {pipeline} from 'stream/promises';
+import {fileURLToPath} from 'url';
+import {CONTACT_FILE_EXTENSIONS} from './input.js';
+import {toConflictRows, toDuplicateRows, toMissingRow} from './output.js';
+import {compareSummary} from './summary.js';
+
+// Pages of the web UI, see src/web
+const WEB_DIR = fileURLToPath(new URL('./web/', import.meta.url));
+const STATIC_FILES = {
+  '/': ['index.html', 'text/html; charset=utf-8'],
+  '/app.js': ['app.js', 'text/javascript; charset=utf-8'],
+  '/style.css': ['style.css', 'text/css; charset=utf-8'],
+};
+
+// Content types of the outputs offered for download
+const OUTPUT_TYPES = {
+  '.vcf': 'text/vcard; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.jsonl': 'application/x-ndjson; charset=utf-8',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const SIDES = ['master', 'compare'];
+
+// Largest file accepted by an upload
+const MAX_UPLOAD_BYTES = 256 * 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Refuses requests other sites could make through the user's browser: a
+ * `Host` other than this server, as sent after DNS rebinding, and, on
+ * every route but `GET`, an `Origin` other than the page itself.
+ *
+ * @param {http.IncomingMessage} request
+ */
+function checkSameOrigin(request) {
+  const port = request.socket.localPort;
+  const hosts = [`localhost:${port}`, `127.0.0.1:${port}`];
+  if (!hosts.includes(request.headers.host)) {
+    throw new HttpError(403, 'Requests must be made to localhost');
+  }
+  const {origin} = request.headers;
+  if (
+    request.method !== 'GET' &&
+    origin !== undefined &&
+    !hosts.some((host) => origin === `http://${host}`)
+  ) {
+    throw new HttpError(403, 'Cross-origin requests are not allowed');
+  }
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, {'Content-Type': 'application/json'});
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Directory the uploaded files of a side are saved to: the first master or
+ * compare path, which must be a directory or not exist yet.
+ *
+ * @param {Object} options - Processor options.
+ * @param {string} side - `master` or `compare`.
+ */
+async function uploadDir(options, side) {
+  if (!SIDES.includes(side)) throw new HttpError(404, `Unknown side: ${side}`);
+  const [dir] = options[side];
+  const stat =
+    typeof dir === 'string' ? await fs.stat(dir).catch(() => null) : null;
+  if (typeof dir !== 'string' || (stat && !stat.isDirectory())) {
+    throw new HttpError(409, `The first ${side} path is not a directory`);
+  }
+  return dir;
+}
+
+function decode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw new HttpError(400, `Invalid path: ${segment}`);
+  }
+}
+
+// Name of an uploaded file, without directories
+function uploadName(encoded) {
+  const name = decode(encoded);
+  if (!name || name !== path.basename(name) || name.startsWith('.')) {
+    throw new HttpError(400, `Invalid file name: ${name}`);
+  }
+  if (!CONTACT_FILE_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+    throw new HttpError(415, `Unsupported file: ${name}`);
+  }
+  return name;
+}
+
+/**
+ * Contact files directly under a directory, with their sizes.
+ *
+ * @param {string} dir
+ * @returns {Promise<Array<{name: string, size: number}>>}
+ */
+async function listFiles(dir) {
+  if (!existsSync(dir)) return [];
+  const files = [];
+  for (const entry of await fs.readdir(dir, {withFileTypes: true})) {
+    const ext = path.extname(entry.name).toLowerCase();
+    if (!entry.isFile() || !CONTACT_FILE_EXTENSIONS.includes(ext)) continue;
+    const {size} = await fs.stat(path.join(dir, entry.name));
+    files.push({name: entry.name, size});
+  }
+  return files.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Serves the web UI of a processor: a page to upload master and compare
+ * files, run the comparison, browse its reports and download its outputs.
+ * Uploaded files are saved to the first master and compare paths, so the
+ * command line reads them too.
+ *
+ * Routes, besides the pages:
+ * - `GET /api/files` lists the files of both sides;
+ * - `PUT /api/files/<side>/<name>` saves the request body as a file;
+ * - `DELETE /api/files/<side>/<name>` removes one;
+ * - `POST /api/run` compares and writes the outputs, like `process()`;
+ * - `GET /api/results` returns the results of the last run;
+ * - `GET /api/outputs/<name>` downloads one of its outputs.
+ *
+ * Files cannot change while a comparison runs, and only one runs at a time.
+ * Only requests to localhost from the page itself are served, see
+ * `checkSameOrigin`.
+ *
+ * @param {import('./processor.js').ContactProcessor} processor
+ * @param {{maxUploadBytes?: number}} [params] - Larger uploads are refused
+ *   with 413.
+ * @returns {http.Server} Not listening yet.
+ */
+export function createWebServer(
+  processor,
+  {maxUploadBytes = MAX_UPLOAD_BYTES} = {}
+) {
+  const {options} = processor;
+  let running = false;
+  // Uploads and removals in progress
+  let changes = 0;
+  let results = null;
+  // Outputs of the last run by file name
+  let outputs = new Map();
+
+  const assertIdle = () => {
+    if (running) throw new HttpError(409, 'A comparison is running');
+  };
+  // Changes the files of a side; checked right before, so that no run can
+  // start in between
+  const change = async (action) => {
+    assertIdle();
+    changes++;
+    try {
+      return await action();
+    } finally {
+      changes--;
+    }
+  };
+  const tooLarge = () =>
+    new HttpError(
+      413,
+      `Files may be at most ${Math.floor(maxUploadBytes / 1024 / 1024)} MB`
+    );
+
+  const run = async () => {
+    for (const side of SIDES) {
+      await fs.mkdir(await uploadDir(options, side), {recursive: true});
+    }
+    const result = await processor.process();
+    // Outputs of the previous run with other totals in their names
+    for (const file of outputs.values()) {
+      if (!result.files.includes(file)) await fs.rm(file, {force: true});
+    }
+    outputs = new Map(result.files.map((file) => [path.basename(file), file]));
+    results = {
+      summary: compareSummary(result.stats),
+      missing: result.missing.map(toMissingRow),
+      extra: result.extra.map(toMissingRow),
+      conflicts: toConflictRows(result),
+      duplicates: result.duplicates.flatMap(toDuplicateRows),
+      errors: result.errors,
+      outputs: [...outputs.keys()].sort(),
+      finishedAt: new Date().toISOString(),
+    };
+    return results;
+  };
+
+  const routes = async (request, response, segments) => {
+    const {method} = request;
+    const [api, resource, side, name] = segments;
+    if (api !== 'api') throw new HttpError(404, 'Not found');
+
+    if (resource === 'files' && method === 'GET' && !side) {
+      const files = {};
+      for (const side of SIDES) {
+        files[side] = await listFiles(await uploadDir(options, side));
+      }
+      return sendJson(response, 200, files);
+    }
+    if (resource === 'files' && method === 'PUT' && name) {
+      assertIdle();
+      const dir = await uploadDir(options, side);
+      const file = path.join(dir, uploadName(name));
+      if (Number(request.headers['content-length']) > maxUploadBytes) {
+        throw tooLarge();
+      }
+      const size = await change(async () => {
+        await fs.mkdir(dir, {recursive: true});
+        // The rest of a body over the limit is read but not written, so
+        // that the client gets the answer
+        let bytes = 0;
+        const limit = new Transform({
+          transform(chunk, encoding, callback) {
+            bytes += chunk.length;
+            callback(null, bytes > maxUploadBytes ? undefined : chunk);
+          },
+        });
+        try {
+          await pipeline(request, limit, createWriteStream(file));
+          if (bytes > maxUploadBytes) throw tooLarge();
+        } catch (error) {
+          await fs.rm(file, {force: true});
+          throw error;
+        }
+        return bytes;
+      });
+      return sendJson(response, 201, {name: path.basename(file), size});
+    }
+    if (resource === 'files' && method === 'DELETE' && name) {
+      assertIdle();
+      const file = path.join(await uploadDir(options, side), uploadName(name));
+      if (!existsSync(file)) throw new HttpError(404, 'No such file');
+      await change(() => fs.rm(file));
+      response.writeHead(204);
+      return response.end();
+    }
+    if (resource === 'run' && method === 'POST') {
+      assertIdle();
+      if (changes) throw new HttpError(409, 'Files are being changed');
+      running = true;
+      try {
+        return sendJson(response, 200, await run());
+      } finally {
+        running = false;
+      }
+    }
+    if (resource === 'results' && method === 'GET') {
+      if (!results) throw new HttpError(404, 'Nothing was compared yet');
+      return sendJson(response, 200, results);
+    }
+    if (resource === 'outputs' && method === 'GET' && side) {
+      const file = outputs.get(decode(side));
+      if (!file || !existsSync(file))
+        throw new HttpError(404, 'No such output');
+      response.writeHead(200, {
+        'Content-Type':
+          OUTPUT_TYPES[path.extname(file)] || 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${path.basename(file)}"`,
+      });
+      return pipeline(createReadStream(file), response);
+    }
+    throw new HttpError(404, 'Not found');
+  };
+
+  return http.createServer(async (request, response) => {
+    try {
+      checkSameOrigin(request);
+      const {pathname} = new URL(request.url, 'http://localhost');
+      const page = STATIC_FILES[pathname];
+      if (page && request.method === 'GET') {
+        const [file, type] = page;
+        response.writeHead(200, {'Content-Type': type});
+        return response.end(await fs.readFile(path.join(WEB_DIR, file)));
+      }
+      await routes(request, response, pathname.split('/').filter(Boolean));
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      // An `error` event nobody listens to would end the server
+      if (status === 500 && processor.listenerCount('error') > 0) {
+        processor.emit(
+          'error',
+          `Error serving ${request.url}: ${error.message}`
+        );
+      }
+      if (response.headersSent) return response.destroy();
+      sendJson(response, status, {error: error.message});
+    }
+  });
+}
+
+/**
+ * Starts the web UI on localhost.
+ *
+ * @param {import('./processor.js').ContactProcessor} processor
+ * @param {{port?: number, maxUploadBytes?: number}} [params] - Port 0 picks
+ *   a free port; see `createWebServer` for the others.
+ * @returns {Promise<{url: string, close: () => Promise<void>}>}
+ */
+export async function startWebServer(processor, {port = 8080, ...params} = {}) {
+  const server = createWebServer(processor, params);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}/`,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      }),
+  };
+}
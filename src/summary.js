@@ -0,0 +1,63 @@
+// Rows with the contacts each filter rule removed numbers of
+function filteredRows({filtered}) {
+  return Object.fromEntries(
+    Object.entries(filtered).map(([rule, count]) => [`filtered ${rule}`, count])
+  );
+}
+
+/**
+ * Summary of a compare run, as printed after it and shown by the web UI.
+ *
+ * @param {Object} stats - Stats of `ContactProcessor#compare`.
+ * @returns {Object<string, number>}
+ */
+export function compareSummary(stats) {
+  return {
+    totalFiles: stats.totalFiles,
+    cachedFiles: stats.cachedFiles,
+    unsupportedFiles: stats.unsupportedFiles,
+    masterFilesProcessed: stats.processed,
+    totalMasterContacts: stats.totalMasterContacts,
+    uniqueMasterContacts: stats.uniqueMasterContacts,
+    totalCompareContacts: stats.totalCompareContacts,
+    uniqueCompareContacts: stats.uniqueCompareContacts,
+    missingContacts: stats.missing,
+    partiallyMissing: stats.partiallyMissing,
+    missingNumbers: stats.missingNumbers,
+    extraContacts: stats.extra,
+    extraNumbers: stats.extraNumbers,
+    nameConflicts: stats.conflicts,
+    possibleDuplicates: stats.possibleDuplicates,
+    enrichedNames: stats.enrichedNames,
+    ...filteredRows(stats),
+    rejected: stats.rejected,
+    errors: stats.errors,
+  };
+}
+
+/**
+ * Summary of a matrix run, as printed after it.
+ *
+ * @param {Object} stats - Stats of `ContactProcessor#matrix`.
+ * @returns {Object<string, number>}
+ */
+export function matrixSummary(stats) {
+  return {
+    totalFiles: stats.totalFiles,
+    cachedFiles: stats.cachedFiles,
+    unsupportedFiles: stats.unsupportedFiles,
+    filesProcessed: stats.processed,
+    sources: stats.sources,
+    numbers: stats.matrixNumbers,
+    enrichedNames: stats.enrichedNames,
+    ...Object.fromEntries(
+      Object.entries(stats.uniqueBySource).map(([label, count]) => [
+        `uniqueTo ${label}`,
+        count,
+      ])
+    ),
+    ...filteredRows(stats),
+    rejected: stats.rejected,
+    errors: stats.errors,
+  };
+}
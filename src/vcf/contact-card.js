@@ -0,0 +1,224 @@
+import {getProperties, unescapeValue} from './reader.js';
+import {escapeValue} from './writer.js';
+
+/**
+ * Properties that are regenerated for every exported card instead of being
+ * copied from the source card.
+ */
+const REBUILT_PROPERTIES = [
+  'VERSION',
+  'FN',
+  'N',
+  'TEL',
+  'PRODID',
+  'REV',
+  'UID',
+];
+
+// TEL types derived from phone column names, checked in order
+const COLUMN_TEL_TYPES = [
+  [/mobile|cell/, 'CELL'],
+  [/fax/, 'FAX'],
+  [/pager/, 'PAGER'],
+  [/car/, 'CAR'],
+  [/home/, 'HOME'],
+  [/business|work|company|office/, 'WORK'],
+];
+
+/**
+ * Splits a structured N value into its unescaped components.
+ *
+ * @param {string} value - N value as written in the card.
+ * @returns {{family: string, given: string, additional: string, prefix: string, suffix: string}}
+ */
+export function splitStructuredName(value) {
+  const [family = '', given = '', additional = '', prefix = '', suffix = ''] =
+    value.split(/(?<!\\);/).map(unescapeValue);
+  return {family, given, additional, prefix, suffix};
+}
+
+function structuredNameToText(value) {
+  const {given, additional, family} = splitStructuredName(value);
+  return [given, additional, family].filter(Boolean).join(' ').trim();
+}
+
+/**
+ * Builds the structured N value for a display name. The source card's N is
+ * kept when it still describes the same name; otherwise the last word is
+ * taken as family name and the rest as given names. A `(n)` counter added by
+ * the unique-names option stays attached to the word before it.
+ *
+ * @param {string} name - Display name written to FN.
+ * @param {string} [sourceN] - N value of the source card.
+ */
+export function toStructuredName(name, sourceN) {
+  if (sourceN && structuredNameToText(sourceN) === name) {
+    return sourceN;
+  }
+  const words = name.match(/\S+(?: \(\d+\))?/g) || [];
+  const family = words[words.length - 1] || '';
+  // Single words and placeholders like "KAS 12345" only have a given name
+  if (words.length < 2 || /^\d+$/.test(family)) {
+    return `;${escapeValue(name)};;;`;
+  }
+  return `${escapeValue(family)};${escapeValue(
+    words.slice(0, -1).join(' ')
+  )};;;`;
+}
+
+/**
+ * Display name of a parsed vCard: FN, or the given and family names of N
+ * when FN is missing.
+ */
+export function getCardName(card) {
+  const [fn] = getProperties(card, 'fn');
+  if (fn && fn.value.trim()) {
+    return unescapeValue(fn.value);
+  }
+  const [n] = getProperties(card, 'n');
+  return n ? structuredNameToText(n.value) : '';
+}
+
+/**
+ * Card data kept with each contact read from a VCF file, so that exported
+ * cards carry every original property.
+ *
+ * @param {Object} card - Card returned by src/vcf/reader.js.
+ * @returns {{n: string | undefined, properties: Array<Object>}}
+ */
+export function getCardDetails(card) {
+  const [n] = getProperties(card, 'n');
+  return {
+    n: n ? n.value : undefined,
+    properties: card.properties.filter(
+      ({name}) => !REBUILT_PROPERTIES.includes(name)
+    ),
+  };
+}
+
+/**
+ * TEL parameters to keep for one number of a card. `VALUE=uri` of 4.0
+ * cards is dropped because numbers are exported as plain E.164 text.
+ */
+export function getTelParams(tel) {
+  const params = {...tel.params};
+  delete params.VALUE;
+  return params;
+}
+
+/**
+ * TEL parameters for a number found in a CSV/XLSX column, e.g. `TYPE=CELL`
+ * for `mobile_phone`.
+ *
+ * @param {string} column - Normalized column name.
+ */
+export function getColumnTelParams(column) {
+  const match = COLUMN_TEL_TYPES.find(([pattern]) => pattern.test(column));
+  return match ? {TYPE: [match[1]]} : {};
+}
+
+function toPropertyValue(propertyName, text) {
+  switch (propertyName) {
+    case 'ADR':
+      // Free-form address goes into the street component
+      return `;;${escapeValue(text)};;;;`;
+    case 'URL':
+    case 'BDAY':
+      return text;
+    default:
+      return escapeValue(text);
+  }
+}
+
+/**
+ * Card data for a CSV/XLSX row: structured name from first/middle/last name
+ * columns and one property per value of a mapped column.
+ *
+ * @param {Object} row - Row keyed by normalized column name.
+ * @param {Object<string, string[]>} fieldColumnNames - vCard property name to column names.
+ * @returns {{n: string | undefined, properties: Array<Object>}}
+ */
+export function getRowDetails(row, fieldColumnNames) {
+  const properties = [];
+  for (const [propertyName, columns] of Object.entries(fieldColumnNames)) {
+    for (const column of columns) {
+      const params = {};
+      if (propertyName === 'ADR' || propertyName === 'EMAIL') {
+        const [type] = getColumnTelParams(column).TYPE || [];
+        if (type === 'HOME' || type === 'WORK') params.TYPE = [type];
+      }
+      // Cells may hold several values, e.g. `a@x.in ::: b@x.in`
+      for (const text of String(row[column] ?? '').split(':::')) {
+        if (!text.trim()) continue;
+        properties.push({
+          group: '',
+          name: propertyName,
+          params,
+          value: toPropertyValue(propertyName, text.trim()),
+        });
+      }
+    }
+  }
+
+  const first = String(row.first_name ?? row.given_name ?? '').trim();
+  const middle = String(row.middle_name ?? row.additional_name ?? '').trim();
+  const last = String(row.last_name ?? row.family_name ?? '').trim();
+  const n =
+    first || last
+      ? [last, first, middle].map(escapeValue).join(';') + ';;'
+      : undefined;
+
+  return {n, properties};
+}
+
+// Properties kept as fields of contacts exported in other formats than vCard
+const EXPORTED_FIELDS = ['EMAIL', 'ORG', 'TITLE', 'ADR', 'BDAY', 'NOTE', 'URL'];
+
+/**
+ * Text values of a contact's card data per property, for exports other than
+ * vCard, e.g. `{EMAIL: ['a@x.in'], ADR: ['MG Road, Pune']}`. Components of
+ * structured values (ADR, ORG) are joined with `, `.
+ *
+ * @param {{vcard?: Object}} contact
+ * @returns {Object<string, string[]>}
+ */
+export function getContactFields({vcard = {}}) {
+  const fields = {};
+  for (const property of vcard.properties || []) {
+    const name = property.name.toUpperCase();
+    if (!EXPORTED_FIELDS.includes(name)) continue;
+    const text = property.value
+      .split(/(?<!\\);/)
+      .map((part) => unescapeValue(part).trim())
+      .filter(Boolean)
+      .join(', ');
+    if (text) (fields[name] ??= []).push(text);
+  }
+  return fields;
+}
+
+/**
+ * Properties of the card exported for a contact, with one TEL per number.
+ *
+ * @param {{vcard?: Object}} contact
+ * @param {string} name - Display name to export, possibly made unique.
+ * @param {Array<{phone: string, telParams?: Object}>} phones - Numbers to export.
+ */
+export function toVcardProperties({vcard = {}}, name, phones) {
+  return [
+    {group: '', name: 'FN', params: {}, value: escapeValue(name)},
+    {
+      group: '',
+      name: 'N',
+      params: {},
+      value: toStructuredName(name, vcard.n),
+    },
+    ...phones.map(({phone, telParams = {}}) => ({
+      group: '',
+      name: 'TEL',
+      params: telParams,
+      value: phone,
+    })),
+    ...(vcard.properties || []),
+  ];
+}
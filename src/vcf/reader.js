@@ -0,0 +1,302 @@
+import {createReadStream} from 'fs';
+import readline from 'readline';
+
+/**
+ * Decodes a quoted-printable value (vCard 2.1 `ENCODING=QUOTED-PRINTABLE`).
+ *
+ * @param {string} raw - Encoded value, soft line breaks already removed or not.
+ * @param {string} [charset] - Charset of the decoded bytes.
+ */
+export function decodeQuotedPrintable(raw, charset = 'utf-8') {
+  let dc;
+  try {
+    dc = new TextDecoder(charset);
+  } catch {
+    dc = new TextDecoder('utf-8');
+  }
+  return raw
+    .replace(/[\t\x20]$/gm, '')
+    .replace(/=(?:\r\n?|\n)/g, '')
+    .replace(/((?:=[a-fA-F0-9]{2})+)/g, (m) => {
+      const cd = m.substring(1).split('='),
+        uArr = new Uint8Array(cd.length);
+      for (let i = 0; i < cd.length; i++) {
+        uArr[i] = parseInt(cd[i], 16);
+      }
+      return dc.decode(uArr);
+    });
+}
+
+/**
+ * Removes vCard text escaping (`\,`, `\;`, `\\`, `\n`).
+ *
+ * @param {string} value
+ */
+export function unescapeValue(value) {
+  return value.replace(/\\([\\,;:nN])/g, (m, char) =>
+    char === 'n' || char === 'N' ? '\n' : char
+  );
+}
+
+// Splits on `separator` outside of double quotes
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let inQuotes = false;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (text[i] === separator && !inQuotes) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+function indexOfOutsideQuotes(text, char) {
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (text[i] === char && !inQuotes) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// vCard 2.1 allows bare parameters such as `TEL;CELL;VOICE:...`
+const BARE_ENCODINGS = ['QUOTED-PRINTABLE', 'BASE64', 'B', '8BIT', '7BIT'];
+
+function parseParams(parts) {
+  const params = {};
+  const add = (key, values) => {
+    params[key] = [...(params[key] || []), ...values];
+  };
+  for (const part of parts) {
+    if (!part) continue;
+    const eq = part.indexOf('=');
+    if (eq === -1) {
+      const bare = part.toUpperCase();
+      add(BARE_ENCODINGS.includes(bare) ? 'ENCODING' : 'TYPE', [bare]);
+      continue;
+    }
+    const key = part.slice(0, eq).toUpperCase();
+    let values = splitOutsideQuotes(part.slice(eq + 1), ',').map((value) =>
+      value.replace(/^"|"$/g, '')
+    );
+    // 4.0 writers often quote type lists: TYPE="cell,voice"
+    if (key === 'TYPE') {
+      values = values.flatMap((value) => value.split(','));
+    }
+    add(key, values);
+  }
+  return params;
+}
+
+function getParamSection(line) {
+  const colon = indexOfOutsideQuotes(line, ':');
+  return colon === -1 ? '' : line.slice(0, colon).toUpperCase();
+}
+
+function isQuotedPrintable(line) {
+  return getParamSection(line).includes('QUOTED-PRINTABLE');
+}
+
+function isBase64(line) {
+  return /ENCODING=(BASE64|B)\b|;BASE64\b/.test(getParamSection(line));
+}
+
+/**
+ * Parses one unfolded content line into `{group, name, params, value}`.
+ * Quoted-printable values are decoded; other values are returned as written
+ * (still escaped, see `unescapeValue`).
+ *
+ * @param {string} line
+ * @returns {{group: string, name: string, params: Object<string, string[]>, value: string} | null}
+ *   `null` for lines that are not properties.
+ */
+export function parsePropertyLine(line) {
+  const colon = indexOfOutsideQuotes(line, ':');
+  if (colon < 1) return null;
+
+  const [nameWithGroup, ...paramParts] = splitOutsideQuotes(
+    line.slice(0, colon),
+    ';'
+  );
+  const dot = nameWithGroup.lastIndexOf('.');
+  const params = parseParams(paramParts);
+  let value = line.slice(colon + 1);
+
+  if ((params.ENCODING || []).some((e) => /quoted-printable/i.test(e))) {
+    value = decodeQuotedPrintable(value, (params.CHARSET || [])[0]);
+    delete params.ENCODING;
+    delete params.CHARSET;
+  }
+
+  return {
+    group: dot === -1 ? '' : nameWithGroup.slice(0, dot),
+    name: nameWithGroup.slice(dot + 1).toUpperCase(),
+    params,
+    value,
+  };
+}
+
+/**
+ * Incremental vCard 2.1 / 3.0 / 4.0 parser. Physical lines are pushed one at
+ * a time (without line terminators); complete cards are returned as soon as
+ * their `END:VCARD` line is seen.
+ *
+ * Unfolding happens before card boundaries are detected, so `BEGIN:VCARD`
+ * inside a folded NOTE does not start a new card. Handled continuations:
+ * - lines starting with a space or tab (all versions),
+ * - quoted-printable soft line breaks (`=` at the end of a 2.1 line),
+ * - unindented base64 data lines following a 2.1 `ENCODING=BASE64` property.
+ */
+export class VcfCardParser {
+  constructor() {
+    this.pending = null;
+    this.lines = null;
+    this.depth = 0;
+    this.index = 0;
+  }
+
+  /**
+   * @param {string} line - One physical line.
+   * @returns {Array<Object>} Cards completed by this line (usually none or one).
+   */
+  push(line) {
+    if (this.pending === null) {
+      this.pending = line.replace(/^\uFEFF/, '');
+      return [];
+    }
+
+    const {pending} = this;
+    if (pending.endsWith('=') && isQuotedPrintable(pending)) {
+      this.pending = pending.slice(0, -1) + line;
+      return [];
+    }
+    if (/^[ \t]/.test(line)) {
+      this.pending =
+        pending + (isBase64(pending) ? line.trim() : line.slice(1));
+      return [];
+    }
+    if (line && !line.includes(':') && isBase64(pending)) {
+      this.pending = pending + line.trim();
+      return [];
+    }
+
+    this.pending = line;
+    return this.handleLogicalLine(pending);
+  }
+
+  /**
+   * Flushes the last buffered line.
+   *
+   * @returns {Array<Object>} Cards completed by the end of input.
+   */
+  end() {
+    const {pending} = this;
+    this.pending = null;
+    return pending === null ? [] : this.handleLogicalLine(pending);
+  }
+
+  handleLogicalLine(line) {
+    const keyword = line.trim().toUpperCase();
+    if (keyword === 'BEGIN:VCARD') {
+      // Nested cards (vCard 2.1 AGENT) are skipped as part of their parent
+      if (this.depth++ === 0) {
+        this.lines = [];
+      }
+      return [];
+    }
+    if (keyword === 'END:VCARD') {
+      if (this.depth === 0) return [];
+      if (--this.depth === 0) {
+        const card = parseCardLines(this.lines, ++this.index);
+        this.lines = null;
+        return [card];
+      }
+      return [];
+    }
+    if (this.depth === 1 && line.trim()) {
+      this.lines.push(line);
+    }
+    return [];
+  }
+}
+
+function parseCardLines(lines, index) {
+  const properties = lines.map(parsePropertyLine).filter(Boolean);
+  const version = properties.find(({name}) => name === 'VERSION');
+  return {
+    index,
+    version: version ? version.value.trim() : '',
+    properties,
+  };
+}
+
+/**
+ * Parses all cards of an in-memory VCF document.
+ *
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+export function parseVcfText(text) {
+  const parser = new VcfCardParser();
+  const cards = [];
+  for (const line of text.split(/\r\n|\r|\n/)) {
+    cards.push(...parser.push(line));
+  }
+  cards.push(...parser.end());
+  return cards;
+}
+
+/**
+ * Streams the cards of a VCF file. Each card is parsed exactly once and
+ * yielded as `{index, version, properties}`, where `index` is the 1-based
+ * card number. At most `batchSize` parsed cards are held at a time.
+ *
+ * @param {string | import('stream').Readable} file - File path or a stream of its content.
+ * @param {Object} [options]
+ * @param {number} [options.batchSize]
+ * @param {(bytesRead: number) => void} [options.onBytes] - Called with the
+ *   bytes read so far whenever a chunk of a file path is read.
+ */
+export async function* readVcfCards(file, {batchSize = 1000, onBytes} = {}) {
+  let input;
+  if (typeof file === 'string') {
+    input = createReadStream(file, {
+      encoding: 'utf-8',
+      highWaterMark: batchSize * 1024,
+    });
+    input.on('data', () => onBytes?.(input.bytesRead));
+  } else {
+    input = file.setEncoding('utf-8');
+  }
+  const lines = readline.createInterface({input, crlfDelay: Infinity});
+  const parser = new VcfCardParser();
+  let batch = [];
+
+  for await (const line of lines) {
+    batch.push(...parser.push(line));
+    if (batch.length >= batchSize) {
+      yield* batch;
+      batch = [];
+    }
+  }
+  batch.push(...parser.end());
+  yield* batch;
+}
+
+/**
+ * @param {Object} card - Card returned by this module.
+ * @param {string} name - Property name, case-insensitive.
+ * @returns {Array<Object>} All properties with that name, in file order.
+ */
+export function getProperties(card, name) {
+  const upper = name.toUpperCase();
+  return card.properties.filter((property) => property.name === upper);
+}
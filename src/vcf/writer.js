@@ -0,0 +1,254 @@
+export const VCF_VERSIONS = ['2.1', '3.0', '4.0'];
+
+// Longest line in octets before folding (RFC 2425 / RFC 6350)
+const MAX_LINE_OCTETS = 75;
+// Longest quoted-printable segment, leaving room for the soft break `=`
+const MAX_QP_LINE = 74;
+
+// Properties holding inline binary data
+const BINARY_PROPERTIES = ['PHOTO', 'LOGO', 'SOUND', 'KEY'];
+
+const MEDIA_TYPES = {
+  JPEG: 'image/jpeg',
+  JPG: 'image/jpeg',
+  PNG: 'image/png',
+  GIF: 'image/gif',
+  BMP: 'image/bmp',
+};
+
+/**
+ * Escapes text for use as a vCard property value.
+ *
+ * @param {string} text
+ */
+export function escapeValue(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function encodeQuotedPrintable(text) {
+  let encoded = '';
+  for (const byte of Buffer.from(text, 'utf-8')) {
+    const isPlain = byte >= 33 && byte <= 126 && byte !== 61;
+    encoded += isPlain
+      ? String.fromCharCode(byte)
+      : '=' + byte.toString(16).toUpperCase().padStart(2, '0');
+  }
+  return encoded;
+}
+
+// Splits a quoted-printable line into soft-broken physical lines without
+// cutting an `=XX` sequence in half
+function softBreakQuotedPrintable(line) {
+  const lines = [];
+  let rest = line;
+  while (rest.length > MAX_QP_LINE) {
+    let cut = MAX_QP_LINE;
+    const lastEquals = rest.lastIndexOf('=', cut - 1);
+    if (lastEquals > cut - 3) cut = lastEquals;
+    lines.push(rest.slice(0, cut) + '=');
+    rest = rest.slice(cut);
+  }
+  lines.push(rest);
+  return lines;
+}
+
+// Folds a line at 75 octets without splitting multi-byte characters
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return [line];
+  const lines = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    const limit = lines.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (currentOctets + octets > limit) {
+      lines.push(lines.length ? ' ' + current : current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  lines.push(lines.length ? ' ' + current : current);
+  return lines;
+}
+
+function formatParamValue(value) {
+  return /[:;,]/.test(value) ? `"${value}"` : value;
+}
+
+/**
+ * Reads inline binary data in any version's form:
+ * 2.1 `ENCODING=BASE64;JPEG`, 3.0 `ENCODING=b;TYPE=JPEG`, 4.0 `data:` URIs.
+ *
+ * @returns {{data?: string, mediaType?: string, uri?: string}}
+ */
+function readBinaryValue(params, value) {
+  const encoding = (params.ENCODING || [])[0];
+  if (encoding && /^(b|base64)$/i.test(encoding)) {
+    const type = (params.TYPE || []).find((t) => MEDIA_TYPES[t.toUpperCase()]);
+    return {
+      data: value.replace(/\s+/g, ''),
+      mediaType: type ? MEDIA_TYPES[type.toUpperCase()] : '',
+    };
+  }
+  const dataUri = /^data:([^;,]*)(?:;[^,]*)?;base64,(.*)$/is.exec(value);
+  if (dataUri) {
+    return {data: dataUri[2], mediaType: dataUri[1]};
+  }
+  return {uri: value};
+}
+
+function mediaTypeToType(mediaType) {
+  const [, subtype = ''] = mediaType.split('/');
+  return subtype.toUpperCase();
+}
+
+/**
+ * Rewrites a binary property (photo, logo, ...) into the target version's
+ * form. Returns the params to use and the value to write.
+ */
+function convertBinaryProperty(params, value, version) {
+  const {data, mediaType = '', uri} = readBinaryValue(params, value);
+  const rest = {...params};
+  delete rest.ENCODING;
+  delete rest.VALUE;
+  delete rest.MEDIATYPE;
+  rest.TYPE = (rest.TYPE || []).filter((t) => !MEDIA_TYPES[t.toUpperCase()]);
+
+  if (uri !== undefined) {
+    const valueType = version === '2.1' ? 'URL' : 'uri';
+    return {
+      params: version === '4.0' ? rest : {...rest, VALUE: [valueType]},
+      value: uri,
+    };
+  }
+  if (version === '4.0') {
+    return {
+      params: rest,
+      value: `data:${mediaType || 'application/octet-stream'};base64,${data}`,
+    };
+  }
+  const type = mediaTypeToType(mediaType);
+  return {
+    params: {
+      ...rest,
+      ENCODING: [version === '2.1' ? 'BASE64' : 'b'],
+      TYPE: type ? [...rest.TYPE, type] : rest.TYPE,
+    },
+    value: data,
+  };
+}
+
+/**
+ * Formats parameters for the target version: bare types in 2.1
+ * (`TEL;CELL`), `TYPE=CELL` in 3.0 and lowercase `TYPE=cell` in 4.0,
+ * where `PREF` also becomes its own parameter.
+ */
+function formatParams(params, version) {
+  let types = params.TYPE || [];
+  const rest = Object.entries(params).filter(
+    ([key, values]) => key !== 'TYPE' && values.length
+  );
+
+  if (version === '4.0') {
+    if (types.some((t) => t.toUpperCase() === 'PREF')) {
+      types = types.filter((t) => t.toUpperCase() !== 'PREF');
+      if (!params.PREF) rest.push(['PREF', ['1']]);
+    }
+    types = types.map((t) => t.toLowerCase());
+  } else {
+    if (params.PREF && !types.some((t) => t.toUpperCase() === 'PREF')) {
+      types = [...types, 'PREF'];
+    }
+    types = types.map((t) => t.toUpperCase());
+  }
+
+  const parts = rest
+    .filter(([key]) => !(version !== '4.0' && key === 'PREF'))
+    .map(
+      ([key, values]) => `;${key}=${values.map(formatParamValue).join(',')}`
+    );
+  if (types.length) {
+    parts.unshift(
+      version === '2.1'
+        ? types.map((t) => `;${t}`).join('')
+        : `;TYPE=${types.map(formatParamValue).join(',')}`
+    );
+  }
+  return parts.join('');
+}
+
+/**
+ * Formats one property as physical lines for the given version.
+ *
+ * @param {{group?: string, name: string, params?: Object<string, string[]>, value: string}} property
+ *   Value as vCard text, i.e. already escaped where the property needs it.
+ * @param {string} version - One of `VCF_VERSIONS`.
+ * @returns {string[]}
+ */
+export function formatProperty(property, version) {
+  const name = property.name.toUpperCase();
+  let params = {...(property.params || {})};
+  let {value} = property;
+  delete params.CHARSET;
+
+  if (BINARY_PROPERTIES.includes(name)) {
+    ({params, value} = convertBinaryProperty(params, value, version));
+  } else {
+    delete params.ENCODING;
+  }
+
+  let useQuotedPrintable = false;
+  if (version === '2.1') {
+    // 2.1 has no comma escaping
+    value = value.replace(/\\,/g, ',');
+    if (!BINARY_PROPERTIES.includes(name) && /[^\x20-\x7e]/.test(value)) {
+      params = {
+        ...params,
+        CHARSET: ['UTF-8'],
+        ENCODING: ['QUOTED-PRINTABLE'],
+      };
+      useQuotedPrintable = true;
+    }
+  }
+
+  const group = property.group ? `${property.group}.` : '';
+  const head = `${group}${name}${formatParams(params, version)}:`;
+
+  if (useQuotedPrintable) {
+    return softBreakQuotedPrintable(head + encodeQuotedPrintable(value));
+  }
+  if (version === '2.1' && BINARY_PROPERTIES.includes(name)) {
+    // 2.1 base64 data is folded with leading spaces and ends with a blank line
+    return [...foldLine(head + value), ''];
+  }
+  return version === '2.1' ? [head + value] : foldLine(head + value);
+}
+
+/**
+ * Serializes a card.
+ *
+ * @param {Array<Object>} properties - Properties in the shape returned by
+ *   `parsePropertyLine`; VERSION is added by this function.
+ * @param {Object} [options]
+ * @param {string} [options.version] - One of `VCF_VERSIONS`.
+ * @param {string} [options.eol] - Line terminator.
+ * @returns {string}
+ */
+export function formatVcard(properties, {version = '4.0', eol = '\r\n'} = {}) {
+  if (!VCF_VERSIONS.includes(version)) {
+    throw new RangeError(`Unsupported vCard version: ${version}`);
+  }
+  const lines = ['BEGIN:VCARD', `VERSION:${version}`];
+  for (const property of properties) {
+    if (property.name.toUpperCase() === 'VERSION') continue;
+    lines.push(...formatProperty(property, version));
+  }
+  lines.push('END:VCARD');
+  return lines.join(eol) + eol;
+}
@@ -0,0 +1,178 @@
+// Web UI of `node index.js serve`, see src/server.js
+
+// Rows shown per report; the search narrows down longer ones
+const MAX_ROWS = 500;
+
+const $ = (selector) => document.querySelector(selector);
+
+let results = null;
+let report = 'missing';
+
+async function api(method, url, body) {
+  const response = await fetch(url, {method, body});
+  if (response.status === 204) return null;
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+  return data;
+}
+
+function showStatus(message) {
+  $('#status').textContent = message;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function element(tag, text = '') {
+  const node = document.createElement(tag);
+  node.textContent = text;
+  return node;
+}
+
+async function loadFiles() {
+  const files = await api('GET', '/api/files');
+  for (const side of ['master', 'compare']) {
+    const list = $(`[data-side="${side}"] .files`);
+    list.replaceChildren(
+      ...files[side].map(({name, size}) => {
+        const item = element('li', `${name} (${formatSize(size)})`);
+        const remove = element('button', 'Remove');
+        remove.type = 'button';
+        remove.addEventListener('click', () =>
+          act(`Removing ${name}...`, async () => {
+            await api('DELETE', fileUrl(side, name));
+            await loadFiles();
+          })
+        );
+        item.append(remove);
+        return item;
+      })
+    );
+  }
+}
+
+function fileUrl(side, name) {
+  return `/api/files/${side}/${encodeURIComponent(name)}`;
+}
+
+// Runs an action, showing its progress and error in the status line
+async function act(message, action) {
+  showStatus(message);
+  $('#run').disabled = true;
+  try {
+    await action();
+    showStatus('');
+  } catch (error) {
+    showStatus(error.message);
+  } finally {
+    $('#run').disabled = false;
+  }
+}
+
+function upload(side, files) {
+  return act(`Uploading ${files.length} files...`, async () => {
+    for (const file of files) {
+      await api('PUT', fileUrl(side, file.name), file);
+    }
+    await loadFiles();
+  });
+}
+
+function renderTable(table, rows) {
+  const columns = rows.length ? Object.keys(rows[0]) : [];
+  const head = element('tr');
+  head.append(...columns.map((column) => element('th', column)));
+  table.replaceChildren(
+    head,
+    ...rows.map((row) => {
+      const tr = element('tr');
+      tr.append(...columns.map((column) => element('td', row[column])));
+      return tr;
+    })
+  );
+}
+
+function renderReport() {
+  const rows = results[report];
+  const search = $('#search').value.trim().toLowerCase();
+  const status = $('#status-filter').value;
+  const hasStatus = rows.some((row) => 'status' in row);
+  $('#status-filter').hidden = !hasStatus;
+  const shown = rows.filter(
+    (row) =>
+      (!hasStatus || !status || row.status === status) &&
+      (!search ||
+        Object.values(row).some((value) =>
+          String(value).toLowerCase().includes(search)
+        ))
+  );
+  renderTable($('#report'), shown.slice(0, MAX_ROWS));
+  $('#count').textContent =
+    shown.length > MAX_ROWS
+      ? `${MAX_ROWS} of ${shown.length} rows shown, search to narrow down`
+      : `${shown.length} of ${rows.length} rows`;
+  for (const tab of document.querySelectorAll('#tabs button')) {
+    tab.classList.toggle('active', tab.dataset.report === report);
+  }
+}
+
+function renderResults(data) {
+  results = data;
+  $('#results').hidden = false;
+  renderTable(
+    $('#summary'),
+    Object.entries(data.summary).map(([name, value]) => ({name, value}))
+  );
+  $('#errors').replaceChildren(
+    ...data.errors.map((message) => element('li', message))
+  );
+  $('#outputs').replaceChildren(
+    ...data.outputs.map((name) => {
+      const link = element('a', name);
+      link.href = `/api/outputs/${encodeURIComponent(name)}`;
+      link.download = name;
+      const item = element('li');
+      item.append(link);
+      return item;
+    })
+  );
+  renderReport();
+}
+
+for (const side of document.querySelectorAll('.side')) {
+  const drop = side.querySelector('.drop');
+  const input = side.querySelector('input');
+  input.addEventListener('change', async () => {
+    await upload(side.dataset.side, [...input.files]);
+    input.value = '';
+  });
+  drop.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    drop.classList.add('over');
+  });
+  drop.addEventListener('dragleave', () => drop.classList.remove('over'));
+  drop.addEventListener('drop', (event) => {
+    event.preventDefault();
+    drop.classList.remove('over');
+    upload(side.dataset.side, [...event.dataTransfer.files]);
+  });
+}
+
+$('#run').addEventListener('click', () =>
+  act('Comparing...', async () => renderResults(await api('POST', '/api/run')))
+);
+for (const tab of document.querySelectorAll('#tabs button')) {
+  tab.addEventListener('click', () => {
+    report = tab.dataset.report;
+    renderReport();
+  });
+}
+$('#search').addEventListener('input', renderReport);
+$('#status-filter').addEventListener('change', renderReport);
+
+loadFiles().catch((error) => showStatus(error.message));
+api('GET', '/api/results')
+  .then(renderResults)
+  .catch(() => {});
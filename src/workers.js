@@ -0,0 +1,229 @@
+import {EventEmitter} from 'events';
+import os from 'os';
+import {Worker} from 'worker_threads';
+
+/**
+ * Number of worker threads to parse with: `options.workers`, or one per
+ * CPU core when it is 0.
+ *
+ * @param {Object} options - Processor options.
+ */
+export function workerCount(options) {
+  return options.workers || os.availableParallelism();
+}
+
+/**
+ * Pool of worker threads reading contact files on disk, see
+ * src/parse-worker.js. Files are read in the order they are queued, up to
+ * `size` at a time. A file keeps its place until its contacts were
+ * replayed (see `read`), and its worker waits with the next batch until the
+ * previous one was taken, so the contacts held in memory are bounded by
+ * `size` batches of `options.batchSize`, whatever the size of the inputs.
+ *
+ * Emits `batch` with the job when its worker posted a batch, and `end` with
+ * the job once its file was read or failed.
+ */
+export class ParsePool extends EventEmitter {
+  /**
+   * @param {number} size - Maximum number of worker threads.
+   */
+  constructor(size) {
+    super();
+    this.size = size;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    // Jobs started and not yet released
+    this.active = 0;
+  }
+
+  /**
+   * Queues a file to be read.
+   *
+   * @param {Object} source - Read cursor of a file on disk; its `onBytes` is
+   *   called while the file is read and `records` kept up to date.
+   * @param {Object} options - Processor options.
+   * @returns {Object} The job, to be passed to `read` and `release`.
+   */
+  parse(source, options) {
+    // Only the options the readers use; inputs may hold streams and
+    // exporters functions, which cannot be sent to a worker
+    const {master, compare, sources, exporters, ...parseOptions} = options;
+    const job = {
+      source,
+      options: parseOptions,
+      // Batches posted and not taken yet
+      batches: [],
+      ended: false,
+      error: null,
+      worker: null,
+      released: false,
+      wake: null,
+    };
+    this.queue.push(job);
+    this.next();
+    return job;
+  }
+
+  /**
+   * Yields the batches of a job, `{records, entries}`, as the worker posts
+   * them; throws if the file cannot be read. The job is released once
+   * its batches are consumed or the consumer stops.
+   *
+   * @param {Object} job - Job returned by `parse`.
+   */
+  async *read(job) {
+    try {
+      for (;;) {
+        if (job.batches.length) {
+          const batch = job.batches.shift();
+          if (!job.ended) job.worker.postMessage({type: 'more'});
+          yield batch;
+        } else if (job.error) {
+          throw job.error;
+        } else if (job.ended) {
+          return;
+        } else {
+          await new Promise((resolve) => (job.wake = resolve));
+        }
+      }
+    } finally {
+      this.release(job);
+    }
+  }
+
+  /**
+   * Gives up the place of a job, letting the next queued file start. A job
+   * released before its file was read to the end stops its worker.
+   *
+   * @param {Object} job - Job returned by `parse`.
+   */
+  release(job) {
+    if (job.released) return;
+    job.released = true;
+    const queued = this.queue.indexOf(job);
+    if (queued >= 0) {
+      this.queue.splice(queued, 1);
+      return;
+    }
+    this.active--;
+    if (!job.ended) {
+      const {worker} = job;
+      worker.job = null;
+      this.remove(worker);
+      worker.terminate();
+    }
+    this.next();
+  }
+
+  next() {
+    while (this.queue.length && this.active < this.size) {
+      const worker = this.idle.pop() || this.spawn();
+      const job = this.queue.shift();
+      const {file, ext} = job.source;
+      this.active++;
+      job.worker = worker;
+      worker.job = job;
+      worker.postMessage({input: {file, ext}, options: job.options});
+    }
+  }
+
+  // Ends the job of a worker, which is free for the next one
+  finish(worker, error = null) {
+    const {job} = worker;
+    worker.job = null;
+    job.ended = true;
+    job.error = error;
+    job.wake?.();
+    this.emit('end', job);
+  }
+
+  remove(worker) {
+    this.workers = this.workers.filter((w) => w !== worker);
+    this.idle = this.idle.filter((w) => w !== worker);
+  }
+
+  spawn() {
+    const worker = new Worker(new URL('./parse-worker.js', import.meta.url));
+    worker.on('message', (message) => {
+      const {job} = worker;
+      if (!job) return;
+      if (message.type === 'bytes') {
+        job.source.records = message.records;
+        job.source.onBytes?.(message.bytesRead);
+        return;
+      }
+      if (message.type !== 'error') {
+        const {records, entries} = message;
+        job.batches.push({records, entries});
+      }
+      if (message.type === 'batch') {
+        job.wake?.();
+        this.emit('batch', job);
+        return;
+      }
+      this.finish(
+        worker,
+        message.type === 'error' ? new Error(message.message) : null
+      );
+      this.idle.push(worker);
+    });
+    // A worker that crashed or exited is replaced by the next job that
+    // needs one
+    worker.on('error', (error) => {
+      this.remove(worker);
+      if (worker.job) this.finish(worker, error);
+    });
+    worker.on('exit', (code) => {
+      this.remove(worker);
+      if (worker.job) {
+        this.finish(worker, new Error(`Parse worker exited with code ${code}`));
+      }
+    });
+    this.workers.push(worker);
+    return worker;
+  }
+
+  /**
+   * Stops the worker threads. Files still queued are not read.
+   */
+  async close() {
+    for (const job of this.queue.splice(0)) {
+      job.ended = true;
+      job.error = new Error('Parse pool closed');
+    }
+    const workers = this.workers;
+    for (const worker of workers) worker.job = null;
+    this.workers = [];
+    this.idle = [];
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+}
+
+/**
+ * Yields the contacts of a file read by `ParsePool` like `readContactFile`
+ * does, logging its rejections and traces in file order on the way.
+ *
+ * @param {Object} source - Read cursor the file was queued with.
+ * @param {AsyncIterable<{records: number, entries: Array<Object>}>} batches
+ *   Batches of `ParsePool#read`.
+ */
+export async function* replayParsed(source, batches) {
+  for await (const {records, entries} of batches) {
+    source.records = records;
+    for (const {index, contact, rejection, trace} of entries) {
+      if (rejection) {
+        source.rejections.add({
+          ...rejection,
+          side: source.side,
+          file: source.file,
+        });
+      } else if (trace) {
+        source.onTrace?.(trace);
+      } else {
+        source.index = index;
+        yield contact;
+      }
+    }
+  }
+}
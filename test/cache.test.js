@@ -0,0 +1,98 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {copyFileSync, mkdirSync, mkdtempSync, rmSync, utimesSync} from 'fs';
+import os from 'os';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {ContactProcessor} from '../src/processor.js';
+import {parseOptionsKey} from '../src/cache.js';
+import {DEFAULT_OPTIONS} from '../src/defaults.js';
+
+const fixture = (name) =>
+  fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+function setup(t) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'kc-cache-'));
+  t.after(() => rmSync(dir, {recursive: true, force: true}));
+  mkdirSync(path.join(dir, 'compare'));
+  copyFileSync(
+    fixture('compare/contacts.csv'),
+    path.join(dir, 'compare/a.csv')
+  );
+  copyFileSync(fixture('compare/sheet.xlsx'), path.join(dir, 'compare/b.xlsx'));
+  return {
+    dir,
+    options: {
+      master: [fixture('master')],
+      compare: [path.join(dir, 'compare')],
+      cache: true,
+      cacheDir: path.join(dir, 'cache'),
+    },
+  };
+}
+
+// Everything a run reports, without the cache counter
+function summarize({stats, missing, rejections}) {
+  const {cachedFiles, ...rest} = stats;
+  return {
+    stats: rest,
+    missing: missing.map(({name, missing}) => [name, missing]),
+    rejections: rejections.entries,
+  };
+}
+
+test('unchanged files are read from the cache', async (t) => {
+  const {dir, options} = setup(t);
+  const first = await new ContactProcessor(options).compare();
+  assert.equal(first.stats.cachedFiles, 0);
+
+  const second = await new ContactProcessor(options).compare();
+  assert.equal(second.stats.cachedFiles, 3);
+  assert.deepEqual(summarize(second), summarize(first));
+
+  // A changed file is parsed again
+  const changed = new Date(Date.now() + 10000);
+  utimesSync(path.join(dir, 'compare/a.csv'), changed, changed);
+  const third = await new ContactProcessor(options).compare();
+  assert.equal(third.stats.cachedFiles, 2);
+  assert.deepEqual(summarize(third), summarize(first));
+});
+
+test('rebuildCache parses every file again', async (t) => {
+  const {options} = setup(t);
+  await new ContactProcessor(options).compare();
+  const {stats} = await new ContactProcessor({
+    ...options,
+    rebuildCache: true,
+  }).compare();
+  assert.equal(stats.cachedFiles, 0);
+});
+
+test('files are parsed again when parse options change', async (t) => {
+  const {options} = setup(t);
+  await new ContactProcessor(options).compare();
+  const {stats} = await new ContactProcessor({
+    ...options,
+    nameColumnNames: ['name'],
+  }).compare();
+  assert.equal(stats.cachedFiles, 0);
+
+  assert.equal(
+    parseOptionsKey(DEFAULT_OPTIONS),
+    parseOptionsKey({...DEFAULT_OPTIONS, filterRules: []})
+  );
+});
+
+test('cached rejections keep the side of the current run', async (t) => {
+  const {dir, options} = setup(t);
+  await new ContactProcessor(options).compare();
+  const {rejections} = await new ContactProcessor({
+    ...options,
+    master: [path.join(dir, 'compare/a.csv')],
+    compare: [],
+  }).compare();
+  assert.deepEqual(
+    [...new Set(rejections.entries.map(({side}) => side))],
+    ['master']
+  );
+});
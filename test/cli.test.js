@@ -0,0 +1,119 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {mkdtempSync, rmSync, writeFileSync} from 'fs';
+import os from 'os';
+import path from 'path';
+import {UsageError, parseCliArgs} from '../src/cli.js';
+import {ConfigError, loadConfig, validateConfig} from '../src/config.js';
+
+test('parseCliArgs', () => {
+  assert.deepEqual(
+    parseCliArgs([
+      '--master',
+      'a',
+      'b',
+      '--compare=c',
+      '--split-xlsx',
+      '--fuzzy-threshold',
+      '0.9',
+    ]),
+    {
+      command: 'compare',
+      help: false,
+      options: {
+        master: ['a', 'b'],
+        compare: ['c'],
+        singleXlsxFile: false,
+        fuzzyThreshold: 0.9,
+      },
+    }
+  );
+  assert.deepEqual(
+    parseCliArgs(['matrix', '--source', 'phone1=x', 'dir/sim']).options,
+    {sources: {phone1: ['x'], sim: ['dir/sim']}}
+  );
+  assert.deepEqual(parseCliArgs(['--workers', '4']).options, {workers: 4});
+  assert.equal(parseCliArgs(['schema']).command, 'schema');
+  assert.deepEqual(parseCliArgs(['serve', '--port', '3000']), {
+    command: 'serve',
+    help: false,
+    options: {port: 3000},
+  });
+  assert.equal(parseCliArgs(['-h']).help, true);
+});
+
+test('parseCliArgs rejects bad usage', () => {
+  for (const argv of [
+    ['merge'],
+    ['--nope'],
+    ['--out'],
+    ['--vcf-version', '5.0'],
+    ['--reports', 'missing', 'other'],
+    ['--fuzzy-threshold', '2'],
+    ['--workers', '1.5'],
+    ['--port', '70000'],
+    ['--split-xlsx=yes'],
+    ['matrix', '--source', 'bad label=x'],
+  ]) {
+    assert.throws(() => parseCliArgs(argv), UsageError, argv.join(' '));
+  }
+});
+
+test('validateConfig names each bad key', () => {
+  assert.deepEqual(
+    validateConfig({
+      batchSize: 0,
+      workers: -1,
+      columnMappings: {'*.csv': {phone: 'Cell', numbers: []}},
+      placeholderTemplate: '{prefix} {last4}',
+      filterRules: [
+        {name: 'short', match: {length: {min: 0}, phone: ['94x']}},
+        {name: 'short', action: 'drop', match: {name: '('}},
+      ],
+      profiles: {intl: {vcfVersion: '5.0'}},
+    }).map(({key}) => key),
+    [
+      'batchSize',
+      'workers',
+      'columnMappings.*.csv.phone',
+      'columnMappings.*.csv.numbers',
+      'placeholderTemplate',
+      'filterRules[0].match.length.min',
+      'filterRules[0].match.phone[0]',
+      'filterRules[1].name',
+      'filterRules[1].action',
+      'filterRules[1].match.name',
+      'profiles.intl.vcfVersion',
+    ]
+  );
+  assert.deepEqual(validateConfig({master: ['x'], uniqueNames: false}), []);
+});
+
+test('loadConfig applies the profile and resolves paths', (t) => {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'kc-config-'));
+  t.after(() => rmSync(dir, {recursive: true, force: true}));
+  writeFileSync(
+    path.join(dir, 'contacts.config.yaml'),
+    [
+      'master: [./master]',
+      'defaultRegion: IN',
+      'profiles:',
+      '  uk:',
+      '    defaultRegion: GB',
+    ].join('\n')
+  );
+
+  assert.deepEqual(loadConfig({cwd: dir}).options, {
+    master: [path.join(dir, 'master')],
+    defaultRegion: 'IN',
+  });
+  assert.equal(
+    loadConfig({cwd: dir, profile: 'uk'}).options.defaultRegion,
+    'GB'
+  );
+  assert.throws(() => loadConfig({cwd: dir, profile: 'us'}), ConfigError);
+  assert.throws(
+    () => loadConfig({cwd: dir, configPath: 'missing.yaml'}),
+    ConfigError
+  );
+});
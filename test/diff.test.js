@@ -0,0 +1,198 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MISSING_STATUS,
+  findMissingContacts,
+  findNameConflicts,
+} from '../src/diff.js';
+import {buildSourceMatrix} from '../src/matrix.js';
+import {findPossibleDuplicates, nameSimilarity} from '../src/names/fuzzy.js';
+import {NameResolver} from '../src/names/policy.js';
+
+function contact(name, ...numbers) {
+  return {name, phones: numbers.map((phone) => ({phone, telParams: {}}))};
+}
+
+// Contact per number, the way the processor maps them
+function byPhone(...contacts) {
+  const map = new Map();
+  for (const c of contacts) {
+    for (const {phone} of c.phones) map.set(phone, c);
+  }
+  return map;
+}
+
+test('findMissingContacts tells fully from partially missing contacts', () => {
+  const alice = contact('Alice', '+1');
+  const dave = contact('Dave', '+2', '+1');
+  const carol = contact('Carol', '+3');
+  const result = findMissingContacts(byPhone(dave, carol), byPhone(alice));
+
+  assert.deepEqual(
+    result.map(({contact, status, missing, existing, existingNames}) => [
+      contact.name,
+      status,
+      missing.map(({phone}) => phone),
+      existing.map(({phone}) => phone),
+      existingNames,
+    ]),
+    [
+      ['Dave', MISSING_STATUS.PARTIALLY, ['+2'], ['+1'], ['Alice']],
+      ['Carol', MISSING_STATUS.FULLY, ['+3'], [], []],
+    ]
+  );
+});
+
+test('findMissingContacts skips numbers claimed by a later contact', () => {
+  const first = contact('First', '+1', '+2');
+  const second = contact('Second', '+2');
+  const result = findMissingContacts(byPhone(first, second), new Map());
+  assert.deepEqual(
+    result.map(({contact, missing}) => [contact.name, missing.length]),
+    [
+      ['First', 1],
+      ['Second', 1],
+    ]
+  );
+});
+
+test('findNameConflicts', () => {
+  const master = byPhone(
+    contact('Robert', '+1'),
+    contact('alice', '+2'),
+    contact('', '+3')
+  );
+  const placeholder = {...contact('KAS 00004', '+4'), placeholderName: true};
+  const compare = byPhone(
+    contact('Bob', '+1'),
+    contact('Alice ', '+2'),
+    contact('Carol', '+3'),
+    placeholder
+  );
+  master.set('+4', contact('Dan', '+4'));
+  // Placeholder master names do not conflict either
+  master.set('+5', {...contact('KAS 00005', '+5'), placeholderName: true});
+  compare.set('+5', contact('Eve', '+5'));
+
+  assert.deepEqual(
+    findNameConflicts(compare, master).map(({contact, masterNames}) => [
+      contact.name,
+      masterNames,
+    ]),
+    [['Bob', ['Robert']]]
+  );
+});
+
+test('nameSimilarity', () => {
+  assert.equal(nameSimilarity('Sameer Khan', 'Khan Sameer'), 1);
+  assert.equal(nameSimilarity('Dr. Samir Khan', 'Sameer Khan'), 1);
+  assert.ok(nameSimilarity('समीर खान', 'Sameer Khan') >= 0.85);
+  assert.ok(nameSimilarity('Md Ali', 'Muhammad Ali') >= 0.85);
+  assert.ok(nameSimilarity('Sameer Khan', 'Ravi Kumar') < 0.5);
+  assert.equal(nameSimilarity('José Peña', 'Jose Pena'), 1);
+});
+
+test('findPossibleDuplicates groups similar names with other numbers', () => {
+  const entries = [
+    contact('Sameer Khan', '+1'),
+    contact('Dr. Samir Khan', '+2'),
+    contact('समीर खान', '+3'),
+    contact('Ravi Kumar', '+4'),
+    // Same number, already matched by number
+    contact('Sameer', '+1'),
+  ].map((c) => ({contact: c, side: 'compare'}));
+
+  const groups = findPossibleDuplicates(entries);
+  assert.equal(groups.length, 1);
+  assert.deepEqual(
+    groups[0].members.map(({contact}) => contact.name),
+    ['Sameer Khan', 'Dr. Samir Khan', 'समीर खान']
+  );
+  assert.deepEqual(groups[0].suggested, {
+    name: 'Sameer Khan',
+    phones: ['+1', '+2', '+3'],
+  });
+  assert.deepEqual(findPossibleDuplicates(entries, {threshold: 1.01}), []);
+});
+
+test('findPossibleDuplicates splits blocks of a common word', () => {
+  // Two thousand Mohammads with unrelated second names
+  let seed = 1;
+  const word = () =>
+    Array.from({length: 10}, () => {
+      seed = (seed * 48271) % 2147483647;
+      return String.fromCharCode(97 + (seed % 26));
+    }).join('');
+  const entries = Array.from({length: 2000}, (_, i) =>
+    contact(`Mohammad ${word()}`, `+${i}`)
+  );
+  entries.push(
+    contact('Mohamad Salim Qureshi', '+a'),
+    contact('Md. Saleem Qureshi', '+b')
+  );
+
+  const groups = findPossibleDuplicates(
+    entries.map((c) => ({contact: c, side: 'compare'}))
+  );
+  assert.deepEqual(
+    groups.map(({members}) => members.map(({contact}) => contact.name)),
+    [['Mohamad Salim Qureshi', 'Md. Saleem Qureshi']]
+  );
+});
+
+test('buildSourceMatrix', () => {
+  const sources = new Map([
+    ['a', byPhone(contact('Alice', '+1'), contact('Bob', '+2'))],
+    ['b', byPhone(contact('Alice B', '+1'))],
+    ['c', byPhone(contact('', '+3'))],
+  ]);
+  const {rows, unique} = buildSourceMatrix(sources);
+
+  assert.deepEqual(rows, [
+    {phone: '+1', names: {a: 'Alice', b: 'Alice B'}, count: 2},
+    {phone: '+2', names: {a: 'Bob'}, count: 1},
+    {phone: '+3', names: {c: ''}, count: 1},
+  ]);
+  assert.deepEqual(
+    [...unique].map(([label, entries]) => [label, entries.length]),
+    [
+      ['a', 1],
+      ['b', 0],
+      ['c', 1],
+    ]
+  );
+});
+
+test('NameResolver gives shared numbers by the name policy', () => {
+  const read = (name, file, extra = {}) => ({
+    ...contact(name, '+919000000001'),
+    origin: {file},
+    ...extra,
+  });
+  const candidates = [
+    read('Ravi Kumar', 'crm/a.csv'),
+    read('Ravi', 'phone.vcf'),
+    read('Ravi', 'old.csv'),
+    read('KAS 00001', 'new.csv', {placeholderName: true}),
+  ];
+  const winner = (policy, sourcePriority = []) => {
+    const resolver = new NameResolver({namePolicy: policy, sourcePriority});
+    for (const c of candidates) resolver.add('+919000000001', c);
+    const contacts = new Map([['+919000000001', candidates.at(-1)]]);
+    resolver.resolve(contacts);
+    return contacts.get('+919000000001');
+  };
+
+  assert.equal(winner([]).name, 'KAS 00001');
+  assert.equal(winner(['real-name']).name, 'Ravi');
+  assert.equal(winner(['real-name']).origin.file, 'old.csv');
+  assert.equal(winner(['most-complete']).name, 'Ravi Kumar');
+  assert.equal(winner(['most-frequent']).name, 'Ravi');
+  assert.equal(winner(['source-priority'], ['*.vcf']).origin.file, 'phone.vcf');
+  assert.equal(
+    winner(['source-priority', 'most-complete'], ['*.csv']).name,
+    'Ravi Kumar'
+  );
+  // Placeholders and the winner's own name are not alternative names
+  assert.deepEqual(winner(['most-frequent']).alsoKnownAs, ['Ravi Kumar']);
+});
@@ -0,0 +1,218 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {mkdtempSync, readFileSync, readdirSync, rmSync} from 'fs';
+import os from 'os';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {DEFAULT_OPTIONS} from '../src/defaults.js';
+import {writeContactList} from '../src/exporters.js';
+import {formatGoogleCsv, formatOutlookCsv} from '../src/csv/writer.js';
+import {formatJsonl} from '../src/json/writer.js';
+import {readContactFile} from '../src/input.js';
+import {ContactProcessor} from '../src/processor.js';
+import {RejectionLog} from '../src/rejections.js';
+
+const fixture = (name) =>
+  fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+function tempDir(t) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'kc-export-'));
+  t.after(() => rmSync(dir, {recursive: true, force: true}));
+  return dir;
+}
+
+const entry = (name, phones, properties = []) => ({
+  contact: {name, phones, vcard: {properties}},
+  name,
+  missing: phones,
+});
+
+const ravi = entry(
+  'Ravi K Kumar',
+  [
+    {phone: '+919812345601', telParams: {TYPE: ['CELL']}},
+    {phone: '+919812345602', telParams: {TYPE: ['WORK']}},
+    {phone: '+919812345603', telParams: {TYPE: ['FAX', 'HOME']}},
+    {phone: '+919812345604', telParams: {TYPE: ['CELL']}},
+  ],
+  [
+    {group: '', name: 'EMAIL', params: {}, value: 'ravi@x.in'},
+    {group: '', name: 'ORG', params: {}, value: 'Acme\\, Pune;Sales'},
+  ]
+);
+
+async function readAll(file, data) {
+  const source = {side: 'compare', file, data, rejections: new RejectionLog()};
+  const contacts = [];
+  for await (const contact of readContactFile(source, DEFAULT_OPTIONS)) {
+    contacts.push(contact);
+  }
+  return contacts;
+}
+
+const phoneTypes = ({phones}) =>
+  phones.map(({phone, telParams}) => [phone, telParams.TYPE?.[0] || '']);
+
+test('Google and Outlook CSV exports read back as such', async () => {
+  const options = {...DEFAULT_OPTIONS, lineEndings: 'lf'};
+  const google = formatGoogleCsv([ravi], options);
+  assert.match(google, /^Name,Given Name,Additional Name,Family Name,/);
+  assert.match(google, /Organization 1 - Name.*\n.*,"Acme, Pune, Sales",/);
+  const [fromGoogle] = await readAll('ravi.csv', google);
+  assert.equal(fromGoogle.name, 'Ravi K Kumar');
+  assert.deepEqual(phoneTypes(fromGoogle), [
+    ['+919812345601', 'CELL'],
+    ['+919812345602', 'WORK'],
+    ['+919812345603', 'FAX'],
+    ['+919812345604', 'CELL'],
+  ]);
+
+  const outlook = formatOutlookCsv([ravi], options);
+  assert.ok(outlook.startsWith('\ufeffFirst Name,Middle Name,Last Name,'));
+  const [fromOutlook] = await readAll('ravi.csv', outlook);
+  assert.equal(fromOutlook.name, 'Ravi K Kumar');
+  // The second mobile number takes the spare Other Phone column
+  assert.deepEqual(phoneTypes(fromOutlook), [
+    ['+919812345601', 'CELL'],
+    ['+919812345602', 'WORK'],
+    ['+919812345604', ''],
+    ['+919812345603', 'FAX'],
+  ]);
+  assert.deepEqual(
+    fromOutlook.vcard.properties.map(({name, value}) => [name, value]),
+    [
+      ['EMAIL', 'ravi@x.in'],
+      ['ORG', 'Acme\\, Pune\\, Sales'],
+    ]
+  );
+});
+
+test('JSON Lines exports hold one record per contact', () => {
+  const lines = formatJsonl([
+    ravi,
+    {
+      ...entry('Ann', [{phone: '+919812345605'}]),
+      status: 'partially missing',
+      existing: [{phone: '+919812345606'}],
+      existingNames: ['Ann M'],
+    },
+  ])
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line));
+  assert.deepEqual(lines[0].fields, {
+    EMAIL: ['ravi@x.in'],
+    ORG: ['Acme, Pune, Sales'],
+  });
+  assert.deepEqual(lines[1], {
+    name: 'Ann',
+    status: 'partially missing',
+    existing_numbers: ['+919812345606'],
+    existing_contact: ['Ann M'],
+    phones: [{phone: '+919812345605', types: []}],
+    fields: {},
+  });
+});
+
+test('writeContactList splits VCF files and sets line endings', async (t) => {
+  const dir = tempDir(t);
+  const entries = ['A', 'B', 'C'].map((name, i) =>
+    entry(name, [{phone: `+91981234560${i}`}])
+  );
+  const written = await writeContactList(dir, 'list', entries, {
+    ...DEFAULT_OPTIONS,
+    exportFormats: ['vcf', 'google-csv'],
+    vcfChunkSize: 2,
+    lineEndings: 'lf',
+  });
+  assert.deepEqual(
+    written.map((file) => path.basename(file)),
+    ['list_part_1.vcf', 'list_part_2.vcf', 'list.google.csv']
+  );
+  const first = readFileSync(written[0], 'utf-8');
+  assert.equal(first.match(/BEGIN:VCARD/g).length, 2);
+  assert.ok(!first.includes('\r'));
+
+  const [crlf] = await writeContactList(dir, 'all', entries, {
+    ...DEFAULT_OPTIONS,
+    vcfChunkSize: 5,
+  });
+  assert.equal(path.basename(crlf), 'all.vcf');
+  assert.match(readFileSync(crlf, 'utf-8'), /^BEGIN:VCARD\r\n/);
+
+  await assert.rejects(
+    writeContactList(dir, 'x', entries, {
+      ...DEFAULT_OPTIONS,
+      exportFormats: ['pdf'],
+    }),
+    /Unknown export format: pdf/
+  );
+});
+
+test('process writes the chosen formats and the JSON logs', async (t) => {
+  const outputDir = tempDir(t);
+  const exported = [];
+  await new ContactProcessor({
+    master: [fixture('master')],
+    compare: [fixture('compare')],
+    cache: false,
+    outputDir,
+    reports: ['missing'],
+    exportFormats: ['json', 'custom'],
+    exporters: {
+      custom: {
+        extension: '.txt',
+        format: (entries) => {
+          exported.push(entries.length);
+          return entries.map(({name}) => name).join('\n');
+        },
+      },
+    },
+  }).process();
+
+  const files = readdirSync(outputDir);
+  assert.ok(files.includes('fully_missing_total_3.json'));
+  assert.ok(files.includes('fully_missing_total_3.txt'));
+  assert.ok(!files.some((file) => file.endsWith('.vcf')));
+  assert.deepEqual(exported, [3, 1]);
+
+  const master = JSON.parse(
+    readFileSync(path.join(outputDir, 'master_numbers.json'), 'utf-8')
+  );
+  assert.equal(master.length, 4);
+  assert.ok(master.every(({name, phones}) => name && phones.length));
+});
+
+test('exports name the source of each contact', async (t) => {
+  const outputDir = tempDir(t);
+  await new ContactProcessor({
+    master: [fixture('master')],
+    compare: [fixture('compare')],
+    cache: false,
+    outputDir,
+    reports: ['missing'],
+    exportFormats: ['vcf', 'json'],
+    vcfSource: true,
+  }).process();
+
+  const csv = fixture('compare/contacts.csv');
+  const partial = readFileSync(
+    path.join(outputDir, 'partially_missing_total_1.vcf'),
+    'utf-8'
+  );
+  assert.deepEqual(
+    [...partial.matchAll(/^X-SOURCE:(.*)\r$/gm)].map(([, value]) => value),
+    [
+      `compare: ${csv}\\, row 4`,
+      `master: ${fixture('master/master.vcf')}\\, card 1`,
+    ]
+  );
+  const [dave] = JSON.parse(
+    readFileSync(
+      path.join(outputDir, 'partially_missing_total_1.json'),
+      'utf-8'
+    )
+  );
+  assert.equal(dave.source, `${csv}, row 4`);
+  assert.equal(dave.seen_in.length, 1);
+});
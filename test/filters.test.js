@@ -0,0 +1,129 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {DEFAULT_OPTIONS} from '../src/defaults.js';
+import {
+  ContactFilter,
+  NOT_INCLUDED,
+  phoneGlobToRegExp,
+  resolveFilterRules,
+} from '../src/filters.js';
+import {ContactProcessor} from '../src/processor.js';
+
+const contact = (name, phone, {file = 'a.csv', column} = {}) => ({
+  name,
+  phones: [{phone, column, telParams: {}}],
+  origin: {side: 'compare', file, format: 'csv', sheet: '', index: 2},
+});
+
+test('phoneGlobToRegExp matches whole numbers', () => {
+  assert.ok(phoneGlobToRegExp('94544*').test('9454412345'));
+  assert.ok(phoneGlobToRegExp('*000000').test('919100000000'));
+  assert.ok(phoneGlobToRegExp('+9715?1*').test('+971501234567'));
+  assert.ok(!phoneGlobToRegExp('94544').test('9454412345'));
+});
+
+test('legacy filter options replace the default rules', () => {
+  const names = (options) =>
+    resolveFilterRules({...DEFAULT_OPTIONS, ...options}).map(
+      ({name, match}) => [name, match]
+    );
+  assert.deepEqual(
+    names({filterKeywords: ['promo', 'a.b'], blockedPhonePrefixes: []}),
+    [
+      ['blocked-suffixes', {phone: ['*000000']}],
+      ['filter-keywords', {name: 'promo|a\\.b'}],
+    ]
+  );
+});
+
+test('the first matching rule decides, include rules keep only their numbers', () => {
+  const filter = new ContactFilter({
+    ...DEFAULT_OPTIONS,
+    filterRules: [
+      {name: 'vip', action: 'include', match: {name: '^vip '}},
+      {name: 'spam', match: {name: 'spam'}},
+      {
+        name: 'crm-mobiles',
+        action: 'include',
+        match: {file: 'crm/*.csv', column: 'Mobile', length: 10},
+      },
+      {name: 'landlines', apply: ['master'], match: {phone: '+9180*'}},
+    ],
+  });
+  const check = (c, scope = 'compare') => filter.check(scope, c, c.phones[0]);
+
+  assert.equal(check(contact('VIP spam', '+919000000001')), null);
+  assert.equal(check(contact('spam', '+919000000002')), 'spam');
+  assert.equal(
+    check(
+      contact('Ann', '+919000000003', {file: 'x/crm/a.csv', column: 'mobile'})
+    ),
+    null
+  );
+  assert.equal(
+    check(contact('Ann', '+919000000004', {column: 'mobile'})),
+    NOT_INCLUDED
+  );
+  assert.equal(check(contact('Bob', '+918012345678'), 'master'), 'landlines');
+  assert.equal(check(contact('Bob', '+919000000005'), 'output'), null);
+  assert.deepEqual(filter.counts(), {
+    vip: 0,
+    spam: 1,
+    'crm-mobiles': 0,
+    landlines: 1,
+    [NOT_INCLUDED]: 1,
+  });
+});
+
+test('master and output rules remove numbers from the reports', async () => {
+  const processor = new ContactProcessor({
+    master: [
+      {
+        name: 'master.csv',
+        data: [
+          {name: 'Old Office', phone: '9000000001'},
+          {name: 'Ann', phone: '9000000002'},
+        ],
+      },
+    ],
+    compare: [
+      {
+        name: 'crm.csv',
+        data: [
+          {name: 'Office', phone: '9000000001'},
+          {name: 'Ann', phone: '9000000002', mobile: '9000000003'},
+          {name: 'Test Lead', phone: '9000000004'},
+        ],
+      },
+    ],
+    cache: false,
+    workers: 1,
+    filterRules: [
+      {name: 'old', apply: ['master'], match: {name: '^old '}},
+      {name: 'tests', apply: ['output'], match: {name: 'test'}},
+      {name: 'no-mobile', apply: ['output'], match: {column: 'mobile'}},
+    ],
+  });
+  const {missing, stats, rejections} = await processor.compare();
+
+  // The master number removed by `old` makes Office missing
+  assert.deepEqual(
+    missing.map(({name, missing}) => [name, missing.map(({phone}) => phone)]),
+    [['Office', ['+919000000001']]]
+  );
+  assert.deepEqual(stats.filtered, {old: 1, tests: 1, 'no-mobile': 1});
+  assert.deepEqual(
+    rejections.entries.map(({side, file, phone, reason, detail}) => [
+      side,
+      file,
+      phone,
+      reason,
+      detail,
+    ]),
+    [
+      ['master', 'master.csv', '+919000000001', 'filter_rule', 'old'],
+      ['compare', 'crm.csv', '+919000000003', 'filter_rule', 'no-mobile'],
+      ['compare', 'crm.csv', '+919000000004', 'filter_rule', 'tests'],
+    ]
+  );
+});
@@ -0,0 +1,558 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {fileURLToPath} from 'url';
+import XLSX from 'xlsx';
+import initSqlJs from 'sql.js';
+import {DEFAULT_OPTIONS} from '../src/defaults.js';
+import {
+  FILE_TYPES,
+  cleanupName,
+  createContactKey,
+  expandScientific,
+  globToRegExp,
+  isContactInput,
+  normalizeColumnName,
+  readContactFile,
+} from '../src/input.js';
+import {RejectionLog} from '../src/rejections.js';
+import {parseVcfText} from '../src/vcf/reader.js';
+
+const fixture = (name) =>
+  fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+function createSource(file = 'test') {
+  return {side: 'compare', file, index: 1, rejections: new RejectionLog()};
+}
+
+async function readAll(source, options = DEFAULT_OPTIONS) {
+  const contacts = [];
+  for await (const contact of readContactFile(source, options)) {
+    contacts.push(contact);
+  }
+  return contacts;
+}
+
+test('normalizeColumnName', () => {
+  assert.equal(normalizeColumnName('First Name'), 'first_name');
+  assert.equal(normalizeColumnName('  E-mail  Address '), 'e_mail_address');
+  assert.equal(normalizeColumnName('Phone 1 - Value'), 'phone_1_value');
+  assert.equal(normalizeColumnName('__Mobile (Home)__'), 'mobile_home');
+});
+
+test('cleanupName keeps Latin, Devanagari and Urdu letters', () => {
+  assert.equal(cleanupName('  Ravi   Kumar!! '), 'Ravi Kumar');
+  assert.equal(cleanupName('समीर खान 🙂'), 'समीर खान');
+  assert.equal(cleanupName('عمران خان'), 'عمران خان');
+  assert.equal(cleanupName('/Office (Pune)/'), 'Office (Pune)');
+  assert.equal(cleanupName('***'), '');
+});
+
+test('createContactKey reads VCF cards', () => {
+  const [card] = parseVcfText(
+    [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      'FN:Alice',
+      'TEL;TYPE=CELL:+91 98765 43210',
+      'TEL;TYPE=WORK:09876543210',
+      'TEL:12345',
+      'EMAIL:alice@example.com',
+      'END:VCARD',
+    ].join('\r\n')
+  );
+  const source = createSource();
+  const contact = createContactKey(
+    card,
+    source,
+    FILE_TYPES.VCF,
+    DEFAULT_OPTIONS
+  );
+
+  assert.equal(contact.name, 'Alice');
+  // The same number listed twice is kept once, with the first TYPE
+  assert.deepEqual(contact.phones, [
+    {phone: '+919876543210', telParams: {TYPE: ['CELL']}},
+  ]);
+  assert.deepEqual(
+    contact.vcard.properties.map(({name}) => name),
+    ['EMAIL']
+  );
+  assert.deepEqual(
+    source.rejections.entries.map(({raw, reason}) => [raw, reason]),
+    [['12345', 'too_short']]
+  );
+});
+
+test('createContactKey joins first_name and last_name', () => {
+  const row = {first_name: 'Carol', last_name: 'Singh', mobile: '9000000003'};
+  const contact = createContactKey(
+    row,
+    createSource(),
+    FILE_TYPES.CSV,
+    DEFAULT_OPTIONS
+  );
+  assert.equal(contact.name, 'Carol Singh');
+  assert.deepEqual(contact.phones, [
+    {phone: '+919000000003', column: 'mobile', telParams: {TYPE: ['CELL']}},
+  ]);
+
+  const firstOnly = createContactKey(
+    {first_name: 'Bob', last_name: '', mobile: '9812345678'},
+    createSource(),
+    FILE_TYPES.CSV,
+    DEFAULT_OPTIONS
+  );
+  assert.equal(firstOnly.name, 'Bob');
+});
+
+test('createContactKey prefers the name column over first_name', () => {
+  const row = {first_name: 'Carol', name: 'Mrs Singh', phone: '9000000003'};
+  const contact = createContactKey(
+    row,
+    createSource(),
+    FILE_TYPES.CSV,
+    DEFAULT_OPTIONS
+  );
+  assert.equal(contact.name, 'Mrs Singh');
+});
+
+test('createContactKey rejects 11 and 12 digit national numbers', () => {
+  const source = createSource();
+  const contact = createContactKey(
+    {name: 'Heidi', mobile: '98765432101', phone: '198765432101'},
+    source,
+    FILE_TYPES.CSV,
+    DEFAULT_OPTIONS
+  );
+  assert.equal(contact, null);
+  assert.deepEqual(
+    source.rejections.entries.map(({raw, reason, detail}) => [
+      raw,
+      reason,
+      detail,
+    ]),
+    [
+      ['98765432101', 'too_long', 'column mobile'],
+      ['198765432101', 'too_long', 'column phone'],
+    ]
+  );
+});
+
+test('createContactKey only logs invalid values of phone columns', () => {
+  const source = createSource();
+  const contact = createContactKey(
+    {name: 'Ann', mobile: '9000000003', note: 'call after 5'},
+    source,
+    FILE_TYPES.CSV,
+    DEFAULT_OPTIONS
+  );
+  assert.equal(contact.phones.length, 1);
+  assert.equal(source.rejections.size, 0);
+});
+
+test('createContactKey ignores numbers outside phone columns', () => {
+  const contact = createContactKey(
+    {name: 'Ann', customer_id: '9812345678', mobile: '9000000003'},
+    createSource(),
+    FILE_TYPES.CSV,
+    DEFAULT_OPTIONS
+  );
+  assert.deepEqual(
+    contact.phones.map(({phone}) => phone),
+    ['+919000000003']
+  );
+});
+
+test('readContactFile reports files without a phone column', async () => {
+  const read = async (text) => {
+    const source = {
+      ...createSource('a.csv'),
+      data: text,
+      ext: '.csv',
+      onTrace: (message) => traces.push(message),
+    };
+    const traces = [];
+    const contacts = await readAll(source);
+    return {contacts, traces, rejections: source.rejections.entries};
+  };
+
+  for (const header of ['Mobile No', 'Contact No.', 'Phone No']) {
+    const {contacts, rejections} = await read(
+      `Name,${header}\nAnn,98123 45601\n`
+    );
+    assert.deepEqual(
+      contacts.map(({phones}) => phones[0].phone),
+      ['+919812345601']
+    );
+    assert.deepEqual(rejections, []);
+  }
+
+  const {contacts, traces, rejections} = await read(
+    'Name,Cell No\nAnn,98123 45601\nBob,98123 45602\n'
+  );
+  assert.deepEqual(contacts, []);
+  assert.deepEqual(
+    rejections.map(({reason, index, detail}) => [reason, index, detail]),
+    [['no_phone_column', 2, 'columns name, cell_no']]
+  );
+  assert.deepEqual(traces, ['No phone column in a.csv: name, cell_no']);
+});
+
+test('globToRegExp matches the end of a path', () => {
+  const matches = (glob, file) => globToRegExp(glob).test(file);
+  assert.ok(matches('*.csv', 'exports/a.csv'));
+  assert.ok(matches('crm/*.csv', 'exports/crm/a.csv'));
+  assert.ok(!matches('crm/*.csv', 'exports/crm/old/a.csv'));
+  assert.ok(matches('exports/**/*.csv', 'exports/crm/old/a.csv'));
+  assert.ok(matches('exports/**/*.csv', 'exports/a.csv'));
+  assert.ok(!matches('*.csv', 'a.csv.bak'));
+});
+
+test('readContactFile applies the column mappings of the file', async () => {
+  const options = {
+    ...DEFAULT_OPTIONS,
+    columnMappings: {
+      'crm/*.csv': {
+        phone: ['Handy Nr.'],
+        name: ['Customer'],
+        fields: {EMAIL: ['Mail']},
+      },
+    },
+  };
+  const data =
+    'Customer,Handy Nr.,Phone,Mail\nBob,9812345678,9000000003,b@x.in\n';
+  const [mapped] = await readAll(
+    {...createSource('crm/a.csv'), data, ext: '.csv'},
+    options
+  );
+  assert.equal(mapped.name, 'Bob');
+  // The mapped phone columns replace the built-in ones
+  assert.deepEqual(
+    mapped.phones.map(({phone}) => phone),
+    ['+919812345678']
+  );
+  assert.deepEqual(
+    mapped.vcard.properties.map(({name, value}) => [name, value]),
+    [['EMAIL', 'b@x.in']]
+  );
+
+  const [other] = await readAll(
+    {...createSource('other/a.csv'), data, ext: '.csv'},
+    options
+  );
+  assert.deepEqual(
+    other.phones.map(({phone}) => phone),
+    ['+919000000003']
+  );
+});
+
+test('createContactKey reports traced numbers', () => {
+  const messages = [];
+  const source = {...createSource('a.csv'), onTrace: (m) => messages.push(m)};
+  createContactKey(
+    {name: 'Ann', mobile: '9000000003'},
+    source,
+    FILE_TYPES.CSV,
+    {...DEFAULT_OPTIONS, traceNumber: '9000000003'}
+  );
+  assert.deepEqual(messages, ['found 9000000003 in a.csv']);
+});
+
+test('readContactFile reads VCF, CSV and XLSX fixtures', async () => {
+  const vcf = await readAll(createSource(fixture('master/master.vcf')));
+  assert.deepEqual(
+    vcf.map(({name}) => name),
+    ['Alice Sharma', 'Ravi Kumar', 'Robert', 'Zed Master Only']
+  );
+
+  const csv = await readAll(createSource(fixture('compare/contacts.csv')));
+  assert.deepEqual(
+    csv.map(({name}) => name),
+    ['Bob', 'Carol Singh', 'Dave', 'Spam Caller', 'Eve', 'Frank', 'Grace']
+  );
+  assert.deepEqual(
+    csv[2].phones.map(({phone}) => phone),
+    ['+919000000004', '+919876543210']
+  );
+
+  const xlsx = await readAll(createSource(fixture('compare/sheet.xlsx')));
+  assert.deepEqual(
+    xlsx.map(({name, phones}) => [name, phones[0].phone]),
+    [
+      ['Carol Singh', '+919000000006'],
+      ['', '+919000000007'],
+      ['Ravi Kumar', '+919812300001'],
+    ]
+  );
+});
+
+test('readContactFile reads in-memory inputs', async () => {
+  const rows = await readAll({
+    ...createSource('crm'),
+    data: [{'First Name': 'Ann', Mobile: 9000000003}],
+  });
+  // Rows without a last_name column
+  assert.equal(rows[0].name, 'Ann');
+
+  const csv = await readAll({
+    ...createSource('sheet'),
+    data: Buffer.from('Name,Phone\nBob,09812345678\n'),
+    ext: '.csv',
+  });
+  assert.equal(csv[0].phones[0].phone, '+919812345678');
+
+  const vcf = await readAll({
+    ...createSource('phone'),
+    data: 'BEGIN:VCARD\nVERSION:3.0\nFN:Alice\nTEL:9876543210\nEND:VCARD\n',
+    ext: '.vcf',
+  });
+  assert.equal(vcf[0].name, 'Alice');
+});
+
+// Two sheets: a title above the header, numbers as numeric cells and as
+// text in scientific notation
+function createWorkbook(bookType) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([
+      ['Family contacts'],
+      [],
+      ['Name', 'Mobile'],
+      ['Ann', 919812345601],
+    ]),
+    'Family'
+  );
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([
+      ['Phone', 'Name'],
+      ['9.19812345602E+11', 'Bob'],
+      ['9.19812E+11', 'Lossy'],
+    ]),
+    'Work'
+  );
+  return XLSX.write(workbook, {type: 'buffer', bookType});
+}
+
+test('expandScientific recovers only complete numbers', () => {
+  assert.equal(expandScientific('9.19812345602E+11'), '919812345602');
+  assert.equal(expandScientific('9.19812E+11'), '9.19812E+11');
+  assert.equal(expandScientific('Bob'), 'Bob');
+});
+
+test('readContactFile reads every sheet of a workbook', async () => {
+  for (const [bookType, ext] of [
+    ['xlsx', '.xlsx'],
+    ['biff8', '.xls'],
+    ['ods', '.ods'],
+  ]) {
+    const source = {
+      ...createSource('book'),
+      data: createWorkbook(bookType),
+      ext,
+    };
+    const contacts = await readAll(source);
+    assert.deepEqual(
+      contacts.map(({name, phones}) => [name, phones[0].phone]),
+      [
+        ['Ann', '+919812345601'],
+        ['Bob', '+919812345602'],
+      ],
+      ext
+    );
+    assert.deepEqual(
+      source.rejections.entries.map(({index, sheet, name}) => [
+        index,
+        sheet,
+        name,
+      ]),
+      [[3, 'Work', 'Lossy']],
+      ext
+    );
+  }
+});
+
+test('readContactFile reads the selected sheets', async () => {
+  const contacts = await readAll(
+    {...createSource('book'), data: createWorkbook('xlsx'), ext: '.xlsx'},
+    {...DEFAULT_OPTIONS, sheets: ['Work']}
+  );
+  assert.deepEqual(
+    contacts.map(({name}) => name),
+    ['Bob']
+  );
+});
+
+// Phones of read contacts as [number, TEL type] pairs
+const phoneTypes = ({phones}) =>
+  phones.map(({phone, telParams}) => [phone, telParams.TYPE?.[0] || '']);
+
+test('readContactFile reads Google and Outlook CSV exports', async () => {
+  const google = [
+    'Name,Given Name,Family Name,Labels,Phone 1 - Label,Phone 1 - Value,' +
+      'Phone 2 - Label,Phone 2 - Value,Phone 17 - Value,E-mail 1 - Value',
+    'Asha Rao,Asha,Rao,* myContacts,* Mobile,' +
+      '+91 98123 45601 ::: +91 98123 45602,Work,98123 45603,98123 45604,' +
+      'a@x.in ::: b@x.in',
+  ].join('\n');
+  const [asha] = await readAll({
+    ...createSource('google.csv'),
+    data: google,
+    ext: '.csv',
+  });
+  assert.equal(asha.name, 'Asha Rao');
+  // Phone 17 is not a default phone column but one of the layout
+  assert.deepEqual(phoneTypes(asha), [
+    ['+919812345601', 'CELL'],
+    ['+919812345602', 'CELL'],
+    ['+919812345603', 'WORK'],
+    ['+919812345604', ''],
+  ]);
+  assert.deepEqual(
+    asha.vcard.properties.map(({value}) => value),
+    ['a@x.in', 'b@x.in']
+  );
+
+  const outlook = [
+    'First Name,Middle Name,Last Name,Mobile Phone,Business Phone,Home Fax',
+    'Ravi,K,Kumar,9812345605,,9812345606',
+  ].join('\n');
+  const [ravi] = await readAll({
+    ...createSource('outlook.csv'),
+    data: outlook,
+    ext: '.csv',
+  });
+  assert.equal(ravi.name, 'Ravi K Kumar');
+  assert.deepEqual(phoneTypes(ravi), [
+    ['+919812345605', 'CELL'],
+    ['+919812345606', 'FAX'],
+  ]);
+});
+
+test('readContactFile reads JSON and JSON Lines dumps', async () => {
+  const source = createSource('dump.json');
+  const json = await readAll({
+    ...source,
+    data: JSON.stringify({
+      contacts: [
+        {
+          // Shaped like a Google People API person
+          names: [{displayName: 'Ann Lee', givenName: 'Ann'}],
+          phoneNumbers: [
+            {value: '9812345601', type: 'mobile'},
+            {value: '9812345602', type: 'work'},
+          ],
+        },
+        'Bob 9812345603',
+      ],
+    }),
+    ext: '.json',
+  });
+  assert.equal(json.length, 1);
+  assert.equal(json[0].name, 'Ann Lee');
+  assert.deepEqual(phoneTypes(json[0]), [
+    ['+919812345601', 'CELL'],
+    ['+919812345602', 'WORK'],
+  ]);
+
+  const lines = createSource('dump.jsonl');
+  const jsonl = await readAll({
+    ...lines,
+    data: [
+      '{"name": "Bob", "phone": "9812345603"}',
+      'not json',
+      '',
+      '{"name": "Cy", "phones": ["9812345604", "9812345605"]}',
+    ].join('\n'),
+    ext: '.jsonl',
+  });
+  assert.deepEqual(
+    jsonl.map(({name, phones}) => [name, phones.length]),
+    [
+      ['Bob', 1],
+      ['Cy', 2],
+    ]
+  );
+  assert.deepEqual(
+    [...source.rejections.entries, ...lines.rejections.entries].map(
+      ({index, reason}) => [index, reason]
+    ),
+    [
+      [2, 'json_record_error'],
+      [2, 'json_record_error'],
+    ]
+  );
+
+  await assert.rejects(
+    readAll({...createSource('a.json'), data: '{"a": 1}', ext: '.json'}),
+    /expected a list of contacts/
+  );
+});
+
+test('readContactFile reads Android contacts databases', async () => {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run(`
+    CREATE TABLE mimetypes (_id INTEGER PRIMARY KEY, mimetype TEXT);
+    CREATE TABLE raw_contacts (_id INTEGER PRIMARY KEY, deleted INTEGER);
+    CREATE TABLE data (_id INTEGER PRIMARY KEY, raw_contact_id INTEGER,
+      mimetype_id INTEGER, data1 TEXT, data2 TEXT, data3 TEXT, data4 TEXT,
+      data5 TEXT);
+    INSERT INTO mimetypes VALUES (1, 'vnd.android.cursor.item/name'),
+      (2, 'vnd.android.cursor.item/phone_v2'),
+      (3, 'vnd.android.cursor.item/email_v2');
+    INSERT INTO raw_contacts VALUES (7, 0), (8, 1), (9, 0);
+    INSERT INTO data VALUES
+      (1, 7, 1, 'Asha K Rao', 'Asha', 'Rao', NULL, 'K'),
+      (2, 7, 2, '+91 98123 45601', '2', NULL, NULL, NULL),
+      (3, 7, 2, '98123 45602', '0', 'Office', NULL, NULL),
+      (4, 7, 3, 'asha@x.in', '1', NULL, NULL, NULL),
+      (5, 8, 1, 'Deleted', NULL, NULL, NULL, NULL),
+      (6, 8, 2, '98123 45603', '2', NULL, NULL, NULL),
+      (7, 9, 2, '98123 45604', '1', NULL, NULL, NULL);
+  `);
+  // More numbers than Google exports have phone columns
+  for (let i = 0; i < 20; i++) {
+    db.run(
+      `INSERT INTO data VALUES (${100 + i}, 10, 2, '9812346${600 + i}', '2',
+        NULL, NULL, NULL)`
+    );
+  }
+  db.run('INSERT INTO raw_contacts VALUES (10, 0)');
+  const data = Buffer.from(db.export());
+  db.close();
+
+  const contacts = await readAll({
+    ...createSource('contacts2.db'),
+    data,
+    ext: '.db',
+  });
+  assert.deepEqual(
+    contacts.map((contact) => [contact.name, phoneTypes(contact)]),
+    [
+      [
+        'Asha K Rao',
+        [
+          ['+919812345601', 'CELL'],
+          ['+919812345602', 'WORK'],
+        ],
+      ],
+      ['', [['+919812345604', 'HOME']]],
+      [
+        '',
+        Array.from({length: 20}, (_, i) => [`+919812346${600 + i}`, 'CELL']),
+      ],
+    ]
+  );
+  assert.equal(contacts[0].vcard.n, 'Rao;Asha;K;;');
+
+  await assert.rejects(
+    readAll({...createSource('x.db'), data: Buffer.from('nope'), ext: '.db'}),
+    /not an Android contacts database/
+  );
+  // Only SQLite files are taken for databases, by their header
+  const input = (content) => ({file: 'x.db', data: content, ext: '.db'});
+  assert.equal(await isContactInput(input(data)), true);
+  assert.equal(await isContactInput(input(Buffer.from('nope'))), false);
+});
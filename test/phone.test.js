@@ -0,0 +1,67 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PHONE_REJECT_REASONS,
+  PHONE_TYPES,
+  createPhoneNormalizer,
+  isKnownRegion,
+} from '../src/phone/normalize.js';
+
+const normalize = createPhoneNormalizer({defaultRegion: 'IN'});
+
+test('national formats of one number normalize to the same E.164', () => {
+  for (const value of [
+    '9876543210',
+    '09876543210',
+    '919876543210',
+    '+91 98765-43210',
+    '0091 9876543210',
+    9876543210,
+  ]) {
+    assert.equal(normalize(value).e164, '+919876543210', String(value));
+  }
+});
+
+test('international numbers keep their own country', () => {
+  assert.deepEqual(normalize('+44 7911 123456'), {
+    ok: true,
+    e164: '+447911123456',
+    region: 'GB',
+    nationalNumber: '7911123456',
+    type: PHONE_TYPES.MOBILE,
+  });
+  assert.equal(normalize('+971 50 123 4567').region, 'AE');
+});
+
+test('invalid values are rejected with a reason', () => {
+  const reasons = {
+    '': PHONE_REJECT_REASONS.EMPTY,
+    abc: PHONE_REJECT_REASONS.EMPTY,
+    12345: PHONE_REJECT_REASONS.TOO_SHORT,
+    // 11 and 12 digits without a trunk prefix or country code
+    98765432101: PHONE_REJECT_REASONS.TOO_LONG,
+    198765432101: PHONE_REJECT_REASONS.TOO_LONG,
+    '0223456789': PHONE_REJECT_REASONS.INVALID_NUMBER,
+  };
+  for (const [value, reason] of Object.entries(reasons)) {
+    assert.deepEqual(normalize(value), {ok: false, reason, value}, value);
+  }
+});
+
+test('fixed-line ranges are told from mobile ones', () => {
+  assert.equal(normalize('5876543210').type, PHONE_TYPES.FIXED);
+  assert.equal(normalize('9876543210').type, PHONE_TYPES.MOBILE);
+});
+
+test('custom regions', () => {
+  assert.equal(isKnownRegion('XX'), false);
+  assert.equal(isKnownRegion('XX', {XX: {}}), true);
+  assert.throws(() => createPhoneNormalizer({defaultRegion: 'XX'}), RangeError);
+
+  const custom = createPhoneNormalizer({
+    defaultRegion: 'XX',
+    regions: {XX: {countryCode: '999', lengths: [6], pattern: '^[1-9]'}},
+  });
+  assert.equal(custom('123456').e164, '+999123456');
+  assert.equal(custom('012345').reason, PHONE_REJECT_REASONS.INVALID_NUMBER);
+});
@@ -0,0 +1,509 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {spawnSync} from 'child_process';
+import {
+  existsSync,
+  mkdtempSync,
+  readFileSync,
+  readdirSync,
+  rmSync,
+  writeFileSync,
+} from 'fs';
+import os from 'os';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import XLSX from 'xlsx';
+import {ContactProcessor} from '../src/processor.js';
+import {MAX_SEEN_IN} from '../src/provenance.js';
+
+const fixture = (name) =>
+  fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+const fixtureOptions = {
+  master: [fixture('master')],
+  compare: [fixture('compare')],
+  cache: false,
+};
+
+function tempDir(t) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'kc-test-'));
+  t.after(() => rmSync(dir, {recursive: true, force: true}));
+  return dir;
+}
+
+function readSheets(file) {
+  const workbook = XLSX.readFile(file);
+  return Object.fromEntries(
+    workbook.SheetNames.map((name) => [
+      name,
+      XLSX.utils.sheet_to_json(workbook.Sheets[name], {defval: ''}),
+    ])
+  );
+}
+
+// FN and TEL values of each card in a VCF file
+function readCards(file) {
+  return readFileSync(file, 'utf-8')
+    .split('END:VCARD')
+    .filter((card) => card.trim())
+    .map((card) => ({
+      name: card.match(/^FN:(.*)$/m)[1].trim(),
+      phones: [...card.matchAll(/^TEL.*:(.*)$/gm)].map(([, tel]) => tel.trim()),
+    }));
+}
+
+test('process writes the workbook and VCF reports', async (t) => {
+  const outputDir = tempDir(t);
+  const processor = new ContactProcessor({...fixtureOptions, outputDir});
+  const {stats} = await processor.process();
+
+  assert.deepEqual(
+    {
+      totalFiles: stats.totalFiles,
+      uniqueMasterContacts: stats.uniqueMasterContacts,
+      uniqueCompareContacts: stats.uniqueCompareContacts,
+      missing: stats.missing,
+      partiallyMissing: stats.partiallyMissing,
+      extra: stats.extra,
+      conflicts: stats.conflicts,
+      possibleDuplicates: stats.possibleDuplicates,
+      rejected: stats.rejected,
+      errors: stats.errors,
+    },
+    {
+      totalFiles: 3,
+      uniqueMasterContacts: 4,
+      uniqueCompareContacts: 7,
+      missing: 4,
+      partiallyMissing: 1,
+      extra: 1,
+      conflicts: 2,
+      possibleDuplicates: 1,
+      rejected: 6,
+      errors: 0,
+    }
+  );
+
+  const sheets = readSheets(path.join(outputDir, 'output.xlsx'));
+  // Names shared by several missing contacts get a counter
+  assert.deepEqual(sheets['Missing Contacts'], [
+    {
+      name: 'Carol Singh (1)',
+      status: 'fully missing',
+      missing_numbers: '+919000000003',
+      existing_numbers: '',
+      existing_contact: '',
+      also_known_as: '',
+      source: `${fixture('compare/contacts.csv')}, row 3`,
+      also_seen_in: '',
+      enriched_from: '',
+    },
+    {
+      name: 'Carol Singh (2)',
+      status: 'fully missing',
+      missing_numbers: '+919000000006',
+      existing_numbers: '',
+      existing_contact: '',
+      also_known_as: '',
+      source: `${fixture('compare/sheet.xlsx')}, sheet Contacts, row 2`,
+      also_seen_in: '',
+      enriched_from: '',
+    },
+    {
+      name: 'Dave',
+      status: 'partially missing',
+      missing_numbers: '+919000000004',
+      existing_numbers: '+919876543210',
+      existing_contact: 'Alice Sharma',
+      also_known_as: '',
+      source: `${fixture('compare/contacts.csv')}, row 4`,
+      // Its other number is Alice's
+      also_seen_in: `master: ${fixture('master/master.vcf')}, card 1`,
+      enriched_from: '',
+    },
+    {
+      name: 'KAS 00007',
+      status: 'fully missing',
+      missing_numbers: '+919000000007',
+      existing_numbers: '',
+      existing_contact: '',
+      also_known_as: '',
+      source: `${fixture('compare/sheet.xlsx')}, sheet Contacts, row 3`,
+      also_seen_in: '',
+      enriched_from: '',
+    },
+  ]);
+  assert.deepEqual(
+    sheets['Extra Contacts'].map(({name}) => name),
+    ['Zed Master Only']
+  );
+  assert.deepEqual(sheets['Name Conflicts'], [
+    {
+      phone: '+919812345678',
+      master_name: 'Robert',
+      compare_name: 'Bob',
+      master_source: `${fixture('master/master.vcf')}, card 3`,
+      compare_source: `${fixture('compare/contacts.csv')}, row 2`,
+    },
+    {
+      phone: '+919876543210',
+      master_name: 'Alice Sharma',
+      compare_name: 'Dave',
+      master_source: `${fixture('master/master.vcf')}, card 1`,
+      compare_source: `${fixture('compare/contacts.csv')}, row 4`,
+    },
+  ]);
+  assert.deepEqual(sheets['Dupicate Name List'], [
+    {key: 'carol singh', value: 2},
+    {key: 'dave', value: 1},
+    {key: 'kas 00007', value: 1},
+  ]);
+  assert.deepEqual(
+    sheets['Rejected Numbers'].map(({raw, reason}) => [String(raw), reason]),
+    [
+      ['98123456780', 'too_long'],
+      ['+919000000005', 'filter_rule'],
+      ['+915876543210', 'fixed_line'],
+      ['+919454412345', 'filter_rule'],
+      ['+919100000000', 'filter_rule'],
+      ['98765432101', 'too_long'],
+    ]
+  );
+  // The default rules stand in for the old keyword, prefix and suffix lists
+  assert.deepEqual(stats.filtered, {
+    'filter-keywords': 1,
+    'blocked-prefixes': 1,
+    'blocked-suffixes': 1,
+  });
+
+  assert.deepEqual(
+    readCards(path.join(outputDir, 'fully_missing_total_3.vcf')),
+    [
+      {name: 'Carol Singh (1)', phones: ['+919000000003']},
+      {name: 'Carol Singh (2)', phones: ['+919000000006']},
+      {name: 'KAS 00007', phones: ['+919000000007']},
+    ]
+  );
+  assert.deepEqual(
+    readCards(path.join(outputDir, 'partially_missing_total_1.vcf')),
+    [{name: 'Dave', phones: ['+919000000004']}]
+  );
+  assert.match(
+    readFileSync(path.join(outputDir, 'fully_missing_total_3.vcf'), 'utf-8'),
+    /^EMAIL:carol@example\.com\r$/m
+  );
+  assert.equal(
+    readFileSync(path.join(outputDir, 'rejected.jsonl'), 'utf-8')
+      .trim()
+      .split('\n').length,
+    6
+  );
+});
+
+test('uniqueNames: false keeps shared names', async () => {
+  const processor = new ContactProcessor({
+    ...fixtureOptions,
+    uniqueNames: false,
+  });
+  const {missing} = await processor.compare();
+  assert.deepEqual(
+    missing.map(({name}) => name),
+    ['Carol Singh', 'Carol Singh', 'Dave', 'KAS 00007']
+  );
+});
+
+test('compare contacts named after their own number get a placeholder', async () => {
+  const {missing} = await new ContactProcessor({
+    master: [],
+    compare: [
+      {
+        name: 'crm.csv',
+        data: [
+          {name: '9876543210', phone: '+91 98765 43210'},
+          {name: '+91-98765-43211', phone: '9876543211'},
+        ],
+      },
+    ],
+    cache: false,
+  }).compare();
+  assert.deepEqual(
+    missing.map(({name}) => name),
+    ['KAS 43210', 'KAS 43211']
+  );
+});
+
+test('compare writes nothing and processors share no state', async (t) => {
+  const outputDir = path.join(tempDir(t), 'out');
+  const first = new ContactProcessor({...fixtureOptions, outputDir});
+  const second = new ContactProcessor({
+    master: [
+      {
+        name: 'a.vcf',
+        data: 'BEGIN:VCARD\nFN:A\nTEL:+1 212 555 0100\nEND:VCARD\n',
+      },
+    ],
+    compare: [],
+    outputDir,
+    cache: false,
+  });
+
+  const [a, b] = await Promise.all([first.compare(), second.compare()]);
+  assert.equal(a.stats.uniqueMasterContacts, 4);
+  assert.equal(b.stats.uniqueMasterContacts, 1);
+  assert.equal(b.missing.length, 0);
+  assert.equal(existsSync(outputDir), false);
+
+  // Nothing cached and no threads unless asked for
+  assert.equal(new ContactProcessor().options.cache, false);
+  assert.equal(new ContactProcessor().options.workers, 1);
+
+  // Running again starts from a clean state
+  const again = await first.compare();
+  assert.equal(again.stats.totalCompareContacts, a.stats.totalCompareContacts);
+});
+
+test('unsupported input files are reported', async (t) => {
+  const dir = tempDir(t);
+  writeFileSync(path.join(dir, 'notes.txt'), 'Ann 9812345601\n');
+  // Windows thumbnail cache, not an Android contacts database
+  writeFileSync(path.join(dir, 'Thumbs.db'), Buffer.from([0xd0, 0xcf, 0x11]));
+  writeFileSync(path.join(dir, 'a.csv'), 'Name,Phone\nAnn,9812345601\n');
+  const processor = new ContactProcessor({
+    ...fixtureOptions,
+    compare: [dir, {name: 'scan.pdf', data: ''}],
+  });
+  const messages = [];
+  processor.on('progress', (message) => messages.push(message));
+  const {stats, rejections} = await processor.compare();
+
+  assert.equal(stats.unsupportedFiles, 3);
+  assert.equal(stats.totalFiles, 2);
+  assert.equal(stats.errors, 0);
+  assert.deepEqual(
+    rejections.entries
+      .filter(({reason}) => reason === 'unsupported_file')
+      .map(({file, detail}) => [path.basename(file), detail]),
+    [
+      ['Thumbs.db', '.db'],
+      ['notes.txt', '.txt'],
+      ['scan.pdf', '.pdf'],
+    ]
+  );
+  assert.ok(messages.includes('Skipped scan.pdf: unsupported format'));
+});
+
+test('a bad input does not end a run without error listeners', async (t) => {
+  const dir = tempDir(t);
+  writeFileSync(path.join(dir, 'a.csv'), 'Name,Phone\nAnn,9812345601\n');
+  writeFileSync(path.join(dir, 'c.json'), '{"contacts": [');
+  const {stats, errors, missing} = await new ContactProcessor({
+    ...fixtureOptions,
+    compare: [dir],
+  }).compare();
+
+  assert.equal(stats.errors, 1);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^Error processing .*c\.json: /);
+  assert.ok(missing.some(({name}) => name === 'Ann'));
+});
+
+test('the name policy picks the name of shared numbers', async (t) => {
+  const outputDir = tempDir(t);
+  const {missing} = await new ContactProcessor({
+    master: [],
+    compare: [
+      {name: 'crm.csv', data: [{name: 'Sam', phone: '9000000001'}]},
+      {name: 'phone.csv', data: [{name: 'Sameer Khan', phone: '9000000001'}]},
+      {name: 'sim.csv', data: [{name: 'Sam', phone: '9000000001'}]},
+    ],
+    cache: false,
+    outputDir,
+    reports: ['missing'],
+    namePolicy: ['most-complete'],
+    vcfNicknames: true,
+  }).process();
+
+  assert.deepEqual(
+    missing.map(({name, contact}) => [name, contact.alsoKnownAs]),
+    [['Sameer Khan', ['Sam']]]
+  );
+  const sheets = readSheets(path.join(outputDir, 'output.xlsx'));
+  assert.equal(sheets['Missing Contacts'][0].also_known_as, 'Sam');
+  assert.match(
+    readFileSync(path.join(outputDir, 'fully_missing_total_1.vcf'), 'utf-8'),
+    /^NICKNAME:Sam\r$/m
+  );
+});
+
+test('placeholders take the name another file uses for the number', async (t) => {
+  const outputDir = tempDir(t);
+  const {missing, stats} = await new ContactProcessor({
+    master: [
+      {name: 'master.csv', data: [{name: 'Ann Rao', phone: '9000000001'}]},
+    ],
+    compare: [
+      {
+        name: 'crm.csv',
+        data: [
+          {name: 'Caller 1', phone: '9000000001', mobile: '9000000002'},
+          {name: '', phone: '9000000003'},
+        ],
+      },
+    ],
+    cache: false,
+    outputDir,
+    reports: ['missing'],
+    placeholderTemplate: '{source} {phone}',
+  }).process();
+
+  assert.deepEqual(
+    missing.map(({name}) => name),
+    ['Ann Rao', 'crm +919000000003']
+  );
+  assert.equal(stats.enrichedNames, 1);
+  const sheets = readSheets(path.join(outputDir, 'output.xlsx'));
+  assert.deepEqual(
+    sheets['Missing Contacts'].map(({name, enriched_from}) => [
+      name,
+      enriched_from,
+    ]),
+    [
+      ['Ann Rao', 'master: master.csv, row 2'],
+      ['crm +919000000003', ''],
+    ]
+  );
+});
+
+test('master names like placeholders are not passed on', async (t) => {
+  const {missing, stats} = await new ContactProcessor({
+    master: [
+      {
+        name: 'master.csv',
+        data: [
+          {name: 'Caller 1', phone: '9000000001'},
+          {name: '9000000003', phone: '9000000003'},
+        ],
+      },
+    ],
+    compare: [
+      {
+        name: 'crm.csv',
+        data: [
+          {name: '', phone: '9000000001', mobile: '9000000002'},
+          {name: '0', phone: '9000000003', mobile: '9000000004'},
+        ],
+      },
+    ],
+    cache: false,
+    outputDir: tempDir(t),
+    reports: ['missing'],
+  }).process();
+
+  assert.deepEqual(
+    missing.map(({name}) => name),
+    ['KAS 00001', 'KAS 00003']
+  );
+  assert.equal(stats.enrichedNames, 0);
+});
+
+test('master placeholder names are templated and never conflict', async () => {
+  const {conflicts, extra} = await new ContactProcessor({
+    master: [
+      {
+        name: 'master.csv',
+        data: [
+          {name: 'Caller', phone: '9000000001'},
+          {name: 'Caller 5', phone: '9000000005'},
+        ],
+      },
+    ],
+    compare: [{name: 'crm.csv', data: [{name: 'Bob', phone: '9000000001'}]}],
+    cache: false,
+    enrichNames: false,
+    reports: ['extra', 'conflicts'],
+    placeholderTemplate: '{side} {last5}',
+  }).compare();
+
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(
+    extra.map(({name}) => name),
+    ['master 00005']
+  );
+});
+
+test('contacts list a limited number of other places', async () => {
+  const compare = Array.from({length: MAX_SEEN_IN + 10}, (_, i) => ({
+    name: `c${i}.csv`,
+    data: [{name: 'Ann', phone: '9000000001'}],
+  }));
+  const {missing} = await new ContactProcessor({
+    master: [{name: 'm.csv', data: [{name: 'Bob', phone: '9000000009'}]}],
+    compare,
+    cache: false,
+  }).compare();
+
+  const [{contact}] = missing;
+  assert.equal(contact.origin.file, `c${MAX_SEEN_IN + 9}.csv`);
+  assert.deepEqual(
+    contact.seenIn.map(({file}) => file),
+    compare.slice(0, MAX_SEEN_IN).map(({name}) => name)
+  );
+});
+
+test('processMatrix returns its files and skips empty lists', async (t) => {
+  const outputDir = tempDir(t);
+  const {files} = await new ContactProcessor({
+    sources: {
+      a: [{name: 'a.csv', data: [{name: 'Ann', phone: '9000000001'}]}],
+      b: [
+        {
+          name: 'b.csv',
+          data: [
+            {name: 'Ann', phone: '9000000001'},
+            {name: 'Bob', phone: '9000000002'},
+          ],
+        },
+      ],
+    },
+    cache: false,
+    outputDir,
+    singleXlsxFile: false,
+  }).processMatrix();
+
+  assert.deepEqual(files.map((file) => path.relative(outputDir, file)).sort(), [
+    'rejected.jsonl',
+    'rejected.xlsx',
+    'source_matrix.xlsx',
+    'unique_to_b_total_1.vcf',
+  ]);
+  assert.deepEqual(readdirSync(outputDir).sort(), [
+    'rejected.jsonl',
+    'rejected.xlsx',
+    'source_matrix.xlsx',
+    'unique_to_b_total_1.vcf',
+  ]);
+});
+
+test('the CLI exits with 0 and writes the outputs', (t) => {
+  const outputDir = tempDir(t);
+  const {status, stderr} = spawnSync(
+    process.execPath,
+    [
+      fileURLToPath(new URL('../index.js', import.meta.url)),
+      '--master',
+      fixture('master'),
+      '--compare',
+      fixture('compare'),
+      '--out',
+      outputDir,
+      '--split-xlsx',
+      '--reports',
+      'missing',
+      '--no-cache',
+    ],
+    {encoding: 'utf-8'}
+  );
+  assert.equal(status, 0, stderr);
+  assert.ok(readdirSync(outputDir).includes('missing_numbers_total_4.xlsx'));
+  assert.ok(!readdirSync(outputDir).includes('fully_extra_total_1.vcf'));
+});
@@ -0,0 +1,188 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {EventEmitter} from 'events';
+import {mkdtempSync, rmSync} from 'fs';
+import os from 'os';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {ContactProcessor} from '../src/processor.js';
+import {
+  createConsoleRenderer,
+  createJsonEventRenderer,
+} from '../src/progress.js';
+
+const fixture = (name) =>
+  fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+function tempDir(t) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'kc-test-'));
+  t.after(() => rmSync(dir, {recursive: true, force: true}));
+  return dir;
+}
+
+// Writable stand-in collecting what is written to it
+function collector({isTTY = false} = {}) {
+  return {
+    isTTY,
+    columns: 200,
+    text: '',
+    write(chunk) {
+      this.text += chunk;
+    },
+  };
+}
+
+test('process emits phases, file events and a summary', async (t) => {
+  const processor = new ContactProcessor({
+    master: [fixture('master')],
+    compare: [fixture('compare')],
+    cache: false,
+    outputDir: tempDir(t),
+  });
+  const events = [];
+  for (const type of ['phase', 'file:start', 'file:end', 'summary']) {
+    processor.on(type, (payload) => events.push({type, ...payload}));
+  }
+  const progress = [];
+  processor.on('file:progress', (payload) => progress.push(payload));
+  await processor.process();
+
+  assert.deepEqual(
+    events.map(({type, phase, file}) =>
+      [type, phase || (file && path.basename(file))].filter(Boolean).join(' ')
+    ),
+    [
+      'phase master',
+      'file:start master.vcf',
+      'file:end master.vcf',
+      'phase compare',
+      'file:start contacts.csv',
+      'file:end contacts.csv',
+      'file:start sheet.xlsx',
+      'file:end sheet.xlsx',
+      'phase diff',
+      'phase export',
+      'summary',
+    ]
+  );
+
+  const [master, , masterEnd] = events;
+  assert.equal(master.files, 1);
+  assert.ok(master.bytes > 0);
+  assert.equal(masterEnd.size, master.bytes);
+  assert.equal(masterEnd.records, 4);
+  assert.equal(masterEnd.cached, false);
+  assert.equal(events.at(-1).stats.totalFiles, 3);
+
+  // Streamed files report the bytes read, up to their size
+  const masterProgress = progress.filter(({side}) => side === 'master');
+  assert.ok(masterProgress.length);
+  assert.equal(masterProgress.at(-1).bytesRead, master.bytes);
+});
+
+test('cached files report their records again', async (t) => {
+  const options = {
+    master: [fixture('master')],
+    compare: [],
+    cache: true,
+    cacheDir: tempDir(t),
+    reports: ['extra'],
+  };
+  const ends = [];
+  for (let run = 0; run < 2; run++) {
+    const processor = new ContactProcessor(options);
+    processor.on('file:end', (event) => ends.push(event));
+    await processor.compare();
+  }
+  assert.deepEqual(
+    ends.map(({records, cached}) => ({records, cached})),
+    [
+      {records: 4, cached: false},
+      {records: 4, cached: true},
+    ]
+  );
+});
+
+test('json renderer writes one event per line', () => {
+  const processor = new EventEmitter();
+  const stream = collector();
+  const stop = createJsonEventRenderer(processor, {
+    stream,
+    now: () => new Date(0),
+  });
+  processor.emit('phase', {phase: 'master', files: 1, bytes: 10});
+  processor.emit('progress', 'found 1 in a.csv');
+  processor.emit('error', 'Error processing b.csv: broken');
+  stop();
+  processor.emit('summary', {stats: {}});
+
+  assert.deepEqual(stream.text.trim().split('\n').map(JSON.parse), [
+    {
+      type: 'phase',
+      time: '1970-01-01T00:00:00.000Z',
+      phase: 'master',
+      files: 1,
+      bytes: 10,
+    },
+    {
+      type: 'message',
+      time: '1970-01-01T00:00:00.000Z',
+      message: 'found 1 in a.csv',
+    },
+    {
+      type: 'error',
+      time: '1970-01-01T00:00:00.000Z',
+      message: 'Error processing b.csv: broken',
+    },
+  ]);
+});
+
+test('console renderer draws a progress bar on a terminal', () => {
+  const processor = new EventEmitter();
+  const stream = collector({isTTY: true});
+  let time = 0;
+  createConsoleRenderer(processor, {
+    stream,
+    errorStream: stream,
+    now: () => time,
+  });
+  processor.emit('phase', {phase: 'compare', files: 2, bytes: 2 * 1024});
+  processor.emit('file:start', {side: 'compare', file: 'a.csv', size: 1024});
+  time = 1000;
+  processor.emit('file:end', {file: 'a.csv', size: 1024, records: 5});
+
+  const lines = stream.text.split(/\r\x1b\[K/);
+  assert.equal(lines[0], 'Reading compare: 2 files, 2.0 KB\n');
+  const bar = '#'.repeat(12) + '-'.repeat(12);
+  assert.equal(
+    lines.at(-1),
+    `compare [${bar}] 50% 1.0 KB/2.0 KB ETA 0:01 a.csv`
+  );
+});
+
+test('console renderer prints a line per file elsewhere', () => {
+  const processor = new EventEmitter();
+  const stream = collector();
+  createConsoleRenderer(processor, {stream, errorStream: stream});
+  processor.emit('phase', {phase: 'master', files: 1, bytes: 10});
+  processor.emit('file:start', {side: 'master', file: 'a.vcf', size: 10});
+  processor.emit('file:progress', {bytesRead: 5});
+  processor.emit('file:end', {
+    file: 'a.vcf',
+    size: 10,
+    records: 3,
+    contacts: 2,
+    cached: true,
+  });
+  processor.emit('phase', {phase: 'diff', files: 0, bytes: 0});
+
+  assert.equal(
+    stream.text,
+    [
+      'Reading master: 1 files, 0.0 KB',
+      '  a.vcf: 3 records, 2 contacts (cached)',
+      'Comparing contacts...',
+      '',
+    ].join('\n')
+  );
+});
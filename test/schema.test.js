@@ -0,0 +1,61 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {fileURLToPath} from 'url';
+import {ContactProcessor} from '../src/processor.js';
+import {formatSchemaReport} from '../src/schema.js';
+
+const fixture = (name) =>
+  fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+test('schema describes the columns of each file', async () => {
+  const processor = new ContactProcessor({
+    master: [fixture('master')],
+    compare: [
+      fixture('compare/contacts.csv'),
+      {
+        name: 'crm.csv',
+        data: 'Customer,Customer ID,Cell #\nBob,10023,9812345678\n',
+      },
+    ],
+    columnMappings: {'crm.csv': {phone: ['Cell #'], name: ['Customer']}},
+  });
+  const entries = await processor.schema();
+
+  assert.deepEqual(
+    entries.map(({side, file, rows}) => [side, file.split('/').pop(), rows]),
+    [
+      ['master', 'master.vcf', 4],
+      ['compare', 'contacts.csv', 8],
+      ['compare', 'crm.csv', 1],
+    ]
+  );
+  const roles = ({columns}) =>
+    columns.map(({column, role, property}) => [column, property || role]);
+  assert.deepEqual(roles(entries[1]), [
+    ['first_name', 'name'],
+    ['last_name', 'name'],
+    ['mobile', 'phone'],
+    ['phone', 'phone'],
+    ['email', 'EMAIL'],
+  ]);
+  assert.deepEqual(roles(entries[2]), [
+    ['customer', 'name'],
+    ['customer_id', ''],
+    ['cell', 'phone'],
+  ]);
+  assert.deepEqual(entries[1].columns[0].samples, ['Bob', 'Carol', 'Dave']);
+  assert.equal(
+    entries[0].columns.find(({column}) => column === 'TEL').role,
+    'phone'
+  );
+
+  assert.equal(
+    formatSchemaReport([entries[2]]),
+    [
+      'compare crm.csv (1 rows scanned)',
+      '  customer     name    Bob',
+      '  customer_id  -       10023',
+      '  cell         phone   9812345678',
+    ].join('\n')
+  );
+});
@@ -0,0 +1,166 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {existsSync, mkdtempSync, readFileSync, rmSync} from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {ContactProcessor} from '../src/processor.js';
+import {startWebServer} from '../src/server.js';
+
+const fixture = (name) =>
+  fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+async function startServer(t, params) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'kc-serve-'));
+  t.after(() => rmSync(dir, {recursive: true, force: true}));
+  const processor = new ContactProcessor({
+    master: [path.join(dir, 'master')],
+    compare: [path.join(dir, 'compare')],
+    outputDir: path.join(dir, 'out'),
+    cache: false,
+    workers: 1,
+  });
+  const server = await startWebServer(processor, {port: 0, ...params});
+  t.after(() => server.close());
+  const request = (method, url, body) =>
+    fetch(new URL(url, server.url), {method, body});
+  return {dir, request, url: server.url};
+}
+
+test('the web UI uploads files, compares them and serves the outputs', async (t) => {
+  const {dir, request} = await startServer(t);
+
+  const page = await request('GET', '/');
+  assert.match(await page.text(), /<title>Missing Contacts<\/title>/);
+  assert.equal((await request('GET', '/api/results')).status, 404);
+
+  for (const [side, name] of [
+    ['master', 'master.vcf'],
+    ['compare', 'contacts.csv'],
+    ['compare', 'sheet.xlsx'],
+  ]) {
+    const response = await request(
+      'PUT',
+      `/api/files/${side}/${name}`,
+      readFileSync(fixture(`${side}/${name}`))
+    );
+    assert.equal(response.status, 201);
+  }
+  assert.ok(existsSync(path.join(dir, 'compare', 'sheet.xlsx')));
+  const files = await (await request('GET', '/api/files')).json();
+  assert.deepEqual(
+    files.compare.map(({name}) => name),
+    ['contacts.csv', 'sheet.xlsx']
+  );
+
+  const run = await request('POST', '/api/run');
+  assert.equal(run.status, 200);
+  const results = await run.json();
+  assert.equal(results.summary.missingContacts, 4);
+  assert.equal(results.summary.nameConflicts, 2);
+  assert.deepEqual(
+    results.missing.map(({name, status}) => [name, status]),
+    [
+      ['Carol Singh (1)', 'fully missing'],
+      ['Carol Singh (2)', 'fully missing'],
+      ['Dave', 'partially missing'],
+      ['KAS 00007', 'fully missing'],
+    ]
+  );
+  assert.equal(results.duplicates.length, 2);
+  assert.ok(results.outputs.includes('fully_missing_total_3.vcf'));
+
+  const download = await request(
+    'GET',
+    '/api/outputs/fully_missing_total_3.vcf'
+  );
+  assert.equal(download.status, 200);
+  assert.match(await download.text(), /^BEGIN:VCARD/);
+  assert.deepEqual(
+    await (await request('GET', '/api/results')).json(),
+    results
+  );
+
+  assert.equal(
+    (await request('DELETE', '/api/files/compare/sheet.xlsx')).status,
+    204
+  );
+  assert.ok(!existsSync(path.join(dir, 'compare', 'sheet.xlsx')));
+});
+
+test('the web UI rejects bad file names and unknown outputs', async (t) => {
+  const {request} = await startServer(t);
+  const status = async (method, url) =>
+    (await request(method, url, method === 'PUT' ? 'x' : undefined)).status;
+
+  assert.equal(await status('PUT', '/api/files/compare/..%2Fmaster.csv'), 400);
+  assert.equal(await status('PUT', '/api/files/compare/.hidden.csv'), 400);
+  assert.equal(await status('PUT', '/api/files/compare/notes.txt'), 415);
+  assert.equal(await status('PUT', '/api/files/other/a.csv'), 404);
+  assert.equal(await status('DELETE', '/api/files/master/a.csv'), 404);
+  assert.equal(await status('GET', '/api/outputs/output.xlsx'), 404);
+  assert.equal(await status('GET', '/api/nothing'), 404);
+});
+
+test('the web UI refuses other hosts and cross-origin changes', async (t) => {
+  const {url} = await startServer(t);
+  const {port} = new URL(url);
+  // fetch cannot set Host, as a rebound DNS name would
+  const status = (method, pathname, headers) =>
+    new Promise((resolve, reject) => {
+      http
+        .request({host: '127.0.0.1', port, method, path: pathname, headers})
+        .on('response', (response) => {
+          response.resume();
+          resolve(response.statusCode);
+        })
+        .on('error', reject)
+        .end();
+    });
+
+  assert.equal(await status('GET', '/api/files', {host: 'evil.test'}), 403);
+  assert.equal(await status('GET', '/', {host: `evil.test:${port}`}), 403);
+  assert.equal(
+    await status('GET', '/api/files', {host: `localhost:${port}`}),
+    200
+  );
+  assert.equal(
+    await status('POST', '/api/run', {
+      host: `127.0.0.1:${port}`,
+      origin: 'http://evil.test',
+    }),
+    403
+  );
+  assert.equal(
+    await status('DELETE', '/api/files/master/a.csv', {
+      host: `localhost:${port}`,
+      origin: `http://localhost:${port}`,
+    }),
+    404
+  );
+});
+
+test('the web UI refuses uploads over the size limit', async (t) => {
+  const {dir, request, url} = await startServer(t, {maxUploadBytes: 1024});
+  const upload = (body) => request('PUT', '/api/files/compare/a.csv', body);
+
+  assert.equal((await upload('Name,Phone\nAnn,9812345601\n')).status, 201);
+  assert.equal((await upload(Buffer.alloc(2048, 'x'))).status, 413);
+  // Without a length given up front, the body is cut while written
+  const chunked = new ReadableStream({
+    start(controller) {
+      controller.enqueue(new Uint8Array(800));
+      controller.enqueue(new Uint8Array(800));
+      controller.close();
+    },
+  });
+  const response = await fetch(new URL('/api/files/compare/b.csv', url), {
+    method: 'PUT',
+    body: chunked,
+    duplex: 'half',
+  });
+  assert.equal(response.status, 413);
+  assert.ok(existsSync(path.join(dir, 'compare', 'a.csv')));
+  assert.ok(!existsSync(path.join(dir, 'compare', 'b.csv')));
+});
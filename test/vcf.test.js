@@ -0,0 +1,77 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {decodeQuotedPrintable, parseVcfText} from '../src/vcf/reader.js';
+import {formatVcard} from '../src/vcf/writer.js';
+import {getCardName, toStructuredName} from '../src/vcf/contact-card.js';
+
+test('decodeQuotedPrintable', () => {
+  assert.equal(decodeQuotedPrintable('=52=61=76=69 Kumar'), 'Ravi Kumar');
+  // Multi-byte UTF-8 sequences
+  assert.equal(
+    decodeQuotedPrintable('=E0=A4=B8=E0=A4=AE=E0=A5=80=E0=A4=B0'),
+    'समीर'
+  );
+  // Soft line breaks
+  assert.equal(decodeQuotedPrintable('Ravi=\r\n Kumar'), 'Ravi Kumar');
+  assert.equal(decodeQuotedPrintable('=E9t=E9', 'iso-8859-1'), 'été');
+  // Unknown charsets fall back to UTF-8
+  assert.equal(decodeQuotedPrintable('=C3=A9', 'no-such-charset'), 'é');
+});
+
+test('parseVcfText reads 2.1, 3.0 and 4.0 cards', () => {
+  const cards = parseVcfText(
+    [
+      'BEGIN:VCARD',
+      'VERSION:2.1',
+      'N;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:Kumar;=52=61=76=69;;;',
+      'TEL;CELL;VOICE:09812300001',
+      'END:VCARD',
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      // Folded line
+      'FN:Alice Sh',
+      ' arma',
+      'TEL;TYPE="cell,voice":+91 98765 43210',
+      'END:VCARD',
+      'BEGIN:VCARD',
+      'VERSION:4.0',
+      'FN:Smith\\, John',
+      'END:VCARD',
+    ].join('\n')
+  );
+
+  assert.deepEqual(
+    cards.map((card) => [card.index, card.version, getCardName(card)]),
+    [
+      [1, '2.1', 'Ravi Kumar'],
+      [2, '3.0', 'Alice Sharma'],
+      [3, '4.0', 'Smith, John'],
+    ]
+  );
+  assert.deepEqual(cards[0].properties[2].params, {TYPE: ['CELL', 'VOICE']});
+  assert.deepEqual(cards[1].properties[2].params, {TYPE: ['cell', 'voice']});
+});
+
+test('formatVcard writes each version', () => {
+  const properties = [
+    {group: '', name: 'FN', params: {}, value: 'Alice'},
+    {group: '', name: 'TEL', params: {TYPE: ['cell', 'voice']}, value: '+1'},
+  ];
+  const tel = (version) =>
+    formatVcard(properties, {version, eol: '\n'}).split('\n')[3];
+
+  assert.equal(tel('2.1'), 'TEL;CELL;VOICE:+1');
+  assert.equal(tel('3.0'), 'TEL;TYPE=CELL,VOICE:+1');
+  assert.equal(tel('4.0'), 'TEL;TYPE=cell,voice:+1');
+  assert.throws(() => formatVcard(properties, {version: '5.0'}), RangeError);
+});
+
+test('toStructuredName', () => {
+  assert.equal(toStructuredName('Carol Singh'), 'Singh;Carol;;;');
+  assert.equal(toStructuredName('Carol Singh (2)'), 'Singh (2);Carol;;;');
+  assert.equal(toStructuredName('KAS 00007'), ';KAS 00007;;;');
+  assert.equal(
+    toStructuredName('Ravi Kumar', 'Kumar;Ravi;;;'),
+    'Kumar;Ravi;;;'
+  );
+});
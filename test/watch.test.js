@@ -0,0 +1,66 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {once} from 'events';
+import {
+  copyFileSync,
+  mkdirSync,
+  mkdtempSync,
+  readdirSync,
+  rmSync,
+  writeFileSync,
+} from 'fs';
+import os from 'os';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {ContactProcessor} from '../src/processor.js';
+
+const fixture = (name) =>
+  fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+test(
+  'watch updates the outputs when compare files change',
+  {timeout: 20000},
+  async (t) => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'kc-watch-'));
+    t.after(() => rmSync(dir, {recursive: true, force: true}));
+    const compareDir = path.join(dir, 'compare');
+    const outputDir = path.join(dir, 'out');
+    mkdirSync(compareDir);
+    copyFileSync(
+      fixture('compare/sheet.xlsx'),
+      path.join(compareDir, 'b.xlsx')
+    );
+
+    const processor = new ContactProcessor({
+      master: [fixture('master')],
+      compare: [compareDir],
+      outputDir,
+      cache: false,
+    });
+    const messages = [];
+    processor.on('progress', (message) => messages.push(message));
+    const nextMessage = () => once(processor, 'progress');
+
+    const watcher = await processor.watch({delay: 50});
+    t.after(() => watcher.close());
+    assert.deepEqual(messages, ['Watching for changes, 2 missing numbers']);
+    assert.ok(readdirSync(outputDir).includes('fully_missing_total_2.vcf'));
+
+    let message = nextMessage();
+    copyFileSync(
+      fixture('compare/contacts.csv'),
+      path.join(compareDir, 'a.csv')
+    );
+    assert.deepEqual(await message, ['a.csv changed: +2 missing, -0 resolved']);
+
+    message = nextMessage();
+    writeFileSync(path.join(compareDir, 'a.csv'), 'Name,Phone\n');
+    assert.deepEqual(await message, ['a.csv changed: +0 missing, -2 resolved']);
+
+    // Outputs of earlier runs with other totals are removed
+    const vcfs = readdirSync(outputDir).filter((file) =>
+      file.startsWith('fully_missing_total_')
+    );
+    assert.deepEqual(vcfs, ['fully_missing_total_2.vcf']);
+  }
+);
@@ -0,0 +1,165 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {copyFileSync, mkdtempSync, rmSync, writeFileSync} from 'fs';
+import os from 'os';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {DEFAULT_OPTIONS} from '../src/defaults.js';
+import {ContactProcessor} from '../src/processor.js';
+import {ParsePool} from '../src/workers.js';
+
+const fixture = (name) =>
+  fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+function tempDir(t) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'kc-workers-'));
+  t.after(() => rmSync(dir, {recursive: true, force: true}));
+  return dir;
+}
+
+// Everything a run reports, in the order it was reported
+function summarize({stats, missing, conflicts, rejections}) {
+  return {
+    stats,
+    missing: missing.map(({name, missing}) => [name, missing]),
+    conflicts: conflicts.map(({contact, conflicts}) => [
+      contact.name,
+      conflicts,
+    ]),
+    rejections: rejections.entries,
+  };
+}
+
+test('worker threads give the same results as the main thread', async (t) => {
+  // The same number under other names in several files: the file read last
+  // must win whichever worker finishes first
+  const dir = tempDir(t);
+  copyFileSync(fixture('compare/contacts.csv'), path.join(dir, 'a.csv'));
+  copyFileSync(fixture('compare/sheet.xlsx'), path.join(dir, 'b.xlsx'));
+  writeFileSync(path.join(dir, 'c.csv'), 'Name,Phone\nBobby,9812345601\n');
+  const options = {
+    master: [fixture('master')],
+    compare: [dir],
+    cache: false,
+    traceNumber: '9812345601',
+  };
+
+  const traces = {};
+  const run = async (workers) => {
+    const processor = new ContactProcessor({...options, workers});
+    traces[workers] = [];
+    processor.on('progress', (message) => traces[workers].push(message));
+    return summarize(await processor.compare());
+  };
+  const single = await run(1);
+  const pooled = await run(3);
+  assert.deepEqual(pooled, single);
+  assert.deepEqual(traces[3], traces[1]);
+  assert.ok(single.missing.some(([name]) => name === 'Bobby'));
+});
+
+test('a file failing in a worker is reported and skipped', async (t) => {
+  const dir = tempDir(t);
+  copyFileSync(fixture('compare/contacts.csv'), path.join(dir, 'a.csv'));
+  // Zip header without a zip behind it
+  writeFileSync(path.join(dir, 'b.xlsx'), 'PK\x03\x04broken');
+  copyFileSync(fixture('compare/sheet.xlsx'), path.join(dir, 'c.xlsx'));
+  const processor = new ContactProcessor({
+    master: [fixture('master')],
+    compare: [dir],
+    cache: false,
+    workers: 2,
+  });
+  const errors = [];
+  processor.on('error', (message) => errors.push(message));
+  const {stats} = await processor.compare();
+
+  assert.equal(stats.errors, 1);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^Error processing .*b\.xlsx: /);
+  // Master, a.csv and c.xlsx
+  assert.equal(stats.totalFiles, 4);
+  assert.equal(stats.totalCompareContacts, 11);
+});
+
+test('worker threads fill the cache like the main thread', async (t) => {
+  const dir = tempDir(t);
+  const options = {
+    master: [fixture('master')],
+    compare: [fixture('compare')],
+    cache: true,
+    cacheDir: path.join(dir, 'cache'),
+    workers: 2,
+  };
+  const first = await new ContactProcessor(options).compare();
+  const second = await new ContactProcessor(options).compare();
+  assert.equal(first.stats.cachedFiles, 0);
+  assert.equal(second.stats.cachedFiles, 3);
+  assert.deepEqual(
+    {...summarize(second), stats: null},
+    {...summarize(first), stats: null}
+  );
+});
+
+test(
+  'the parse pool posts batches and reads a limited number of files ahead',
+  {timeout: 20000},
+  async (t) => {
+    const dir = tempDir(t);
+    const rows = Array.from({length: 25}, (_, i) => `P${i},98123456${10 + i}`);
+    const write = (name, lines) => {
+      const file = path.join(dir, name);
+      writeFileSync(file, ['Name,Phone', ...lines].join('\n'));
+      return {file, side: 'compare', records: 0};
+    };
+    const sources = [
+      write('big.csv', rows),
+      write('a.csv', rows.slice(0, 1)),
+      write('b.csv', rows.slice(1, 2)),
+    ];
+    const pool = new ParsePool(2);
+    t.after(() => pool.close());
+    const options = {...DEFAULT_OPTIONS, batchSize: 10};
+    const jobs = sources.map((source) => pool.parse(source, options));
+    const posted = (event, job) =>
+      new Promise((resolve) => {
+        const listener = (posting) => {
+          if (posting !== job) return;
+          pool.off(event, listener);
+          resolve();
+        };
+        pool.on(event, listener);
+      });
+    await Promise.all([posted('batch', jobs[0]), posted('end', jobs[1])]);
+
+    // Neither file was consumed: big.csv waits after its first batch, as
+    // its worker only posts the next one when asked, and b.csv does not
+    // start
+    assert.equal(jobs[0].batches.length, 1);
+    assert.equal(jobs[0].ended, false);
+    assert.equal(jobs[1].ended, true);
+    assert.deepEqual(pool.queue, [jobs[2]]);
+
+    const sizes = [];
+    for await (const {entries} of pool.read(jobs[0]))
+      sizes.push(entries.length);
+    assert.deepEqual(sizes, [10, 10, 5]);
+    for (const job of jobs.slice(1)) {
+      for await (const batch of pool.read(job))
+        assert.equal(batch.entries.length, 1);
+    }
+  }
+);
+
+test('a parse worker exiting fails its file', {timeout: 20000}, async (t) => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'a.csv');
+  writeFileSync(file, 'Name,Phone\nAnn,9812345601\n');
+  const pool = new ParsePool(1);
+  t.after(() => pool.close());
+  const job = pool.parse({file, side: 'compare', records: 0}, DEFAULT_OPTIONS);
+  await pool.workers[0].terminate();
+  await assert.rejects(async () => {
+    for await (const batch of pool.read(job));
+  }, /Parse worker exited with code/);
+});